@@ -11,12 +11,20 @@ function formatFrequency(freq) {
 }
 
 // Draw multiple transfer functions on the same Bode plot
-// transferFunctions: array of { compiled, gainColor, phaseColor, visible }
+// transferFunctions: array of { id, compiled, gainColor, phaseColor, visible, continuous, dash }
+//   id: 'L', 'T' or 'S' for the curves that specification bounds refer to
+//   continuous: evaluate at s = jω even in discrete-time mode (continuous-time equivalent)
+//   dash: optional line dash pattern
 // options.ctx, options.width, options.height can be provided for external context (e.g., SVG export)
+// options.nyquistFrequency marks π/Ts for discrete-time systems
+// options.specBounds: [{ target, type, bound, color }] from buildSpecBounds() (forbidden gain regions)
+// options.uncertaintyFamily: compiled loops of the uncertainty set, shaded as a band around L
+// options.controllerHandles: [{ kind, frequency }] from getControllerHandles(), drawn on the gain curve of L
 function drawBodeMulti(transferFunctions, w, wrapperId, canvasId, options) {
     options = options || {};
 
     const MARGIN_MARKER_RADIUS = 3;
+    const HANDLE_RADIUS = 5;
     const backgroundColor = options.backgroundColor || '#ffffff';
     const textColor = options.textColor || '#333333';
     const majorGridColor = options.majorGridColor || '#c0c0c0';
@@ -79,7 +87,8 @@ function drawBodeMulti(transferFunctions, w, wrapperId, canvasId, options) {
         for (let i = 0; i < N; i++) {
             let Gjw;
             try {
-                Gjw = tf.compiled.evaluate({ 's': math.complex(0, w[i]) });
+                const jw = math.complex(0, w[i]);
+                Gjw = tf.compiled.evaluate(tf.continuous ? { s: jw } : evaluationScope(jw));
             } catch (e) {
                 Gjw = math.complex(0, 0);
             }
@@ -118,6 +127,14 @@ function drawBodeMulti(transferFunctions, w, wrapperId, canvasId, options) {
             }
         }
 
+        // Continuous-time equivalent: align its phase with L at the lowest frequency
+        if (tf.continuous && allData[0]) {
+            let globalOffset = Math.round((allData[0].phase[0] - phase[0]) / 360) * 360;
+            for (let i = 0; i < N; i++) {
+                phase[i] += globalOffset;
+            }
+        }
+
         // Detect crossover frequencies (only for primary transfer function)
         if (tfIndex === 0) {
             for (let i = 1; i < N; i++) {
@@ -316,6 +333,28 @@ function drawBodeMulti(transferFunctions, w, wrapperId, canvasId, options) {
         });
     }
 
+    // Draw Nyquist frequency line (discrete-time systems)
+    if (options.nyquistFrequency) {
+        let logWN = math.log10(options.nyquistFrequency);
+        if (logWN >= wmin && logWN <= wmax + 1e-9) {
+            let x = w2x(Math.min(logWN, wmax));
+            ctx.save();
+            ctx.strokeStyle = '#cc3300';
+            ctx.lineWidth = 1.5;
+            ctx.setLineDash([2, 3]);
+            ctx.beginPath();
+            ctx.moveTo(x, g2y(gmax));
+            ctx.lineTo(x, p2y(pmin));
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.fillStyle = '#cc3300';
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'top';
+            ctx.fillText('π/Ts', x - 4, g2y(gmax) + 2);
+            ctx.restore();
+        }
+    }
+
     // Axis labels
     ctx.fillStyle = textColor;
     ctx.fillText("Frequency [rad/s]", (w2x(wmin) + w2x(wmax)) / 2, p2y(pmin) + 25);
@@ -419,14 +458,100 @@ function drawBodeMulti(transferFunctions, w, wrapperId, canvasId, options) {
         ctx.setLineDash([]);
     }
 
+    // Specification bounds: shade the forbidden gain region of each visible target
+    const specBounds = (options.specBounds || []).filter(spec => spec.bound).map(spec => {
+        const tfIndex = transferFunctions.findIndex(tf => tf.id === spec.target);
+        return { ...spec, data: tfIndex >= 0 ? allData[tfIndex] : null };
+    }).filter(spec => spec.data);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(leftMargin, topMargin, plotWidth, plotHeight);
+    ctx.clip();
+    specBounds.forEach(spec => {
+        const edge = spec.type === 'upper' ? gmax : gmin;
+        ctx.fillStyle = spec.color;
+        ctx.strokeStyle = spec.color;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 3]);
+
+        // Each run of consecutive constrained frequencies is one polygon
+        let start = -1;
+        for (let i = 0; i <= N; i++) {
+            const constrained = i < N && !isNaN(spec.bound[i]);
+            if (constrained && start < 0) start = i;
+            if (constrained || start < 0) continue;
+
+            ctx.beginPath();
+            for (let k = start; k < i; k++) {
+                const x = w2x(math.log10(w[k]));
+                const y = g2y(clip(spec.bound[k], gmin, gmax));
+                if (k === start) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            }
+            ctx.stroke();
+            ctx.lineTo(w2x(math.log10(w[i - 1])), g2y(edge));
+            ctx.lineTo(w2x(math.log10(w[start])), g2y(edge));
+            ctx.closePath();
+            ctx.globalAlpha = 0.12;
+            ctx.fill();
+            ctx.globalAlpha = 1;
+            start = -1;
+        }
+        ctx.setLineDash([]);
+    });
+    ctx.restore();
+
+    // Uncertainty band of L: range of gain and phase over the loops of the uncertainty set
+    if (options.uncertaintyFamily && allData[0]) {
+        const bandMin = { gain: Array(N).fill(Infinity), phase: Array(N).fill(Infinity) };
+        const bandMax = { gain: Array(N).fill(-Infinity), phase: Array(N).fill(-Infinity) };
+        options.uncertaintyFamily.forEach(compiled => {
+            const data = calculateFrequencyResponse(compiled, w);
+            // Align the phase branch with the nominal L at the lowest frequency
+            const offset = Math.round((allData[0].phase[0] - data.phase[0]) / 360) * 360;
+            for (let i = 0; i < N; i++) {
+                bandMin.gain[i] = Math.min(bandMin.gain[i], data.gain[i]);
+                bandMax.gain[i] = Math.max(bandMax.gain[i], data.gain[i]);
+                bandMin.phase[i] = Math.min(bandMin.phase[i], data.phase[i] + offset);
+                bandMax.phase[i] = Math.max(bandMax.phase[i], data.phase[i] + offset);
+            }
+        });
+
+        const drawBand = (key, yTransform, clipY, lo, hi) => {
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(leftMargin, clipY, plotWidth, plotHeight);
+            ctx.clip();
+            ctx.fillStyle = transferFunctions[0].gainColor || '#0088aa';
+            ctx.globalAlpha = 0.2;
+            ctx.beginPath();
+            for (let i = 0; i < N; i++) {
+                const x = w2x(math.log10(w[i]));
+                const y = yTransform(clip(bandMax[key][i], lo, hi));
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            }
+            for (let i = N - 1; i >= 0; i--) {
+                ctx.lineTo(w2x(math.log10(w[i])), yTransform(clip(bandMin[key][i], lo, hi)));
+            }
+            ctx.closePath();
+            ctx.fill();
+            ctx.restore();
+        };
+        drawBand('gain', g2y, topMargin, gmin, gmax);
+        drawBand('phase', p2y, topMargin + plotHeight + midMargin, pmin, pmax);
+    }
+
     // Helper to draw a curve with clipping
-    const drawCurve = (dataArray, yTransform, clipY, color) => {
+    const drawCurve = (dataArray, yTransform, clipY, color, dash) => {
         ctx.save();
         ctx.beginPath();
         ctx.rect(leftMargin, clipY, plotWidth, plotHeight);
         ctx.clip();
         ctx.strokeStyle = color;
-        ctx.lineWidth = 2.5;
+        ctx.lineWidth = dash ? 1.5 : 2.5;
+        ctx.setLineDash(dash || []);
         ctx.beginPath();
         for (let i = 0; i < N; i++) {
             let x = w2x(math.log10(w[i]));
@@ -435,6 +560,7 @@ function drawBodeMulti(transferFunctions, w, wrapperId, canvasId, options) {
             else ctx.lineTo(x, y);
         }
         ctx.stroke();
+        ctx.setLineDash([]);
         ctx.restore();
     };
 
@@ -442,9 +568,31 @@ function drawBodeMulti(transferFunctions, w, wrapperId, canvasId, options) {
     transferFunctions.forEach((tf, tfIndex) => {
         let data = allData[tfIndex];
         if (!data) return;
-        drawCurve(data.gain, g2y, topMargin, tf.gainColor || '#0088aa');
-        drawCurve(data.phase, p2y, topMargin + plotHeight + midMargin, tf.phaseColor || '#0088aa');
+        drawCurve(data.gain, g2y, topMargin, tf.gainColor || '#0088aa', tf.dash);
+        drawCurve(data.phase, p2y, topMargin + plotHeight + midMargin, tf.phaseColor || '#0088aa', tf.dash);
+    });
+
+    // Highlight the parts of the gain curves that violate a specification
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(leftMargin, topMargin, plotWidth, plotHeight);
+    ctx.clip();
+    ctx.strokeStyle = CONSTANTS.COLORS.VIOLATION;
+    ctx.lineWidth = 5;
+    ctx.globalAlpha = 0.6;
+    specBounds.forEach(spec => {
+        const violated = i => specExcess(spec, spec.data.gain[i], i) > SPEC_TOLERANCE_DB;
+        ctx.beginPath();
+        for (let i = 0; i < N; i++) {
+            if (!violated(i)) continue;
+            const x = w2x(math.log10(w[i]));
+            const y = g2y(spec.data.gain[i]);
+            if (i === 0 || !violated(i - 1)) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        }
+        ctx.stroke();
     });
+    ctx.restore();
 
     ctx.restore();
 
@@ -540,11 +688,61 @@ function drawBodeMulti(transferFunctions, w, wrapperId, canvasId, options) {
         }
     }
 
+    // Controller handles on the gain curve of L: zero (circle), pole (cross), gain (diamond)
+    let handlePoints = [];
+    if (options.controllerHandles && firstData) {
+        ctx.save();
+        ctx.strokeStyle = transferFunctions[0].gainColor || '#0088aa';
+        ctx.fillStyle = backgroundColor;
+        ctx.lineWidth = 2;
+        options.controllerHandles.forEach(handle => {
+            let logFreq = math.log10(handle.frequency);
+            if (logFreq < wmin || logFreq > wmax) return;
+
+            let gainAtHandle = null;
+            for (let i = 0; i < N - 1; i++) {
+                if (w[i] <= handle.frequency && w[i + 1] >= handle.frequency) {
+                    let ratio = (logFreq - math.log10(w[i])) / (math.log10(w[i + 1]) - math.log10(w[i]));
+                    gainAtHandle = firstData.gain[i] + ratio * (firstData.gain[i + 1] - firstData.gain[i]);
+                    break;
+                }
+            }
+            if (gainAtHandle === null || !(gainAtHandle >= gmin && gainAtHandle <= gmax)) return;
+
+            let x = w2x(logFreq);
+            let y = g2y(gainAtHandle);
+            const r = HANDLE_RADIUS;
+            ctx.beginPath();
+            if (handle.kind === 'zero') {
+                ctx.arc(x, y, r, 0, 2 * Math.PI);
+                ctx.fill();
+            } else if (handle.kind === 'pole') {
+                ctx.moveTo(x - r, y - r);
+                ctx.lineTo(x + r, y + r);
+                ctx.moveTo(x + r, y - r);
+                ctx.lineTo(x - r, y + r);
+            } else {
+                ctx.moveTo(x, y - r - 1);
+                ctx.lineTo(x + r + 1, y);
+                ctx.lineTo(x, y + r + 1);
+                ctx.lineTo(x - r - 1, y);
+                ctx.closePath();
+                ctx.fill();
+            }
+            ctx.stroke();
+            handlePoints.push({ x, y, handle });
+        });
+        ctx.restore();
+    }
+
     return {
         gainMargins: gainMargins,
         phaseMargins: phaseMargins,
         gainCrossoverFrequencies: wgc,
-        phaseCrossoverFrequencies: wpc.map(pc => pc.freq)
+        phaseCrossoverFrequencies: wpc.map(pc => pc.freq),
+        handlePoints: handlePoints,
+        pixelsPerDecade: plotWidth / (wmax - wmin),
+        pixelsPerDb: plotHeight / (gmax - gmin)
     };
 }
 
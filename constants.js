@@ -12,6 +12,13 @@ const CONSTANTS = {
         L: '#0088aa',      // Open-loop transfer function L(s)
         T: '#dd6600',      // Closed-loop transfer function T(s)
         S: '#22aa44',      // Sensitivity function S(s) = 1/(1+L(s))
+        RY: '#8844cc',     // Reference to output (2-DOF)
+        UR: '#cc3388',     // Reference to control input (2-DOF)
+        YD: '#887700',     // Load disturbance to output (2-DOF)
+        YN: '#3377aa',     // Measurement noise to output (2-DOF)
+        KS: '#aa2222',     // Noise sensitivity K(s)S(s) (control effort)
+        FRD: '#777777',    // Measured plant frequency response data
+        VIOLATION: '#ee0000', // Specification violation highlight
         GRID: '#c0c0c0',
         AXIS: '#999999',
         TEXT: '#333333',
@@ -37,6 +44,64 @@ const CONSTANTS = {
     SLIDER_RESOLUTION: 1000
 };
 
+// ============================================================================
+// Two-Degree-of-Freedom Loop Maps
+// ============================================================================
+// Structure: u = K(F r - (y + n)) + Kff r,  y = P(u + d)
+// Available when P and K are defined (F = 1 and Kff = 0 when omitted)
+const LOOP_MAPS = [
+    { id: 'ry', label: 'r→y', expr: 'P*(K*F + Kff)/(1 + P*K)', color: CONSTANTS.COLORS.RY },
+    { id: 'ur', label: 'r→u', expr: '(K*F + Kff)/(1 + P*K)', color: CONSTANTS.COLORS.UR },
+    { id: 'yd', label: 'd→y', expr: 'P/(1 + P*K)', color: CONSTANTS.COLORS.YD },
+    { id: 'yn', label: 'n→y', expr: '-P*K/(1 + P*K)', color: CONSTANTS.COLORS.YN }
+];
+
+// Gang of Four (S, T, PS, KS), extended to the Gang of Six with C = K*F + Kff
+// twoDof: only shown when F or Kff is defined
+const SENSITIVITY_FUNCTIONS = [
+    { id: 'S', label: 'S', peakLabel: 'Ms', expr: '1/(1 + P*K)', color: CONSTANTS.COLORS.S },
+    { id: 'T', label: 'T', peakLabel: 'Mt', expr: 'P*K/(1 + P*K)', color: CONSTANTS.COLORS.T },
+    { id: 'PS', label: 'PS', peakLabel: '‖PS‖∞', expr: 'P/(1 + P*K)', color: CONSTANTS.COLORS.YD },
+    { id: 'KS', label: 'KS', peakLabel: '‖KS‖∞', expr: 'K/(1 + P*K)', color: CONSTANTS.COLORS.KS },
+    { id: 'CS', label: 'CS', peakLabel: '‖CS‖∞', expr: '(K*F + Kff)/(1 + P*K)', color: CONSTANTS.COLORS.UR, twoDof: true },
+    { id: 'CPS', label: 'CPS', peakLabel: '‖CPS‖∞', expr: 'P*(K*F + Kff)/(1 + P*K)', color: CONSTANTS.COLORS.RY, twoDof: true }
+];
+
+// Disturbance and control signal responses to the step panel input (1-DOF loop, P and K needed except for S)
+//   PS: input disturbance d → y,  S: output disturbance → y,  KS: reference r → control signal u
+// option: displayOptions flag of the step response toggle
+const STEP_DISTURBANCE_RESPONSES = [
+    { id: 'PS', label: 'P·S', title: 'Input disturbance response (d→y)', option: 'showPSstep', color: CONSTANTS.COLORS.YD },
+    { id: 'S', label: 'S', title: 'Output disturbance step', option: 'showSstep', color: CONSTANTS.COLORS.S },
+    { id: 'KS', label: 'u', title: 'Control signal u(t) for the reference input (K·S)', option: 'showKSstep', color: CONSTANTS.COLORS.KS }
+];
+
+// ============================================================================
+// Frequency-Domain Specifications
+// ============================================================================
+// Variables in the code that define bounds on the Bode gain of L, T or S:
+//   weight: |target| < 1/|W| (W is a transfer function or a constant)
+//   table:  [ω1, dB1; ω2, dB2; ...] interpolated linearly in log ω
+const SPEC_BOUNDS = [
+    { name: 'Wp', kind: 'weight', target: 'S', type: 'upper', label: '|S| < 1/|Wp|' },
+    { name: 'Wt', kind: 'weight', target: 'T', type: 'upper', label: '|T| < 1/|Wt|' },
+    { name: 'Smax', kind: 'table', target: 'S', type: 'upper', label: '|S| < Smax' },
+    { name: 'Tmax', kind: 'table', target: 'T', type: 'upper', label: '|T| < Tmax' },
+    { name: 'Lmin', kind: 'table', target: 'L', type: 'lower', label: '|L| > Lmin' },
+    { name: 'Lmax', kind: 'table', target: 'L', type: 'upper', label: '|L| < Lmax' }
+];
+
+// ============================================================================
+// Disk Margins
+// ============================================================================
+// Skews σ of the disk margins reported in the Stability panel (largest α with
+// ‖S + (σ-1)/2‖∞ < 1/α): balanced (σ = 0), T-based (σ = -1) and S-based (σ = 1)
+const DISK_MARGIN_SKEWS = [
+    { sigma: 0, label: 'balanced' },
+    { sigma: -1, label: 'T-based' },
+    { sigma: 1, label: 'S-based' }
+];
+
 // ============================================================================
 // Display Options (consolidated global state)
 // ============================================================================
@@ -52,7 +117,17 @@ const displayOptions = {
 
     // Step Response visibility
     showLstep: false,
-    showTstep: true
+    showTstep: true,
+    showPSstep: false,  // Input disturbance step (P·S)
+    showSstep: false,   // Output disturbance step (S)
+    showKSstep: false,  // Control signal u(t) (K·S)
+
+    // 2-DOF loop map visibility per view (keys are LOOP_MAPS ids)
+    loopMaps: {
+        bode: { ry: false, ur: false, yd: false, yn: false },
+        step: { ry: false, ur: false, yd: false, yn: false },
+        pz: { ry: false, ur: false, yd: false, yn: false }
+    }
 };
 
 // ============================================================================
@@ -84,6 +159,10 @@ let updateTimeout = null;
 // Auto frequency range flag
 let autoFreq = true;
 
+// Sample time Ts of a discrete-time (z-domain) design, null for continuous time.
+// Set by updateAll() when L contains the variable z.
+let samplingTime = null;
+
 // ============================================================================
 // Step Response Options
 // ============================================================================
@@ -91,7 +170,14 @@ let stepOptions = {
     autoTime: true,        // Auto-calculate time range from dominant pole
     timeMax: 20,           // Manual time range (seconds, used when autoTime is false)
     autoTimeMultiplier: 10, // Multiplier for auto time: T = multiplier / |Re(dominant pole)|
-    showMetrics: false     // Show performance metrics (rise time, settling time, etc.)
+    showMetrics: false,    // Show performance metrics (rise time, settling time, etc.)
+    inputSignal: 'step',   // Input: 'step', 'impulse', 'ramp', 'parabola', 'sine', 'square', 'chirp' or 'custom'
+    inputFrequency: 1,     // Sine and square wave frequency [rad/s]
+    chirpFreqMin: 0.1,     // Chirp start frequency [rad/s] (logarithmic sweep over the time range)
+    chirpFreqMax: 10,      // Chirp end frequency [rad/s]
+    inputDuty: 50,         // Square wave (pulse train) duty cycle [%]
+    customInput: '',       // Custom input as "t, r" lines (pasted CSV)
+    showError: false       // Show tracking error e = r - y of T
 };
 
 // ============================================================================
@@ -101,6 +187,8 @@ let bodeOptions = {
     showMarginLines: true,      // Show GM/PM lines
     showCrossoverLines: true,   // Show gain/phase crossover lines
     showPoleZeroFrequencies: true, // Show vertical lines at pole/zero frequencies (|p| or |z|)
+    showContinuousEquivalent: true, // Overlay continuous-time L(s) of a c2d() design (dashed)
+    showMeasuredData: true,     // Overlay the measured plant P of an frd() design (dotted)
     autoScaleVertical: true,    // Auto-scale vertical axis
     // Custom range values (used when autoScaleVertical is false)
     gainMin: -60,
@@ -115,7 +203,8 @@ let bodeOptions = {
 let pzmapOptions = {
     autoScale: true,            // Auto-scale based on poles/zeros
     scaleMax: 10,               // Manual scale max value (used when autoScale is false)
-    autoScaleMultiplier: 1.5    // Multiplier for auto scale margin
+    autoScaleMultiplier: 1.5,   // Multiplier for auto scale margin
+    locusParameter: null        // Slider swept for the closed-loop pole traces (null = off)
 };
 
 // ============================================================================
@@ -125,6 +214,30 @@ let nyquistOptions = {
     showStabilityMargin: true   // Show stability margin (PM arc and GM line) on Nyquist plot
 };
 
+// ============================================================================
+// Nichols Chart Options
+// ============================================================================
+let nicholsOptions = {
+    showGrid: true,             // Show M-circles and N-contours
+    showStabilityMargin: true   // Show GM/PM segments
+};
+
+// ============================================================================
+// Root Locus Options
+// ============================================================================
+let rootLocusOptions = {
+    parameter: null,            // Swept slider name (null = first slider that L is proportional to)
+    showAsymptotes: true        // Show asymptotes of the branches going to infinity
+};
+
+// ============================================================================
+// Monte Carlo Options
+// ============================================================================
+let monteCarloOptions = {
+    samples: 100,               // Number of random parameter samples per run
+    seed: 1                     // Random seed (runs are reproducible)
+};
+
 // ============================================================================
 // Design Comparison Snapshots
 // ============================================================================
@@ -160,7 +273,11 @@ const PANEL_DEFINITIONS = [
     { id: 'stability', component: 'stability', title: 'Stability' },
     { id: 'pole-zero', component: 'pole-zero', title: 'Pole-Zero Map' },
     { id: 'nyquist', component: 'nyquist', title: 'Nyquist Plot' },
-    { id: 'step-response', component: 'step-response', title: 'Step Response' }
+    { id: 'step-response', component: 'step-response', title: 'Step Response' },
+    { id: 'sensitivity', component: 'sensitivity', title: 'Sensitivity Functions' },
+    { id: 'nichols', component: 'nichols', title: 'Nichols Chart' },
+    { id: 'root-locus', component: 'root-locus', title: 'Root Locus' },
+    { id: 'monte-carlo', component: 'monte-carlo', title: 'Monte Carlo' }
 ];
 
 // Get dockview-core from global scope (UMD build uses window["dockview-core"])
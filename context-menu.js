@@ -29,10 +29,8 @@ function exportBodePlotAsSVG() {
     if (!width || !height) return;
 
     // Get transfer functions from currentVars (same as updateBodePlot in main.js)
-    const L = currentVars.L;
-    const T = currentVars.T;
-    const S = currentVars.S;
-    if (!L || !L.isNode) {
+    const transferFunctions = buildBodeTransferFunctions();
+    if (!transferFunctions) {
         showToast('No transfer function defined', 'warning');
         return;
     }
@@ -41,62 +39,15 @@ function exportBodePlotAsSVG() {
     const svgCtx = new C2S(width, height);
 
     // Get current frequency range
-    const w = logspace(design.freqMin, design.freqMax, design.freqPoints);
-
-    // Build transfer functions array
-    const transferFunctions = [
-        {
-            compiled: L.compile(),
-            gainColor: CONSTANTS.COLORS.L,
-            phaseColor: CONSTANTS.COLORS.L,
-            visible: displayOptions.showL
-        }
-    ];
-
-    if (T && T.isNode) {
-        transferFunctions.push({
-            compiled: T.compile(),
-            gainColor: CONSTANTS.COLORS.T,
-            phaseColor: CONSTANTS.COLORS.T,
-            visible: displayOptions.showT
-        });
-    }
-
-    if (S && S.isNode) {
-        transferFunctions.push({
-            compiled: S.compile(),
-            gainColor: CONSTANTS.COLORS.S,
-            phaseColor: CONSTANTS.COLORS.S,
-            visible: displayOptions.showS
-        });
-    }
-
-    // Get poles and zeros for frequency markers
-    let poleZeroFrequencies = null;
-    if (bodeOptions.showPoleZeroFrequencies && currentVars.analysis) {
-        const olPZ = currentVars.analysis.openLoopPolesZeros;
-        if (olPZ) {
-            poleZeroFrequencies = {
-                poles: olPZ.poles || [],
-                zeros: olPZ.zeros || []
-            };
-        }
-    }
+    const w = getFrequencyGrid();
 
     // Draw to SVG context
     drawBodeMulti(transferFunctions, w, null, null, {
+        ...getBodeDrawOptions(),
+        controllerHandles: null,
         ctx: svgCtx,
         width: width,
-        height: height,
-        showMarginLines: bodeOptions.showMarginLines,
-        showCrossoverLines: bodeOptions.showCrossoverLines,
-        showPoleZeroFrequencies: bodeOptions.showPoleZeroFrequencies,
-        poleZeroFrequencies: poleZeroFrequencies,
-        autoScaleVertical: bodeOptions.autoScaleVertical,
-        gainMin: bodeOptions.gainMin,
-        gainMax: bodeOptions.gainMax,
-        phaseMin: bodeOptions.phaseMin,
-        phaseMax: bodeOptions.phaseMax
+        height: height
     });
 
     downloadSvg(svgCtx.getSerializedSvg(true), 'bode-plot.svg');
@@ -128,51 +79,10 @@ function exportStepResponseAsSVG() {
     // Get current time range (auto or manual)
     const stepTimeMax = getStepTimeMax();
 
-    const structure = analysis.lStructure;
-    const delayL = stepData.delayL;
-    const LCoeffs = stepData.LCoeffs;
-    const ssL = stepData.ssL;
-
-    // Choose simulation resolution
-    let nPoints = 500;
-    if (structure.type === 'rational_delay' && delayL > 0) {
-        const dtTarget = delayL / 25;
-        if (dtTarget > 0) {
-            nPoints = Math.max(nPoints, Math.ceil(stepTimeMax / dtTarget) + 1);
-        }
-        nPoints = Math.min(nPoints, 20000);
-    }
-
     let simData = null;
 
     try {
-        if (structure.type === 'rational_delay') {
-            const simL = simulateStepResponse(ssL, null, stepTimeMax, nPoints, delayL, 0);
-            const simT = simulateClosedLoopStepResponseLoopDelay(ssL, delayL, stepTimeMax, nPoints);
-            simData = { time: simL.time, yL: simL.yL, yT: simT.y };
-        } else {
-            // Build state-space for T = L/(1+L)
-            let ssT = null;
-            try {
-                const Tnum = LCoeffs.num.slice();
-                let Tden = [];
-                const maxLen = Math.max(LCoeffs.num.length, LCoeffs.den.length);
-                const numPadded = LCoeffs.num.slice();
-                const denPadded = LCoeffs.den.slice();
-                while (numPadded.length < maxLen) numPadded.push(0);
-                while (denPadded.length < maxLen) denPadded.push(0);
-                for (let i = 0; i < maxLen; i++) {
-                    Tden.push(numPadded[i] + denPadded[i]);
-                }
-                while (Tden.length > 1 && Math.abs(Tden[Tden.length - 1]) < 1e-15) {
-                    Tden.pop();
-                }
-                ssT = tf2ss(Tnum, Tden);
-            } catch (e) {
-                console.log('Step SVG export: Cannot build T state-space:', e);
-            }
-            simData = simulateStepResponse(ssL, ssT, stepTimeMax, nPoints, 0, 0);
-        }
+        simData = computeStepSimulation(analysis, stepTimeMax);
     } catch (e) {
         showToast('Step response simulation failed', 'warning');
         console.log('Step SVG export error:', e);
@@ -233,12 +143,14 @@ function exportNyquistPlotAsSVG() {
     // Get stability margins for display (only if enabled and closed-loop is stable)
     let phaseMargins = null;
     let gainMargins = null;
+    let diskMargins = null;
     if (nyquistOptions.showStabilityMargin && analysis.isClosedLoopStable) {
         const margins = analysis.stabilityMargins;
         if (margins) {
             phaseMargins = margins.phaseMargins;
             gainMargins = margins.gainMargins;
         }
+        diskMargins = analysis.diskMargins;
     }
 
     // Create SVG context using canvas2svg
@@ -253,7 +165,9 @@ function exportNyquistPlotAsSVG() {
         phaseMargins: phaseMargins,
         showPhaseMarginArc: nyquistOptions.showStabilityMargin,
         gainMargins: gainMargins,
-        showGainMarginLine: nyquistOptions.showStabilityMargin
+        showGainMarginLine: nyquistOptions.showStabilityMargin,
+        diskMargins: diskMargins,
+        uncertaintyFamily: getUncertaintyNyquistFamily()
     });
 
     downloadSvg(svgCtx.getSerializedSvg(true), 'nyquist-plot.svg');
@@ -292,6 +206,65 @@ function exportPoleZeroMapAsSVG() {
     downloadSvg(svgCtx.getSerializedSvg(true), 'pole-zero-map.svg');
 }
 
+// Export Nichols chart as SVG
+function exportNicholsPlotAsSVG() {
+    const prefix = isNarrowLayout ? 'narrow-' : '';
+    const wrapper = document.getElementById(prefix + 'nichols-wrapper');
+    if (!wrapper) return;
+
+    const width = wrapper.clientWidth;
+    const height = wrapper.clientHeight;
+    if (!width || !height) return;
+
+    const w = getFrequencyGrid();
+    const response = computeNicholsResponse(w);
+    if (!response) {
+        showToast('No transfer function defined', 'warning');
+        return;
+    }
+
+    // Create SVG context using canvas2svg
+    const svgCtx = new C2S(width, height);
+
+    drawNicholsChart(response, w, null, null, {
+        ...getNicholsDrawOptions(),
+        ctx: svgCtx,
+        width: width,
+        height: height
+    });
+
+    downloadSvg(svgCtx.getSerializedSvg(true), 'nichols-chart.svg');
+}
+
+// Export root locus as SVG
+function exportRootLocusPlotAsSVG() {
+    const prefix = isNarrowLayout ? 'narrow-' : '';
+    const wrapper = document.getElementById(prefix + 'root-locus-wrapper');
+    if (!wrapper) return;
+
+    const width = wrapper.clientWidth;
+    const height = wrapper.clientHeight;
+    if (!width || !height) return;
+
+    const data = computeRootLocus();
+    if (data.error) {
+        showToast(data.error, 'warning');
+        return;
+    }
+
+    // Create SVG context using canvas2svg
+    const svgCtx = new C2S(width, height);
+
+    drawRootLocus(data, null, null, {
+        ...getRootLocusDrawOptions(data),
+        ctx: svgCtx,
+        width: width,
+        height: height
+    });
+
+    downloadSvg(svgCtx.getSerializedSvg(true), 'root-locus.svg');
+}
+
 // ============================================================================
 // Context Menu State
 // ============================================================================
@@ -459,6 +432,26 @@ function setupPlotContextMenu(config) {
     setupMenuItemHandlers(config.menuInnerId, config.onItemSelect, contextMenu);
 }
 
+// ============================================================================
+// 2-DOF Loop Map Menu Items
+// ============================================================================
+
+// Menu items '<menuPrefix>-opt-map-<id>' toggle displayOptions.loopMaps[view][id]
+function syncLoopMapMenuItems(menuPrefix, view) {
+    LOOP_MAPS.forEach(map => {
+        const item = document.getElementById(`${menuPrefix}-opt-map-${map.id}`);
+        if (item) item.checked = displayOptions.loopMaps[view][map.id];
+    });
+}
+
+// Returns true if the item was a loop map toggle
+function handleLoopMapMenuItem(item, view) {
+    const match = item.id.match(/-opt-map-(\w+)$/);
+    if (!match || !(match[1] in displayOptions.loopMaps[view])) return false;
+    displayOptions.loopMaps[view][match[1]] = item.checked;
+    return true;
+}
+
 // ============================================================================
 // Bode Context Menu
 // ============================================================================
@@ -483,6 +476,8 @@ function setupBodeContextMenu() {
     const optMarginLines = document.getElementById('bode-opt-margin-lines');
     const optCrossoverLines = document.getElementById('bode-opt-crossover-lines');
     const optPzFrequencies = document.getElementById('bode-opt-pz-frequencies');
+    const optContinuousEquivalent = document.getElementById('bode-opt-continuous-equivalent');
+    const optMeasuredData = document.getElementById('bode-opt-measured-data');
     const optAutoScale = document.getElementById('bode-opt-auto-scale');
     const optAutoFreq = document.getElementById('bode-opt-auto-freq');
     const customRangePanel = document.getElementById('bode-custom-range-panel');
@@ -498,6 +493,9 @@ function setupBodeContextMenu() {
     if (optMarginLines) optMarginLines.checked = bodeOptions.showMarginLines;
     if (optCrossoverLines) optCrossoverLines.checked = bodeOptions.showCrossoverLines;
     if (optPzFrequencies) optPzFrequencies.checked = bodeOptions.showPoleZeroFrequencies;
+    if (optContinuousEquivalent) optContinuousEquivalent.checked = bodeOptions.showContinuousEquivalent;
+    if (optMeasuredData) optMeasuredData.checked = bodeOptions.showMeasuredData;
+    syncLoopMapMenuItems('bode', 'bode');
     if (optAutoScale) optAutoScale.checked = bodeOptions.autoScaleVertical;
     if (optAutoFreq) optAutoFreq.checked = autoFreq;
 
@@ -594,6 +592,14 @@ function setupBodeContextMenu() {
     }
 
     bodeWrapper.addEventListener('contextmenu', (e) => {
+        // Frequency under the cursor for the lead/lag wizard
+        const w = getFrequencyGrid();
+        const rect = bodeWrapper.getBoundingClientRect();
+        const plotWidth = bodeWrapper.clientWidth - CONSTANTS.MARGINS.LEFT - CONSTANTS.MARGINS.RIGHT;
+        const p = clip((e.clientX - rect.left - CONSTANTS.MARGINS.LEFT) / plotWidth, 0, 1);
+        const logMin = Math.log10(w[0]);
+        leadLagFrequency = Math.pow(10, logMin + p * (Math.log10(w[w.length - 1]) - logMin));
+
         syncBodeContextMenuState();
         showContextMenuAtCursor(contextMenu, contextAnchor, e);
     });
@@ -622,6 +628,12 @@ function setupBodeContextMenu() {
             case 'bode-opt-pz-frequencies':
                 bodeOptions.showPoleZeroFrequencies = item.checked;
                 break;
+            case 'bode-opt-continuous-equivalent':
+                bodeOptions.showContinuousEquivalent = item.checked;
+                break;
+            case 'bode-opt-measured-data':
+                bodeOptions.showMeasuredData = item.checked;
+                break;
             case 'bode-opt-auto-scale':
                 bodeOptions.autoScaleVertical = item.checked;
                 if (customRangePanel) {
@@ -641,9 +653,14 @@ function setupBodeContextMenu() {
                     if (freqMaxInput) freqMaxInput.value = design.freqMax;
                 }
                 break;
+            case 'bode-insert-leadlag':
+                showLeadLagDialog();
+                return;
             case 'bode-export-svg':
                 exportBodePlotAsSVG();
                 return; // Don't call updateBodePlot for export
+            default:
+                handleLoopMapMenuItem(item, 'bode');
         }
         updateBodePlot();
         updateBrowserUrl();
@@ -656,9 +673,37 @@ function setupBodeContextMenu() {
 // Step Response Context Menu
 // ============================================================================
 
+// Show the parameters of the selected input signal in the step context menu
+function updateStepInputPanel() {
+    const signal = stepOptions.inputSignal;
+    const show = (id, visible) => {
+        const el = document.getElementById(id);
+        if (el) el.style.display = visible ? '' : 'none';
+    };
+    show('step-input-panel', ['sine', 'square', 'chirp', 'custom'].includes(signal));
+    show('step-input-frequency-row', signal === 'sine' || signal === 'square');
+    show('step-input-chirp-row', signal === 'chirp');
+    show('step-input-duty-row', signal === 'square');
+    show('step-input-custom-row', signal === 'custom');
+
+    // Simulation mode items of the context menu
+    ['impulse', 'chirp'].forEach(mode => {
+        const item = document.getElementById('step-opt-mode-' + mode);
+        if (item) item.checked = signal === mode;
+    });
+}
+
 function setupStepContextMenu() {
     const customTimePanel = document.getElementById('step-custom-time-panel');
     const timeMaxInput = document.getElementById('step-time-max-input');
+    const frequencyInput = document.getElementById('step-input-frequency');
+    const dutyInput = document.getElementById('step-input-duty');
+    const chirpMinInput = document.getElementById('step-input-chirp-min');
+    const chirpMaxInput = document.getElementById('step-input-chirp-max');
+    const customInput = document.getElementById('step-input-custom');
+
+    // sl-menu uses Enter, space and letters for item selection: keep them in the textarea
+    attachListenerOnce(customInput, 'keydown', (e) => e.stopPropagation());
 
     setupPlotContextMenu({
         wrapperId: 'step-wrapper',
@@ -670,12 +715,21 @@ function setupStepContextMenu() {
         initializeState: function() {
             const optAutoTime = document.getElementById('step-opt-auto-time');
             const optShowMetrics = document.getElementById('step-opt-show-metrics');
+            const optShowError = document.getElementById('step-opt-show-error');
             if (optAutoTime) optAutoTime.checked = stepOptions.autoTime;
             if (optShowMetrics) optShowMetrics.checked = stepOptions.showMetrics;
+            if (optShowError) optShowError.checked = stepOptions.showError;
+            syncLoopMapMenuItems('step', 'step');
             if (customTimePanel) {
                 customTimePanel.style.display = stepOptions.autoTime ? 'none' : 'block';
             }
             if (timeMaxInput) timeMaxInput.value = stepOptions.timeMax;
+            if (frequencyInput) frequencyInput.value = stepOptions.inputFrequency;
+            if (dutyInput) dutyInput.value = stepOptions.inputDuty;
+            if (chirpMinInput) chirpMinInput.value = stepOptions.chirpFreqMin;
+            if (chirpMaxInput) chirpMaxInput.value = stepOptions.chirpFreqMax;
+            if (customInput) customInput.value = stepOptions.customInput;
+            updateStepInputPanel();
         },
 
         inputs: [
@@ -685,6 +739,47 @@ function setupStepContextMenu() {
                     stepOptions.timeMax = parseFloat(timeMaxInput.value) || 20;
                     if (!stepOptions.autoTime) updateStepResponsePlot();
                 }
+            },
+            {
+                id: 'step-input-frequency',
+                onChange: function() {
+                    stepOptions.inputFrequency = parseFloat(frequencyInput.value) || 1;
+                    updateStepResponsePlot();
+                    updateBrowserUrl();
+                }
+            },
+            {
+                id: 'step-input-chirp-min',
+                onChange: function() {
+                    stepOptions.chirpFreqMin = parseFloat(chirpMinInput.value) || 0.1;
+                    updateStepResponsePlot();
+                    updateBrowserUrl();
+                }
+            },
+            {
+                id: 'step-input-chirp-max',
+                onChange: function() {
+                    stepOptions.chirpFreqMax = parseFloat(chirpMaxInput.value) || 10;
+                    updateStepResponsePlot();
+                    updateBrowserUrl();
+                }
+            },
+            {
+                id: 'step-input-duty',
+                onChange: function() {
+                    const duty = parseFloat(dutyInput.value);
+                    stepOptions.inputDuty = isNaN(duty) ? 50 : Math.max(0, Math.min(100, duty));
+                    updateStepResponsePlot();
+                    updateBrowserUrl();
+                }
+            },
+            {
+                id: 'step-input-custom',
+                onChange: function() {
+                    stepOptions.customInput = customInput.value;
+                    updateStepResponsePlot();
+                    updateBrowserUrl();
+                }
             }
         ],
 
@@ -709,6 +804,16 @@ function setupStepContextMenu() {
                 stepOptions.showMetrics = item.checked;
                 updateStepResponsePlot();
                 updateBrowserUrl();
+            } else if (item.id === 'step-opt-mode-impulse' || item.id === 'step-opt-mode-chirp') {
+                // Modes are exclusive; unchecking returns to the step response
+                stepOptions.inputSignal = item.checked ? item.value.replace('mode-', '') : 'step';
+                updateStepInputPanel();
+                updateStepResponsePlot();
+                updateBrowserUrl();
+            } else if (item.id === 'step-opt-show-error') {
+                stepOptions.showError = item.checked;
+                updateStepResponsePlot();
+                updateBrowserUrl();
             } else if (item.id === 'step-opt-auto-time') {
                 stepOptions.autoTime = item.checked;
                 if (customTimePanel) {
@@ -724,6 +829,7 @@ function setupStepContextMenu() {
                 exportStepResponseAsSVG();
                 return; // Don't call updateStepResponsePlot for export
             } else {
+                handleLoopMapMenuItem(item, 'step');
                 updateStepResponsePlot();
             }
         }
@@ -748,6 +854,7 @@ function setupPzmapContextMenu() {
         initializeState: function() {
             const optAutoScale = document.getElementById('pzmap-opt-auto-scale');
             if (optAutoScale) optAutoScale.checked = pzmapOptions.autoScale;
+            syncLoopMapMenuItems('pzmap', 'pz');
             if (customScalePanel) {
                 customScalePanel.style.display = pzmapOptions.autoScale ? 'none' : 'block';
             }
@@ -794,6 +901,7 @@ function setupPzmapContextMenu() {
                 exportPoleZeroMapAsSVG();
                 return; // Don't call updatePolePlot for export
             } else {
+                handleLoopMapMenuItem(item, 'pz');
                 updatePolePlot();
             }
         }
@@ -830,3 +938,65 @@ function setupNyquistContextMenu() {
         }
     });
 }
+
+// ============================================================================
+// Nichols Context Menu
+// ============================================================================
+
+function setupNicholsContextMenu() {
+    setupPlotContextMenu({
+        wrapperId: 'nichols-wrapper',
+        menuId: 'nichols-context-menu',
+        anchorId: 'nichols-context-menu-anchor',
+        menuInnerId: 'nichols-context-menu-inner',
+        narrowMenuBtnId: 'narrow-nichols-menu-btn',
+
+        initializeState: function() {
+            const optGrid = document.getElementById('nichols-opt-grid');
+            const optStabilityMargin = document.getElementById('nichols-opt-stability-margin');
+            if (optGrid) optGrid.checked = nicholsOptions.showGrid;
+            if (optStabilityMargin) optStabilityMargin.checked = nicholsOptions.showStabilityMargin;
+        },
+
+        onItemSelect: function(item) {
+            if (item.id === 'nichols-opt-grid') {
+                nicholsOptions.showGrid = item.checked;
+            } else if (item.id === 'nichols-opt-stability-margin') {
+                nicholsOptions.showStabilityMargin = item.checked;
+            } else if (item.id === 'nichols-export-svg') {
+                exportNicholsPlotAsSVG();
+                return; // Don't call updateNicholsPlot for export
+            }
+            updateNicholsPlot();
+        }
+    });
+}
+
+// ============================================================================
+// Root Locus Context Menu
+// ============================================================================
+
+function setupRootLocusContextMenu() {
+    setupPlotContextMenu({
+        wrapperId: 'root-locus-wrapper',
+        menuId: 'root-locus-context-menu',
+        anchorId: 'root-locus-context-menu-anchor',
+        menuInnerId: 'root-locus-context-menu-inner',
+        narrowMenuBtnId: 'narrow-root-locus-menu-btn',
+
+        initializeState: function() {
+            const optAsymptotes = document.getElementById('root-locus-opt-asymptotes');
+            if (optAsymptotes) optAsymptotes.checked = rootLocusOptions.showAsymptotes;
+        },
+
+        onItemSelect: function(item) {
+            if (item.id === 'root-locus-opt-asymptotes') {
+                rootLocusOptions.showAsymptotes = item.checked;
+            } else if (item.id === 'root-locus-export-svg') {
+                exportRootLocusPlotAsSVG();
+                return; // Don't call updateRootLocusPlot for export
+            }
+            updateRootLocusPlot();
+        }
+    });
+}
@@ -17,6 +17,11 @@ const EXAMPLE_CONTROLLERS = [
     latex: 'K(s) = K_\\mathrm{P}\\left(1 + \\frac{1}{T_\\mathrm{I} s}\\right)',
     code: 'Kp = 1\nTi = 0.5\nK = Kp * (1 + 1/(Ti*s))'
   },
+  {
+    name: 'PI Controller (saturation + anti-windup)',
+    latex: 'K(s) = K_\\mathrm{P}\\left(1 + \\frac{1}{T_\\mathrm{I} s}\\right),\\ |u| \\le u_\\mathrm{max}',
+    code: 'Kp = 1\nTi = 0.5\nK = Kp * (1 + 1/(Ti*s))\numax = 1\nKaw = 1/Ti'
+  },
 
   {
     name: 'PD Controller (Ideal)',
@@ -86,6 +91,21 @@ const EXAMPLE_PLANTS = [
     latex: 'e^{-L_\\mathrm{d} s}\\approx\\text{pade\\_delay}(L_\\mathrm{d},n,m)',
     code: 'Ld = 0.5\nD = pade_delay(Ld, 3, 3)'
   },
+  {
+    name: 'Sampled Plant (ZOH)',
+    latex: 'P_\\mathrm{d}(z)=\\text{c2d}(P, T_\\mathrm{s}, \\text{zoh})',
+    code: 'Ts = 0.1\nPd = c2d(P, Ts)'
+  },
+  {
+    name: 'Mass-Spring-Damper (State Space)',
+    latex: '\\dot{x}=\\begin{bmatrix}0&1\\\\-\\frac{k}{m}&-\\frac{c}{m}\\end{bmatrix}x+\\begin{bmatrix}0\\\\\\frac{1}{m}\\end{bmatrix}u,\\ y=\\begin{bmatrix}1&0\\end{bmatrix}x',
+    code: 'm = 1\nc = 0.5\nk = 2\nA = [0, 1; -k/m, -c/m]\nB = [0; 1/m]\nC = [1, 0]\nP = ss(A, B, C, 0)'
+  },
+  {
+    name: 'Two-Mass-Spring (State Space)',
+    latex: '\\dot{x}=\\begin{bmatrix}0&1&0&0\\\\-\\frac{k}{m_1}&-\\frac{c}{m_1}&\\frac{k}{m_1}&\\frac{c}{m_1}\\\\0&0&0&1\\\\\\frac{k}{m_2}&\\frac{c}{m_2}&-\\frac{k}{m_2}&-\\frac{c}{m_2}\\end{bmatrix}x+\\begin{bmatrix}0\\\\\\frac{1}{m_1}\\\\0\\\\0\\end{bmatrix}u,\\ y=\\begin{bmatrix}0&0&1&0\\end{bmatrix}x',
+    code: 'm1 = 1\nm2 = 0.5\nc = 0.2\nk = 2\nA = [0, 1, 0, 0; -k/m1, -c/m1, k/m1, c/m1; 0, 0, 0, 1; k/m2, c/m2, -k/m2, -c/m2]\nB = [0; 1/m1; 0; 0]\nC = [0, 0, 1, 0]\nP = ss(A, B, C, 0)'
+  },
 
   {
     name: 'Second-order System',
@@ -46,6 +46,87 @@ function convertToPythonSyntax(expr) {
         .trim();
 }
 
+// Rewrite the matrix literals [a, b; c, d] of a line with formatRows(rows),
+// where rows are arrays of the element strings (space-separated elements are
+// separated with normalizeMatrixLiterals() first)
+function convertMatrixLiterals(line, formatRows) {
+    return line.replace(/\[([^\[\]]*)\]/g, (match, body) =>
+        formatRows(body.split(';').map(row => row.split(',').map(item => item.trim()))));
+}
+
+// Wrap the poly() calls of a line that are not a coefficient argument of tf() with wrap(call).
+// Outside tf(), poly(r) is the polynomial in s, while poly() in MATLAB, NumPy and Julia
+// returns its coefficient vector.
+function wrapStandalonePoly(line, wrap) {
+    let result = '';
+    const calls = [];  // Names of the open calls ('' for brackets and plain parentheses)
+    let i = 0;
+    while (i < line.length) {
+        const match = /^poly\s*\(/.exec(line.slice(i));
+        if (match && !/[\w.]/.test(line[i - 1] || '')) {
+            let end = i + match[0].length - 1;
+            for (let depth = 0; end < line.length; end++) {
+                if ('(['.includes(line[end])) depth++;
+                if (')]'.includes(line[end]) && --depth === 0) break;
+            }
+            const call = line.slice(i, end + 1);
+            const before = result.trimEnd().slice(-1);
+            const after = line.slice(end + 1).trimStart().charAt(0);
+            const isArgument = calls[calls.length - 1] === 'tf' && '(,'.includes(before) && ',)'.includes(after);
+            result += isArgument ? call : wrap(call);
+            i = end + 1;
+            continue;
+        }
+
+        const ch = line[i];
+        if (ch === '(') {
+            const name = /(\w+)\s*$/.exec(line.slice(0, i));
+            calls.push(name ? name[1] : '');
+        } else if (ch === '[') {
+            calls.push('');
+        } else if (ch === ')' || ch === ']') {
+            calls.pop();
+        }
+        result += ch;
+        i++;
+    }
+    return result;
+}
+
+// Python: nested lists [[a, b], [c, d]] (row vectors stay flat lists)
+function formatPythonMatrix(rows) {
+    if (rows.length === 1) return '[' + rows[0].join(', ') + ']';
+    return '[' + rows.map(row => '[' + row.join(', ') + ']').join(', ') + ']';
+}
+
+// Julia: space-separated rows [a b; c d] (elements with spaces are parenthesized).
+// Row vectors stay vectors [a, b] for the coefficients of tf() and zpk().
+function formatJuliaMatrix(rows) {
+    if (rows.length === 1) return '[' + rows[0].join(', ') + ']';
+    return '[' + rows.map(row => row.map(item => /\s/.test(item) ? '(' + item + ')' : item).join(' ')).join('; ') + ']';
+}
+
+// The Laplace variable s is needed for continuous-time designs and for c2d() arguments
+function usesLaplaceVariable() {
+    return !samplingTime || /\bs\b/.test(design.code);
+}
+
+// 2-DOF designs may omit L: append its default definition L = K * P
+function appendDefaultLoop(codeLines) {
+    const defines = name => codeLines.some(line => new RegExp('^\\s*' + name + '\\s*=').test(line));
+    if (defines('L') || !defines('P') || !defines('K')) return codeLines;
+    return [...codeLines, 'L = K * P'];
+}
+
+// Insert the definition of z for a discrete-time design right after the line
+// defining Ts (or at the top when Ts is a slider parameter)
+function insertDiscreteVariable(codeLines, zLine) {
+    const result = codeLines.slice();
+    const tsIndex = result.findIndex(line => /^\s*Ts\s*=/.test(line));
+    result.splice(tsIndex + 1, 0, zLine);
+    return result;
+}
+
 // ============================================================================
 // MATLAB Code Generation
 // ============================================================================
@@ -53,8 +134,10 @@ function convertToPythonSyntax(expr) {
 function generateMatlabCode() {
     const lines = [];
 
-    lines.push('s = tf(\'s\');');
-    lines.push('');
+    if (usesLaplaceVariable()) {
+        lines.push('s = tf(\'s\');');
+        lines.push('');
+    }
 
     // Add parameters with current values
     if (design.sliders && design.sliders.length > 0) {
@@ -70,9 +153,14 @@ function generateMatlabCode() {
 
     // Add system definition
     lines.push('% System definition');
-    const codeLines = design.code.split('\n').filter(line => line.trim());
+    let codeLines = appendDefaultLoop(design.code.split('\n').filter(line => line.trim()));
+    if (samplingTime) codeLines = insertDiscreteVariable(codeLines, 'z = tf(\'z\', Ts);');
+    if (codeLines.some(line => /\bfrd\s*\(/.test(line))) {
+        lines.push('% Note: frd(s) is the imported measured data. Load it as');
+        lines.push('% P = frd(mag .* exp(1j*phase), w) (magnitude, phase [rad], w [rad/s]).');
+    }
     codeLines.forEach(line => {
-        const matlabLine = convertToMatlabSyntax(line);
+        const matlabLine = convertToMatlabSyntax(normalizeMatrixLiterals(wrapStandalonePoly(line, call => 'tf(' + call + ', 1)'))).replace(/"(zoh|foh|tustin|matched)"/g, "'$1'");
         // Add semicolon if not present
         const trimmed = matlabLine.trim();
         if (trimmed && !trimmed.endsWith(';') && !trimmed.startsWith('%')) {
@@ -108,6 +196,7 @@ function generatePythonCode() {
 
     lines.push('import control as ctrl');
     lines.push('import matplotlib.pyplot as plt');
+    if (/\bpoly\s*\(/.test(design.code)) lines.push('import numpy as np');
     lines.push('');
 
     // Add parameters with current values
@@ -123,8 +212,9 @@ function generatePythonCode() {
 
     // Add system definition
     lines.push('# System definition');
-    lines.push('s = ctrl.TransferFunction.s');
-    const codeLines = design.code.split('\n').filter(line => line.trim());
+    let codeLines = appendDefaultLoop(design.code.split('\n').filter(line => line.trim()));
+    if (usesLaplaceVariable()) lines.push('s = ctrl.TransferFunction.s');
+    if (samplingTime) codeLines = insertDiscreteVariable(codeLines, 'z = ctrl.tf([1, 0], [1], Ts)');
     // Check if any line contains time delay pattern exp(-...*s)
     const hasDelay = codeLines.some(line => /exp\s*\(\s*-\s*[^)]+\s*\*?\s*s\s*\)/.test(line));
     if (hasDelay) {
@@ -132,9 +222,18 @@ function generatePythonCode() {
         lines.push('# You may need to use Pade approximation: num, den = ctrl.pade(T, 5)');
         lines.push('');
     }
+    if (codeLines.some(line => /\bfrd\s*\(/.test(line))) {
+        lines.push('# Note: frd(s) is the imported measured data. Load it as');
+        lines.push('# P = ctrl.frd(mag * np.exp(1j * phase), w) (magnitude, phase [rad], w [rad/s]).');
+        lines.push('');
+    }
     codeLines.forEach(line => {
-        // Convert to Python syntax (^ to **)
-        const pythonLine = convertToPythonSyntax(line);
+        // Convert to Python syntax (^ to **, c2d to sample_system, matrices to nested lists)
+        const polyLine = wrapStandalonePoly(line, call => 'tf(' + call + ', [1])');
+        const pythonLine = convertMatrixLiterals(convertToPythonSyntax(normalizeMatrixLiterals(polyLine)), formatPythonMatrix)
+            .replace(/\bc2d\s*\(/g, 'ctrl.sample_system(')
+            .replace(/\b(ss|tf|zpk)\s*\(/g, 'ctrl.$1(')
+            .replace(/\bpoly\s*\(/g, 'np.poly(');
         lines.push(pythonLine);
     });
     lines.push('L.name = \'L\'');
@@ -191,8 +290,9 @@ function generateJuliaCode() {
 
     // Add system definition
     lines.push('# System definition');
-    lines.push('s = tf("s")');
-    const codeLines = design.code.split('\n').filter(line => line.trim());
+    let codeLines = appendDefaultLoop(design.code.split('\n').filter(line => line.trim()));
+    if (usesLaplaceVariable()) lines.push('s = tf("s")');
+    if (samplingTime) codeLines = insertDiscreteVariable(codeLines, 'z = tf("z", Ts)');
     // Check if any line contains time delay pattern exp(-...*s)
     const hasDelay = codeLines.some(line => /exp\s*\(\s*-\s*[^)]+\s*\*?\s*s\s*\)/.test(line));
     if (hasDelay) {
@@ -201,9 +301,25 @@ function generateJuliaCode() {
         lines.push('# Workaround: Define P without delay, compute L = K*P, then apply delay(T) to L.');
         lines.push('');
     }
+    if (codeLines.some(line => /\bss\s*\(/.test(line))) {
+        lines.push('# Note: ss() needs C as a 1xn matrix, e.g. C = [1 0] instead of [1, 0].');
+        lines.push('');
+    }
+    if (codeLines.some(line => /\bpoly\s*\(/.test(line))) {
+        lines.push('# Note: poly() is not available. Replace poly(r) with the coefficients');
+        lines.push('# reverse(coeffs(fromroots(r))) (using Polynomials).');
+        lines.push('');
+    }
+    if (codeLines.some(line => /\bfrd\s*\(/.test(line))) {
+        lines.push('# Note: frd(s) is the imported measured data. Load it as');
+        lines.push('# P = FRD(w, mag .* exp.(im .* phase)) (magnitude, phase [rad], w [rad/s]).');
+        lines.push('');
+    }
     codeLines.forEach(line => {
-        // Julia uses ^ for power (same as math.js)
-        const juliaLine = line.trim();
+        // Julia uses ^ for power (same as math.js); c2d methods are symbols (:zoh)
+        const polyLine = wrapStandalonePoly(line.trim(), call => 'tf(' + call + ', [1])');
+        const juliaLine = convertMatrixLiterals(normalizeMatrixLiterals(polyLine), formatJuliaMatrix)
+            .replace(/,\s*["'](zoh|foh|tustin|matched)["']\s*\)/g, ', :$1)');
         lines.push(juliaLine);
     });
     lines.push('');
@@ -230,7 +346,8 @@ function generateJuliaCode() {
 function generateScilabCode() {
     const lines = [];
 
-    lines.push('s = %s;');
+    if (usesLaplaceVariable()) lines.push('s = %s;');
+    if (samplingTime) lines.push('z = %z;');
     lines.push('');
 
     // Add parameters with current values
@@ -246,16 +363,37 @@ function generateScilabCode() {
 
     // Add system definition
     lines.push('// System definition');
-    const codeLines = design.code.split('\n').filter(line => line.trim());
+    const codeLines = appendDefaultLoop(design.code.split('\n').filter(line => line.trim()));
     // Check if any line contains time delay pattern exp(-...*s)
     const hasDelay = codeLines.some(line => /exp\s*\(\s*-\s*[^)]+\s*\*?\s*s\s*\)/.test(line));
     if (hasDelay) {
         lines.push('// Note: Scilab does not support time delays (exp(-T*s)) in transfer functions.');
         lines.push('');
     }
+    if (codeLines.some(line => /\bc2d\s*\(/.test(line))) {
+        lines.push('// Note: Scilab has no c2d(). Replace c2d(G, Ts) with');
+        lines.push('// ss2tf(dscr(syslin(\'c\', G), Ts)) (zero-order hold only).');
+        lines.push('');
+    }
+    if (codeLines.some(line => /\bss\s*\(/.test(line))) {
+        lines.push('// Note: Scilab has no ss(). Replace ss(A, B, C, D) with');
+        lines.push('// ss2tf(syslin(\'c\', A, B, C, D)).');
+        lines.push('');
+    }
+    if (codeLines.some(line => /\b(tf|zpk|poly)\s*\(/.test(line))) {
+        lines.push('// Note: Scilab has no tf() or zpk(). Replace tf(num, den) with');
+        lines.push('// poly(num($:-1:1), \'s\', \'c\') / poly(den($:-1:1), \'s\', \'c\'),');
+        lines.push('// zpk(z, p, k) with k * poly(z, \'s\') / poly(p, \'s\') and poly(r) with poly(r, \'s\').');
+        lines.push('');
+    }
+    if (codeLines.some(line => /\bfrd\s*\(/.test(line))) {
+        lines.push('// Note: frd(s) is the imported measured data, which Scilab transfer functions');
+        lines.push('// cannot represent. Use a fitted model of P instead.');
+        lines.push('');
+    }
     codeLines.forEach(line => {
         // Scilab uses ^ for power (same as math.js)
-        const scilabLine = line.trim();
+        const scilabLine = normalizeMatrixLiterals(line.trim());
         // Add semicolon if not present
         if (scilabLine && !scilabLine.endsWith(';') && !scilabLine.startsWith('//')) {
             lines.push(scilabLine + ';');
@@ -263,7 +401,7 @@ function generateScilabCode() {
             lines.push(scilabLine);
         }
     });
-    lines.push('L = syslin(\'c\', L);');
+    lines.push(samplingTime ? 'L = syslin(Ts, L);' : 'L = syslin(\'c\', L);');
     lines.push('');
 
     // Add closed-loop transfer function
@@ -276,7 +414,11 @@ function generateScilabCode() {
     lines.push('scf(); show_margins(L, \'bode\');');
     lines.push('scf(); show_margins(L, \'nyquist\');');
     lines.push('scf(); plzr(L);');
-    lines.push('scf(); t = 0:0.01:20; y = csim(\'step\', t, Tcl); plot(t, y);');
+    if (samplingTime) {
+        lines.push('scf(); k = 0:200; y = flts(ones(k), Tcl); plot2d2(k * Ts, y);');
+    } else {
+        lines.push('scf(); t = 0:0.01:20; y = csim(\'step\', t, Tcl); plot(t, y);');
+    }
     lines.push('xgrid();');
     lines.push('xtitle(\'Step Response\', \'Time (s)\', \'Amplitude\');');
 
@@ -0,0 +1,271 @@
+// Measured frequency response data (FRD) of the plant
+// A CSV file of frequency, magnitude and phase is imported and used in the code as
+// P = frd(s) (frd(z) in discrete time). L = K*P is then evaluated point-wise on the
+// measured frequencies: Bode, Nyquist and margins work, the pole-zero map and the
+// step response need a model and are marked unavailable.
+
+// Imported data: { name, w [rad/s], logMag (ln |P|), phase [rad, unwrapped] } sorted by frequency
+let frdData = null;
+
+// File selected in the import dialog (parsed again when the units change)
+let frdFile = { name: '', text: '' };
+
+// ============================================================================
+// CSV Parsing
+// ============================================================================
+
+// Parse "frequency, magnitude, phase" lines (comma, semicolon, tab or space separated).
+// Lines that are not three numbers (e.g. a CSV header) are skipped.
+// units: { frequency: 'rad' | 'hz', magnitude: 'db' | 'abs', phase: 'deg' | 'rad' }
+// Returns { w, logMag, phase } sorted by frequency (throws on invalid data)
+function parseFrdCsv(text, units) {
+    const rows = [];
+    (text || '').split(/\r?\n/).forEach(line => {
+        const fields = line.trim().split(/[\s,;]+/).map(Number);
+        if (fields.length >= 3 && isFinite(fields[0]) && isFinite(fields[1]) && isFinite(fields[2])) {
+            rows.push([fields[0], fields[1], fields[2]]);
+        }
+    });
+    if (rows.length < 2) throw new Error('The file needs at least two lines of frequency, magnitude and phase');
+
+    rows.sort((a, b) => a[0] - b[0]);
+    if (rows[0][0] <= 0) throw new Error('Frequencies must be positive');
+    if (units.magnitude === 'abs' && rows.some(r => r[1] <= 0)) {
+        throw new Error('Magnitudes must be positive (select dB for logarithmic data)');
+    }
+
+    const w = rows.map(r => units.frequency === 'hz' ? 2 * Math.PI * r[0] : r[0]);
+    const logMag = rows.map(r => units.magnitude === 'db' ? r[1] / 20 * Math.LN10 : Math.log(r[1]));
+
+    // Unwrap the phase so that the interpolation does not jump across ±180°
+    const phase = [];
+    rows.forEach((r, i) => {
+        let p = units.phase === 'deg' ? r[2] * Math.PI / 180 : r[2];
+        if (i > 0) p -= Math.round((p - phase[i - 1]) / (2 * Math.PI)) * 2 * Math.PI;
+        phase.push(p);
+    });
+
+    return { w, logMag, phase };
+}
+
+// ============================================================================
+// Evaluation
+// ============================================================================
+
+// Measured response P(jω) at ω >= 0: log magnitude and phase are interpolated linearly
+// in log ω and held at the first and last points outside the measured range
+function frdResponseAt(w) {
+    const { w: freqs, logMag, phase } = frdData;
+    const last = freqs.length - 1;
+    let lm, ph;
+    if (!(w > freqs[0])) {
+        lm = logMag[0];
+        ph = phase[0];
+    } else if (w >= freqs[last]) {
+        lm = logMag[last];
+        ph = phase[last];
+    } else {
+        let lo = 0, hi = last;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (freqs[mid] <= w) lo = mid;
+            else hi = mid;
+        }
+        const span = Math.log(freqs[hi] / freqs[lo]);
+        const t = span > 0 ? Math.log(w / freqs[lo]) / span : 1;
+        lm = logMag[lo] + t * (logMag[hi] - logMag[lo]);
+        ph = phase[lo] + t * (phase[hi] - phase[lo]);
+    }
+    const mag = Math.exp(lm);
+    return math.complex(mag * Math.cos(ph), mag * Math.sin(ph));
+}
+
+// frd(s) in the code: the measured response at the frequency of the evaluation point.
+// In discrete time z = e^{jωTs} gives ω = arg(z)/Ts. Points off the imaginary axis
+// (Nyquist indentations) use their imaginary part, negative frequencies the conjugate.
+math.import({
+    frd: function (x) {
+        if (!frdData) throw new Error('frd: no frequency response data (use Import to load a CSV file)');
+        const c = math.complex(x);
+        const w = samplingTime ? Math.atan2(c.im, c.re) / samplingTime : c.im;
+        const P = frdResponseAt(Math.abs(w));
+        return w < 0 ? math.conj(P) : P;
+    }
+});
+
+// True when the loop uses the imported data (frd() appears in L)
+function frdInUse(L = currentVars.L) {
+    if (!frdData || !L || !L.isNode) return false;
+    return L.filter(node => node.isFunctionNode && node.fn.name === 'frd').length > 0;
+}
+
+// Measured frequencies in [10^wMin, 10^wMax] (empty if fewer than two lie in the range)
+function frdFrequencyGrid(wMin, wMax) {
+    const w = frdData.w.filter(wi => wi >= Math.pow(10, wMin) && wi <= Math.pow(10, wMax));
+    return w.length >= 2 ? w : [];
+}
+
+// Nyquist contour frequencies: the measured frequencies (up to π/Ts in discrete time),
+// extended down to the indentation radius ε with the first point held, so that the
+// phase of integrators and low-frequency poles of K is swept
+function frdNyquistGrid(epsilon) {
+    const wN = nyquistFrequency();
+    const w = frdData.w.filter(wi => !wN || wi <= wN);
+    if (w.length === 0 || w[0] <= epsilon) return w;
+    return [...logspace(Math.log10(epsilon), Math.log10(w[0]), 50).slice(0, -1), ...w];
+}
+
+// Replace the imported data (cached analyses of the previous data are dropped)
+function setFrdData(data) {
+    frdData = data;
+    window.lastNyquistAnalysisKey = null;
+    robustAnalysisCache = { key: null, result: null };
+}
+
+// ============================================================================
+// Unavailable Panels
+// ============================================================================
+
+// Message in place of a plot that needs a model of the plant (pole-zero map, step response)
+function drawFrdUnavailable(wrapperId, canvasId) {
+    const wrapper = document.getElementById(wrapperId);
+    const canvas = document.getElementById(canvasId);
+    if (!wrapper || !canvas) return;
+
+    const width = wrapper.clientWidth;
+    const height = wrapper.clientHeight;
+    if (width === 0 || height === 0) return;
+
+    canvas.width = width * devicePixelRatio;
+    canvas.height = height * devicePixelRatio;
+    canvas.style.width = width + 'px';
+    canvas.style.height = height + 'px';
+
+    const ctx = canvas.getContext('2d');
+    ctx.scale(devicePixelRatio, devicePixelRatio);
+    ctx.fillStyle = CONSTANTS.COLORS.BACKGROUND;
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.fillStyle = CONSTANTS.COLORS.AXIS;
+    ctx.font = '12px Consolas, monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('Not available for measured', width / 2, height / 2 - 9);
+    ctx.fillText('frequency response data', width / 2, height / 2 + 9);
+}
+
+// ============================================================================
+// Import Dialog
+// ============================================================================
+
+// Units selected in the dialog
+function readFrdUnits() {
+    return {
+        frequency: document.getElementById('frd-frequency-unit')?.value || 'hz',
+        magnitude: document.getElementById('frd-magnitude-unit')?.value || 'db',
+        phase: document.getElementById('frd-phase-unit')?.value || 'deg'
+    };
+}
+
+// Parse the selected file with the selected units and show its range
+function updateFrdPreview() {
+    const preview = document.getElementById('frd-preview');
+    const importButton = document.getElementById('frd-import');
+    if (!preview) return;
+
+    if (!frdFile.text) {
+        preview.textContent = frdData
+            ? 'Loaded: ' + frdData.name + ' (' + frdData.w.length + ' points)'
+            : 'Select a CSV file with frequency, magnitude and phase columns';
+        preview.classList.remove('text-danger');
+        if (importButton) importButton.disabled = true;
+        return;
+    }
+
+    try {
+        const data = parseFrdCsv(frdFile.text, readFrdUnits());
+        const n = data.w.length;
+        const db = data.logMag.map(lm => 20 * lm / Math.LN10);
+        const lines = [
+            frdFile.name + ': ' + n + ' points',
+            'ω = ' + formatValue(data.w[0]) + ' … ' + formatValue(data.w[n - 1]) + ' rad/s',
+            '|P| = ' + Math.min(...db).toFixed(1) + ' … ' + Math.max(...db).toFixed(1) + ' dB'
+        ];
+        const wN = nyquistFrequency();
+        if (wN && data.w[n - 1] > wN) lines.push('Points above π/Ts = ' + formatValue(wN) + ' rad/s are not used');
+        preview.textContent = lines.join('\n');
+        preview.classList.remove('text-danger');
+        if (importButton) importButton.disabled = false;
+    } catch (e) {
+        preview.textContent = e.message;
+        preview.classList.add('text-danger');
+        if (importButton) importButton.disabled = true;
+    }
+}
+
+// Use the data as the plant: P = frd(s) is inserted after the last definition of P,
+// which it overrides (at the top when the code has no P)
+function insertFrdPlant() {
+    if (/\bfrd\s*\(/.test(design.code)) return;
+
+    const lines = design.code.split('\n');
+    let index = -1;
+    lines.forEach((line, i) => {
+        const parsed = parseCodeLine(line);
+        if (parsed && parsed.varName === 'P') index = i;
+    });
+    lines.splice(index + 1, 0, 'P = frd(' + transferVariable() + ')');
+    design.code = lines.join('\n');
+}
+
+function initializeFrdDialog() {
+    const dialog = document.getElementById('frd-dialog');
+    const frdButton = document.getElementById('frd-button');
+    const fileInput = document.getElementById('frd-file');
+    const importButton = document.getElementById('frd-import');
+    if (!dialog) return;
+
+    if (frdButton) {
+        frdButton.addEventListener('click', () => {
+            updateFrdPreview();
+            dialog.show();
+        });
+    }
+
+    if (fileInput) {
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files && fileInput.files[0];
+            try {
+                frdFile = file ? { name: file.name, text: await file.text() } : { name: '', text: '' };
+            } catch (e) {
+                console.log('FRD file error:', e);
+                frdFile = { name: '', text: '' };
+            }
+            updateFrdPreview();
+        });
+    }
+
+    ['frd-frequency-unit', 'frd-magnitude-unit', 'frd-phase-unit'].forEach(id => {
+        document.getElementById(id)?.addEventListener('sl-change', updateFrdPreview);
+    });
+
+    if (importButton) {
+        importButton.addEventListener('click', () => {
+            try {
+                setFrdData({ name: frdFile.name, ...parseFrdCsv(frdFile.text, readFrdUnits()) });
+                insertFrdPlant();
+                updateCodeFromSliders();
+                updateAll();
+                dialog.hide();
+                if (frdInUse()) {
+                    showToast('Measured data imported as P = frd(' + transferVariable() + ')');
+                } else {
+                    showToast('Data imported: define L with the plant P (e.g. L = K * P) to use it', 'warning');
+                }
+            } catch (e) {
+                console.log('FRD import error:', e);
+                showToast(e.message, 'warning');
+            }
+        });
+    }
+}
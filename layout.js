@@ -97,6 +97,10 @@ function initializeDockview() {
             updatePolePlot();
             updateNyquistPlot();
             updateStepResponsePlot();
+            updateSensitivityPlot();
+            updateNicholsPlot();
+            updateRootLocusPlot();
+            updateMonteCarloPlot();
         }, 50);
         updateBrowserUrl();
     });
@@ -118,6 +122,14 @@ function initializeDockview() {
                     updateNyquistPlot();
                 } else if (panelId === 'step-response') {
                     updateStepResponsePlot();
+                } else if (panelId === 'sensitivity') {
+                    updateSensitivityPlot();
+                } else if (panelId === 'nichols') {
+                    updateNicholsPlot();
+                } else if (panelId === 'root-locus') {
+                    updateRootLocusPlot();
+                } else if (panelId === 'monte-carlo') {
+                    updateMonteCarloPlot();
                 }
                 // Note: stability panel doesn't need special handling since all
                 // calculations are always done in updateAll()
@@ -142,7 +154,11 @@ function setupPlotResizeObserver() {
         prefix + 'bode-wrapper',
         prefix + 'pole-wrapper',
         prefix + 'nyquist-wrapper',
-        prefix + 'step-wrapper'
+        prefix + 'step-wrapper',
+        prefix + 'sensitivity-wrapper',
+        prefix + 'nichols-wrapper',
+        prefix + 'root-locus-wrapper',
+        prefix + 'monte-carlo-wrapper'
     ];
 
     let resizeTimeout = null;
@@ -163,6 +179,14 @@ function setupPlotResizeObserver() {
                     updateNyquistPlot();
                 } else if (id.includes('step')) {
                     updateStepResponsePlot();
+                } else if (id.includes('sensitivity')) {
+                    updateSensitivityPlot();
+                } else if (id.includes('nichols')) {
+                    updateNicholsPlot();
+                } else if (id.includes('root-locus')) {
+                    updateRootLocusPlot();
+                } else if (id.includes('monte-carlo')) {
+                    updateMonteCarloPlot();
                 }
             }
         }, 100);
@@ -199,6 +223,15 @@ function createDefaultLayout() {
         position: { referencePanel: 'system-definition', direction: 'right' },
     });
 
+    // Center column: Nichols Chart (tab behind Nyquist Plot)
+    dockviewApi.addPanel({
+        id: 'nichols',
+        component: 'nichols',
+        title: 'Nichols Chart',
+        position: { referencePanel: 'nyquist', direction: 'within' },
+    });
+    dockviewApi.getPanel('nyquist')?.api.setActive();
+
     // Right column: Bode Plot (top)
     dockviewApi.addPanel({
         id: 'bode',
@@ -231,6 +264,15 @@ function createDefaultLayout() {
         position: { referencePanel: 'nyquist', direction: 'below' },
     });
 
+    // Center column: Root Locus (tab behind Pole-Zero Map)
+    dockviewApi.addPanel({
+        id: 'root-locus',
+        component: 'root-locus',
+        title: 'Root Locus',
+        position: { referencePanel: 'pole-zero', direction: 'within' },
+    });
+    dockviewApi.getPanel('pole-zero')?.api.setActive();
+
     // Right column: Step Response (initially below Bode, may be repositioned)
     dockviewApi.addPanel({
         id: 'step-response',
@@ -239,7 +281,27 @@ function createDefaultLayout() {
         position: { referencePanel: 'bode', direction: 'below' },
     });
 
-    // Activate Bode Plot
+    // Right column: Sensitivity Functions (tab behind Step Response)
+    dockviewApi.addPanel({
+        id: 'sensitivity',
+        component: 'sensitivity',
+        title: 'Sensitivity Functions',
+        position: { referencePanel: 'step-response', direction: 'within' },
+    });
+
+    // Right column: Monte Carlo (tab behind Step Response)
+    dockviewApi.addPanel({
+        id: 'monte-carlo',
+        component: 'monte-carlo',
+        title: 'Monte Carlo',
+        position: { referencePanel: 'step-response', direction: 'within' },
+    });
+
+    // Activate Step Response and Bode Plot
+    const stepPanel = dockviewApi.getPanel('step-response');
+    if (stepPanel) {
+        stepPanel.api.setActive();
+    }
     const bodePanel = dockviewApi.getPanel('bode');
     if (bodePanel) {
         bodePanel.api.setActive();
@@ -308,6 +370,19 @@ function adjustBodeStepResponseLayout() {
             title: 'Step Response',
             position: { referencePanel: 'bode', direction: 'right' },
         });
+
+        // Keep Sensitivity Functions as a tab behind Step Response
+        const sensitivityPanel = dockviewApi.getPanel('sensitivity');
+        if (sensitivityPanel) {
+            dockviewApi.removePanel(sensitivityPanel);
+            dockviewApi.addPanel({
+                id: 'sensitivity',
+                component: 'sensitivity',
+                title: 'Sensitivity Functions',
+                position: { referencePanel: 'step-response', direction: 'within' },
+            });
+            dockviewApi.getPanel('step-response')?.api.setActive();
+        }
     }
 }
 
@@ -323,11 +398,19 @@ function initializeNarrowLayout() {
         document.getElementById('narrow-tab-pole-zero').style.display = tabName === 'pole-zero' ? 'flex' : 'none';
         document.getElementById('narrow-tab-nyquist').style.display = tabName === 'nyquist' ? 'flex' : 'none';
         document.getElementById('narrow-tab-step').style.display = tabName === 'step-response' ? 'flex' : 'none';
+        document.getElementById('narrow-tab-sensitivity').style.display = tabName === 'sensitivity' ? 'flex' : 'none';
+        document.getElementById('narrow-tab-nichols').style.display = tabName === 'nichols' ? 'flex' : 'none';
+        document.getElementById('narrow-tab-root-locus').style.display = tabName === 'root-locus' ? 'flex' : 'none';
+        document.getElementById('narrow-tab-monte-carlo').style.display = tabName === 'monte-carlo' ? 'flex' : 'none';
 
         if (tabName === 'bode') updateBodePlot();
         else if (tabName === 'pole-zero') updatePolePlot();
         else if (tabName === 'nyquist') updateNyquistPlot();
         else if (tabName === 'step-response') updateStepResponsePlot();
+        else if (tabName === 'sensitivity') updateSensitivityPlot();
+        else if (tabName === 'nichols') updateNicholsPlot();
+        else if (tabName === 'root-locus') updateRootLocusPlot();
+        else if (tabName === 'monte-carlo') updateMonteCarloPlot();
     }
 
     // Set up event listeners only once to prevent duplicates
@@ -558,7 +641,11 @@ function isPlotVisible(plotId) {
     const tabIdMap = {
         'pole-zero': 'narrow-tab-pole-zero',
         'nyquist': 'narrow-tab-nyquist',
-        'step-response': 'narrow-tab-step'
+        'step-response': 'narrow-tab-step',
+        'sensitivity': 'narrow-tab-sensitivity',
+        'nichols': 'narrow-tab-nichols',
+        'root-locus': 'narrow-tab-root-locus',
+        'monte-carlo': 'narrow-tab-monte-carlo'
     };
     const tabId = tabIdMap[plotId];
     if (!tabId) return false;
@@ -579,7 +666,7 @@ function openPanel(panelId) {
     };
 
     // Determine best position based on panel type
-    if (panelId === 'bode' || panelId === 'pole-zero' || panelId === 'nyquist' || panelId === 'step-response') {
+    if (panelId === 'bode' || panelId === 'pole-zero' || panelId === 'nyquist' || panelId === 'step-response' || panelId === 'sensitivity' || panelId === 'nichols' || panelId === 'root-locus' || panelId === 'monte-carlo') {
         // Plot panels: prefer right side or below existing plots
         if (isPanelOpen('bode') && panelId === 'pole-zero') {
             options.position = { referencePanel: 'bode', direction: 'below' };
@@ -605,6 +692,33 @@ function openPanel(panelId) {
             } else if (isPanelOpen('system-definition')) {
                 options.position = { referencePanel: 'system-definition', direction: 'right' };
             }
+        } else if (panelId === 'nichols') {
+            // Nichols Chart: tab with nyquist if open, otherwise below bode
+            if (isPanelOpen('nyquist')) {
+                options.position = { referencePanel: 'nyquist', direction: 'within' };
+            } else if (isPanelOpen('bode')) {
+                options.position = { referencePanel: 'bode', direction: 'below' };
+            } else if (isPanelOpen('system-definition')) {
+                options.position = { referencePanel: 'system-definition', direction: 'right' };
+            }
+        } else if (panelId === 'root-locus') {
+            // Root Locus: tab with pole-zero if open, otherwise below bode
+            if (isPanelOpen('pole-zero')) {
+                options.position = { referencePanel: 'pole-zero', direction: 'within' };
+            } else if (isPanelOpen('bode')) {
+                options.position = { referencePanel: 'bode', direction: 'below' };
+            } else if (isPanelOpen('system-definition')) {
+                options.position = { referencePanel: 'system-definition', direction: 'right' };
+            }
+        } else if (panelId === 'sensitivity' || panelId === 'monte-carlo') {
+            // Sensitivity Functions and Monte Carlo: tab with step response if open, otherwise below bode
+            if (isPanelOpen('step-response')) {
+                options.position = { referencePanel: 'step-response', direction: 'within' };
+            } else if (isPanelOpen('bode')) {
+                options.position = { referencePanel: 'bode', direction: 'below' };
+            } else if (isPanelOpen('system-definition')) {
+                options.position = { referencePanel: 'system-definition', direction: 'right' };
+            }
         } else if (isPanelOpen('system-definition')) {
             options.position = { referencePanel: 'system-definition', direction: 'right' };
         }
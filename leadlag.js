@@ -0,0 +1,210 @@
+// Lead/lag compensator wizard
+// Sizes a lead block for a phase boost at a chosen frequency (or a lag block for a
+// low-frequency gain boost with a small phase lag there) and inserts it into the code
+
+// Frequency picked on the Bode plot (right-click), used as the default of the wizard
+let leadLagFrequency = null;
+
+// ============================================================================
+// Compensator Design
+// ============================================================================
+
+// Lead block k (T s + 1) / (α T s + 1) with α < 1 whose maximum phase φ is at ω0:
+// α = (1 - sin φ) / (1 + sin φ), T = 1 / (ω0 √α). With unityGain, k = √α gives |C(jω0)| = 1.
+function designLeadCompensator(w0, phaseBoost, unityGain) {
+    if (!(phaseBoost > 0 && phaseBoost < 90)) throw new Error('Enter a phase boost between 0 and 90°');
+    const phi = phaseBoost * Math.PI / 180;
+    const alpha = (1 - Math.sin(phi)) / (1 + Math.sin(phi));
+    const T = 1 / (w0 * Math.sqrt(alpha));
+    return { type: 'lead', alpha, T, k: unityGain ? Math.sqrt(alpha) : 1 };
+}
+
+// Lag block α (T s + 1) / (α T s + 1) with α > 1 (low-frequency gain α, unity at high frequency).
+// T is the larger solution of atan(ω0 T) - atan(α ω0 T) = -φlag, i.e. the zero well below ω0.
+function designLagCompensator(w0, gainBoostDb, phaseLag) {
+    if (!(gainBoostDb > 0)) throw new Error('Enter a positive low-frequency gain boost');
+    if (!(phaseLag > 0 && phaseLag < 90)) throw new Error('Enter a phase lag between 0 and 90°');
+    const alpha = Math.pow(10, gainBoostDb / 20);
+    const tanPhi = Math.tan(phaseLag * Math.PI / 180);
+
+    // α tanφ x² - (α - 1) x + tanφ = 0 with x = ω0 T
+    const discriminant = (alpha - 1) * (alpha - 1) - 4 * alpha * tanPhi * tanPhi;
+    if (discriminant < 0) {
+        const maxLag = Math.atan((alpha - 1) / (2 * Math.sqrt(alpha))) * 180 / Math.PI;
+        throw new Error('A lag of ' + formatValue(gainBoostDb) + ' dB has at least ' + maxLag.toFixed(1) + '° phase lag');
+    }
+    const x = ((alpha - 1) + Math.sqrt(discriminant)) / (2 * alpha * tanPhi);
+    return { type: 'lag', alpha, T: x / w0, k: 1 };
+}
+
+// Frequency response of the block at ω0: { gainDb, phase [deg] }
+function leadLagResponseAt(block, w0) {
+    const s = math.complex(0, w0);
+    const num = math.add(math.multiply(block.T, s), 1);
+    const den = math.add(math.multiply(block.alpha * block.T, s), 1);
+    const gain = block.type === 'lag' ? block.alpha : block.k;
+    const C = math.multiply(gain, math.divide(num, den));
+    return { gainDb: 20 * Math.log10(math.abs(C)), phase: math.arg(C) * 180 / Math.PI };
+}
+
+// Variable names for the block that are not used in the code yet (T_lead, T_lead2, ...)
+function leadLagNames(type) {
+    const used = new Set(design.code.split('\n').map(line => parseCodeLine(line)).filter(p => p).map(p => p.varName));
+    design.sliders.forEach(s => used.add(s.name));
+    for (let n = 1; ; n++) {
+        const suffix = '_' + type + (n > 1 ? n : '');
+        const names = { T: 'T' + suffix, alpha: 'alpha' + suffix, k: 'k' + suffix, C: 'C' + suffix };
+        if (!Object.values(names).some(name => used.has(name))) return names;
+    }
+}
+
+// Code lines of the block, multiplied into K (or into L when the code has no K).
+// α and T are sliders and are not defined in the code, which would override the sliders.
+// Only plain assignments are used so that the code export stays valid.
+function leadLagCodeLines(block, names, target) {
+    const lines = [];
+    if (block.type === 'lead') {
+        lines.push(names.k + ' = ' + (block.k === 1 ? '1' : names.alpha + '^0.5'));
+        lines.push(names.C + ' = ' + names.k + ' * (' + names.T + '*s + 1) / (' + names.alpha + '*' + names.T + '*s + 1)');
+    } else {
+        lines.push(names.C + ' = ' + names.alpha + ' * (' + names.T + '*s + 1) / (' + names.alpha + '*' + names.T + '*s + 1)');
+    }
+    lines.push(target + ' = ' + target + ' * ' + names.C);
+    return lines;
+}
+
+// Insert the block after the last definition of K (or L) and add the sliders for α and T
+function insertLeadLagCompensator(block) {
+    const lines = design.code.split('\n');
+    const lastDefinition = (name) => {
+        for (let i = lines.length - 1; i >= 0; i--) {
+            const parsed = parseCodeLine(lines[i]);
+            if (parsed && parsed.varName === name) return i;
+        }
+        return -1;
+    };
+
+    let target = 'K';
+    let index = lastDefinition('K');
+    if (index < 0) {
+        target = 'L';
+        index = lastDefinition('L');
+    }
+    if (index < 0) throw new Error('Define K or L before inserting a compensator');
+
+    const names = leadLagNames(block.type);
+    lines.splice(index + 1, 0, ...leadLagCodeLines(block, names, target));
+    design.code = lines.join('\n');
+
+    if (block.type === 'lead') {
+        setParameterSlider(names.alpha, block.alpha, Math.min(0.01, block.alpha), 1);
+    } else {
+        setParameterSlider(names.alpha, block.alpha, 1, Math.max(100, block.alpha));
+    }
+    setParameterSlider(names.T, block.T);
+
+    updateCodeFromSliders();
+    rebuildSliders();
+    updateAll();
+}
+
+// ============================================================================
+// Wizard Dialog
+// ============================================================================
+
+// Read the dialog inputs and size the block (throws on invalid input)
+function readLeadLagDesign() {
+    if (samplingTime) throw new Error('The wizard is available for continuous-time designs');
+    const w0 = parseFloat(document.getElementById('leadlag-frequency')?.value);
+    if (!(w0 > 0)) throw new Error('Enter a positive frequency');
+
+    const type = document.getElementById('leadlag-type')?.value || 'lead';
+    const block = type === 'lead'
+        ? designLeadCompensator(w0, parseFloat(document.getElementById('leadlag-phase')?.value),
+            !!document.getElementById('leadlag-unity-gain')?.checked)
+        : designLagCompensator(w0, parseFloat(document.getElementById('leadlag-gain')?.value),
+            parseFloat(document.getElementById('leadlag-lag')?.value));
+    return { w0, block };
+}
+
+// Block parameters, its response at ω0 and the margins of L with the block
+function updateLeadLagPreview() {
+    const type = document.getElementById('leadlag-type')?.value || 'lead';
+    document.querySelectorAll('.leadlag-lead-only').forEach(el => { el.style.display = type === 'lead' ? '' : 'none'; });
+    document.querySelectorAll('.leadlag-lag-only').forEach(el => { el.style.display = type === 'lag' ? '' : 'none'; });
+
+    const preview = document.getElementById('leadlag-preview');
+    const insertButton = document.getElementById('leadlag-insert');
+    if (!preview) return;
+
+    try {
+        const { w0, block } = readLeadLagDesign();
+        const response = leadLagResponseAt(block, w0);
+        const lines = [
+            'α = ' + formatValue(block.alpha) + ', T = ' + formatValue(block.T) + ' s' +
+                (block.type === 'lead' ? ', k = ' + formatValue(block.k) : ''),
+            'At ω = ' + formatValue(w0) + ' rad/s: ' + response.gainDb.toFixed(2) + ' dB, ' + response.phase.toFixed(1) + '°'
+        ];
+
+        if (currentVars.L && currentVars.L.isNode) {
+            const gain = block.type === 'lag' ? block.alpha : block.k;
+            const C = math.parse(gain + ' * (' + block.T + '*s + 1) / (' + block.alpha * block.T + '*s + 1)');
+            const margins = calculateStabilityMargins(new math.OperatorNode('*', 'multiply', [currentVars.L.clone(), C]));
+            if (margins && margins.phaseMargins.length > 0) {
+                const pm = margins.phaseMargins[0];
+                lines.push('L with block: ωc = ' + formatValue(pm.frequency) + ' rad/s, PM = ' + pm.margin.toFixed(1) + '°');
+            }
+        }
+        preview.textContent = lines.join('\n');
+        preview.classList.remove('text-danger');
+        if (insertButton) insertButton.disabled = false;
+    } catch (e) {
+        preview.textContent = e.message;
+        preview.classList.add('text-danger');
+        if (insertButton) insertButton.disabled = true;
+    }
+}
+
+// Open the wizard at the given frequency (default: picked frequency, then the crossover frequency)
+function showLeadLagDialog(frequency) {
+    const dialog = document.getElementById('leadlag-dialog');
+    const frequencyInput = document.getElementById('leadlag-frequency');
+    if (!dialog || !frequencyInput) return;
+
+    let w0 = frequency || leadLagFrequency;
+    if (!w0) {
+        const margins = currentVars.analysis ? currentVars.analysis.stabilityMargins : null;
+        w0 = margins && margins.phaseMargins.length > 0 ? margins.phaseMargins[0].frequency : 1;
+    }
+    frequencyInput.value = formatValue(w0);
+
+    updateLeadLagPreview();
+    dialog.show();
+}
+
+function initializeLeadLagDialog() {
+    const dialog = document.getElementById('leadlag-dialog');
+    const insertButton = document.getElementById('leadlag-insert');
+    if (!dialog) return;
+
+    ['leadlag-frequency', 'leadlag-phase', 'leadlag-gain', 'leadlag-lag'].forEach(id => {
+        document.getElementById(id)?.addEventListener('sl-input', updateLeadLagPreview);
+    });
+    ['leadlag-type', 'leadlag-unity-gain'].forEach(id => {
+        document.getElementById(id)?.addEventListener('sl-change', updateLeadLagPreview);
+    });
+
+    if (insertButton) {
+        insertButton.addEventListener('click', () => {
+            try {
+                const { block } = readLeadLagDesign();
+                insertLeadLagCompensator(block);
+                dialog.hide();
+                showToast((block.type === 'lead' ? 'Lead' : 'Lag') + ' compensator inserted');
+            } catch (e) {
+                console.log('Lead/lag error:', e);
+                showToast(e.message, 'warning');
+            }
+        });
+    }
+}
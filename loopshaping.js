@@ -0,0 +1,585 @@
+// Graphical loop shaping
+// The corner frequencies of the controller K and its gain are shown as handles on the Bode
+// gain plot. Dragging a handle changes the parameter that moves the corner (or scales K):
+// a slider, a numeric definition such as Td = 0.1, or a number in the definition of K.
+// On the pole-zero map the poles and zeros of K are dragged directly and K is rewritten
+// in factored form.
+
+const LOOPSHAPING = {
+    STEP: 1e-3,             // Relative parameter perturbation for the sensitivities
+    MIN_SENSITIVITY: 0.1,   // |d log ω / d log p| below which a parameter does not move a corner
+    ROOT_TOL: 1e-4,         // Relative distance below which roots share a handle (repeated roots)
+    PICK_RADIUS: 8          // Grab distance to a handle [px]
+};
+
+// Parameters preferred for a handle when several move it alike
+const LOOPSHAPING_KNOB_PRIORITY = { slider: 2, parameter: 1, number: 0 };
+
+// Unsigned numbers in an expression, in the order mathjs parses them into ConstantNodes
+const LOOPSHAPING_NUMBER_PATTERN = /(?<![\w.])\d*\.?\d+(?:[eE][+-]?\d+)?/g;
+
+// Handles of the last design: { key, handles }
+let controllerHandleCache = { key: null, handles: [] };
+
+// Handles of the last Bode drawing in canvas coordinates [{ x, y, handle }] and the axis scales
+let bodeHandleLayout = { points: [], pixelsPerDecade: 0, pixelsPerDb: 0 };
+
+// Poles and zeros of K of the last design: { key, pz }
+let controllerPoleZeroCache = { key: null, pz: null };
+
+// Controller poles and zeros of the last pole-zero map drawing [{ x, y, kind, root }] and its view
+let pzmapHandleLayout = { points: [], centerX: 0, centerY: 0, scale: 1, maxScale: 1 };
+
+// Pole-zero map drag in progress (null when none)
+let pzmapDragState = null;
+
+// ============================================================================
+// Controller Handles
+// ============================================================================
+
+// Zeros, poles and leading coefficient ratio of K = gain Π(s - z) / Π(s - p).
+// Returns null when K is not rational in s.
+function controllerPoleZeros(K) {
+    let rat;
+    let denCoeffs;
+    try {
+        rat = util_rationalize(toNode(K));
+        denCoeffs = math.rationalize(rat.denominator.toString(), true).coefficients;
+    } catch (e) {
+        // Non-rationalizable controllers have no handles
+        return null;
+    }
+    const numCoeffs = rat.coefficients;
+    if (!denCoeffs || denCoeffs.length === 0) denCoeffs = [rat.denominator.evaluate()];
+
+    return {
+        zeros: root2math(findRoots(numCoeffs)),
+        poles: root2math(findRoots(denCoeffs)),
+        gain: numCoeffs[numCoeffs.length - 1] / denCoeffs[denCoeffs.length - 1]
+    };
+}
+
+// Poles and zeros of K with Im >= 0 (one per conjugate pair), without roots at the origin
+function controllerRoots(K) {
+    const pz = controllerPoleZeros(K);
+    if (!pz) return null;
+
+    const corners = roots => roots.filter(r => r.im >= -IMAG_AXIS_TOL && math.abs(r) > IMAG_AXIS_TOL);
+    return { zeros: corners(pz.zeros), poles: corners(pz.poles) };
+}
+
+// |K(jω)|
+function controllerGainAt(K, w) {
+    return math.abs(toNode(K).compile().evaluate({ s: math.complex(0, w) }));
+}
+
+// Handles { kind: 'zero' | 'pole' | 'gain', frequency } of the current design (continuous time).
+// Corner handles keep the index of their root; the gain handle sits at the crossover frequency.
+function computeControllerHandles() {
+    const K = currentVars.K;
+    if (samplingTime || K === undefined) return [];
+
+    const roots = controllerRoots(K);
+    if (!roots) return [];
+
+    const handles = [];
+    ['zeros', 'poles'].forEach(rootKind => {
+        roots[rootKind].forEach((root, rootIndex) => {
+            // Repeated roots share one handle
+            const repeated = roots[rootKind].slice(0, rootIndex)
+                .some(r => math.abs(math.subtract(r, root)) < LOOPSHAPING.ROOT_TOL * math.abs(root));
+            if (repeated) return;
+            handles.push({ kind: rootKind === 'zeros' ? 'zero' : 'pole', frequency: math.abs(root), rootKind, rootIndex });
+        });
+    });
+
+    handles.push({ kind: 'gain', frequency: loopGainFrequency() });
+    return handles;
+}
+
+// Crossover frequency of L (middle of the frequency range when L has none)
+function loopGainFrequency() {
+    const margins = currentVars.analysis ? currentVars.analysis.stabilityMargins : null;
+    return margins && margins.phaseMargins.length > 0
+        ? margins.phaseMargins[0].frequency
+        : Math.pow(10, (design.freqMin + design.freqMax) / 2);
+}
+
+// Key of the current design for the caches (code and slider values)
+function controllerDesignKey() {
+    return design.code + '|' + design.sliders.map(s => s.name + '=' + s.currentValue).join(',');
+}
+
+// Handles of the current design (recomputed when the code or a slider changes)
+function getControllerHandles() {
+    const key = controllerDesignKey();
+    if (controllerHandleCache.key !== key) {
+        let handles = [];
+        try {
+            handles = computeControllerHandles();
+        } catch (e) {
+            console.log('Loop shaping error:', e);
+        }
+        controllerHandleCache = { key, handles };
+    }
+    return controllerHandleCache.handles;
+}
+
+// ============================================================================
+// Controller Parameters
+// ============================================================================
+
+// Parameters that can be dragged: named sliders, numeric definitions (Td = 0.1) and the
+// numbers in the definitions of K (exponents such as s^2 excluded). Numbers are located by
+// their position in the code so that they can be rewritten.
+function controllerKnobs() {
+    const knobs = design.sliders
+        .map((slider, index) => ({ type: 'slider', name: slider.name, index, value: slider.currentValue }))
+        .filter(knob => knob.name && knob.value);
+
+    design.code.split('\n').forEach((line, lineIndex) => {
+        const parsed = parseCodeLine(line);
+        if (!parsed) return;
+        const offset = line.indexOf(parsed.exprStr, line.indexOf('=') + 1);
+        const literal = (match, type, name) => ({
+            type, name, line: lineIndex, start: offset + match.index, length: match[0].length, value: parseFloat(match[0])
+        });
+
+        const matches = [...parsed.exprStr.matchAll(LOOPSHAPING_NUMBER_PATTERN)];
+        if (parsed.varName !== 'K') {
+            if (matches.length === 1 && matches[0][0] === parsed.exprStr && parseFloat(parsed.exprStr) !== 0) {
+                knobs.push(literal(matches[0], 'parameter', parsed.varName));
+            }
+            return;
+        }
+
+        const constants = [];
+        try {
+            math.parse(parsed.exprStr).traverse((node, path, parent) => {
+                if (!node.isConstantNode) return;
+                const exponent = !!parent && parent.isOperatorNode && parent.op === '^' && parent.args[1] === node;
+                constants.push({ value: node.value, exponent });
+            });
+        } catch (e) {
+            return;
+        }
+        if (matches.length !== constants.length) return;
+
+        matches.forEach((match, k) => {
+            const value = parseFloat(match[0]);
+            if (constants[k].exponent || value !== constants[k].value || value === 0) return;
+            knobs.push(literal(match, 'number', match[0]));
+        });
+    });
+    return knobs;
+}
+
+// Code with the number of a parameter or number knob replaced by the given text
+function replaceKnobLiteral(code, knob, text) {
+    const lines = code.split('\n');
+    const line = lines[knob.line];
+    lines[knob.line] = line.substring(0, knob.start) + text + line.substring(knob.start + knob.length);
+    return lines.join('\n');
+}
+
+// K of the design with the knob set to the given value
+function controllerAtKnob(knob, value) {
+    if (knob.type === 'slider') return evaluateDesignAt({ [knob.name]: value }).K;
+    return evaluateDesignAt({}, replaceKnobLiteral(design.code, knob, String(value))).K;
+}
+
+// Sensitivities d log|r| / d log p of the corners and d log|K(jω)| / d log p of the gain to the knob.
+// Returns null when K does not depend on the knob or the perturbed K has a different number of corners.
+function knobSensitivities(knob, nominal, gainFrequency, gain) {
+    const K = controllerAtKnob(knob, knob.value * (1 + LOOPSHAPING.STEP));
+    if (K === undefined || controllerGainAt(K, gainFrequency) === gain) return null;
+
+    const roots = controllerRoots(K);
+    if (!roots) return null;
+
+    const step = Math.log(1 + LOOPSHAPING.STEP);
+    const shifts = (from, to) => {
+        if (from.length !== to.length) return null;
+        return from.map(r => {
+            let nearest = to[0];
+            to.forEach(q => {
+                if (math.abs(math.subtract(q, r)) < math.abs(math.subtract(nearest, r))) nearest = q;
+            });
+            return (Math.log(math.abs(nearest)) - Math.log(math.abs(r))) / step;
+        });
+    };
+    const zeros = shifts(nominal.zeros, roots.zeros);
+    const poles = shifts(nominal.poles, roots.poles);
+    if (!zeros || !poles) return null;
+
+    return { zeros, poles, gain: (Math.log(controllerGainAt(K, gainFrequency)) - Math.log(gain)) / step };
+}
+
+// Parameter that a handle drags: { knob, sensitivity } or null.
+// A corner is moved by the parameter that shifts it most relative to the other corners,
+// the gain by a parameter that scales K without moving any corner.
+function controllerHandleKnob(handle) {
+    const K = currentVars.K;
+    const nominal = controllerRoots(K);
+    if (!nominal) return null;
+
+    const gain = controllerGainAt(K, handle.frequency);
+    if (handle.kind === 'gain' && !(gain > 0 && isFinite(gain))) return null;
+
+    // Lower priority parameters are only tried when no higher priority one moves the handle
+    let best = null;
+    const knobs = controllerKnobs().sort((a, b) => LOOPSHAPING_KNOB_PRIORITY[b.type] - LOOPSHAPING_KNOB_PRIORITY[a.type]);
+    knobs.forEach(knob => {
+        const priority = LOOPSHAPING_KNOB_PRIORITY[knob.type];
+        if (best && best.priority > priority) return;
+
+        const sensitivities = knobSensitivities(knob, nominal, handle.frequency, gain);
+        if (!sensitivities) return;
+
+        const corners = [...sensitivities.zeros, ...sensitivities.poles].map(Math.abs);
+        let sensitivity, score;
+        if (handle.kind === 'gain') {
+            if (corners.some(s => s >= LOOPSHAPING.MIN_SENSITIVITY)) return;
+            sensitivity = sensitivities.gain;
+            score = Math.abs(sensitivity);
+        } else {
+            sensitivity = sensitivities[handle.rootKind][handle.rootIndex];
+            score = 2 * Math.abs(sensitivity) - corners.reduce((sum, s) => sum + s, 0);
+        }
+        if (Math.abs(sensitivity) < LOOPSHAPING.MIN_SENSITIVITY) return;
+
+        if (!best || score > best.score) {
+            best = { knob, sensitivity, score, priority };
+        }
+    });
+    return best;
+}
+
+// ============================================================================
+// Handle Dragging
+// ============================================================================
+
+// Handle nearest to the mouse position (within PICK_RADIUS), or null
+function findControllerHandleHit(wrapper, clientX, clientY) {
+    const rect = wrapper.getBoundingClientRect();
+    const x = clientX - rect.left;
+    const y = clientY - rect.top;
+
+    let hit = null, best = LOOPSHAPING.PICK_RADIUS;
+    bodeHandleLayout.points.forEach(p => {
+        const d = Math.hypot(p.x - x, p.y - y);
+        if (d <= best) { best = d; hit = p; }
+    });
+    return hit;
+}
+
+// Set a knob, starting from the code at the beginning of the drag. Numbers are rewritten in
+// the code; sliders (also those of a numeric definition) are widened to include the value.
+function setControllerKnob(knob, value, code) {
+    if (knob.type !== 'slider') {
+        design.code = replaceKnobLiteral(code, knob, formatValue(value));
+    }
+
+    const index = knob.type === 'number' ? -1 : design.sliders.findIndex(s => s.name === knob.name);
+    if (index >= 0) {
+        const prefix = isNarrowLayout ? 'narrow-' : '';
+        const slider = design.sliders[index];
+        setParameterSlider(knob.name, value);
+        const rangeInput = document.getElementById(prefix + 'range-' + index);
+        const valueSpan = document.getElementById(prefix + 'value-' + index);
+        if (rangeInput) rangeInput.value = valueToSliderPos(value, slider.min, slider.max, slider.logScale);
+        if (valueSpan) valueSpan.textContent = formatValue(value);
+    }
+    updateCodeFromSliders();
+}
+
+// Start dragging a handle (null when no parameter moves it). The drag works from the values
+// at the start: horizontal motion moves a corner by the same number of decades, vertical
+// motion of the gain handle scales K. The automatic frequency range is suspended meanwhile
+// so that the axis stays under the mouse.
+function startControllerHandleDrag(hit) {
+    const knob = controllerHandleKnob(hit.handle);
+    if (!knob) {
+        showToast(hit.handle.kind === 'gain' ? 'No parameter scales K' : 'No parameter moves this ' + hit.handle.kind, 'warning');
+        return null;
+    }
+
+    const drag = {
+        kind: hit.handle.kind,
+        knob: knob.knob,
+        sensitivity: knob.sensitivity,
+        code: design.code,
+        sliderRanges: design.sliders.map(s => s.min + ':' + s.max).join(','),
+        pixelsPerDecade: bodeHandleLayout.pixelsPerDecade,
+        pixelsPerDb: bodeHandleLayout.pixelsPerDb,
+        autoFreq
+    };
+    autoFreq = false;
+    return drag;
+}
+
+function dragControllerHandle(drag, dx, dy) {
+    const decades = drag.kind === 'gain'
+        ? -dy / drag.pixelsPerDb / 20 / drag.sensitivity
+        : dx / drag.pixelsPerDecade / drag.sensitivity;
+    const value = parseFloat(formatValue(drag.knob.value * Math.pow(10, decades)));
+    if (!isFinite(value) || value === 0) return;
+
+    setControllerKnob(drag.knob, value, drag.code);
+    updateAll();
+}
+
+function endControllerHandleDrag(drag) {
+    autoFreq = drag.autoFreq;
+    // Slider ranges widened during the drag are shown in the Parameters panel
+    if (design.sliders.map(s => s.min + ':' + s.max).join(',') !== drag.sliderRanges) {
+        rebuildSliders();
+    }
+    updateAll();
+}
+
+// ============================================================================
+// Pole-Zero Map Dragging
+// ============================================================================
+
+// Poles and zeros of K for the pole-zero map (null in discrete time or without a rational K)
+function getControllerPoleZeros() {
+    const key = controllerDesignKey();
+    if (controllerPoleZeroCache.key !== key) {
+        const defined = design.code.split('\n').some(line => {
+            const parsed = parseCodeLine(line);
+            return parsed && parsed.varName === 'K';
+        });
+        const pz = !samplingTime && defined && currentVars.K !== undefined ? controllerPoleZeros(currentVars.K) : null;
+        controllerPoleZeroCache = { key, pz };
+    }
+    return controllerPoleZeroCache.pz;
+}
+
+// Factors of a polynomial: real roots and one root (Im > 0) per complex pair { re, im, pair }
+function rootFactors(roots) {
+    const factors = [];
+    roots.forEach(r => {
+        if (Math.abs(r.im) <= IMAG_AXIS_TOL * Math.max(1, math.abs(r))) {
+            factors.push({ re: r.re, im: 0, pair: false });
+        } else if (r.im > 0) {
+            factors.push({ re: r.re, im: r.im, pair: true });
+        }
+    });
+    return factors;
+}
+
+// Value of a factor (s - r) or (s - r)(s - r*) at the point s
+function evaluateFactor(factor, s) {
+    const r = math.complex(factor.re, factor.im);
+    const value = math.subtract(s, r);
+    return factor.pair ? math.multiply(value, math.subtract(s, math.conj(r))) : value;
+}
+
+// Numbers of the factors that are not dragged and of the gain are written in full,
+// so that repeated drags do not round them further
+function formatExactValue(value) {
+    return String(parseFloat(value.toPrecision(12)));
+}
+
+// Code of a factor: s, (s + a) or (s^2 + b*s + c), the numbers written with format
+function factorCode(factor, format = formatValue) {
+    const signed = v => (v < 0 ? ' - ' : ' + ') + format(Math.abs(v));
+    if (!factor.pair) {
+        return Math.abs(factor.re) < IMAG_AXIS_TOL ? 's' : '(s' + signed(-factor.re) + ')';
+    }
+    const b = -2 * factor.re;
+    const c = factor.re * factor.re + factor.im * factor.im;
+    return '(s^2' + (Math.abs(b) < IMAG_AXIS_TOL ? '' : signed(b) + '*s') + signed(c) + ')';
+}
+
+// Product of factors with repeated factors as powers: (s + 1)^2 * (s + 10).
+// Factors are grouped by their rounded code, so that the numerical spread of repeated roots
+// does not split them, and a group is written in full as its mean unless it holds the dragged root.
+function factorProductCode(factors) {
+    const groups = new Map();
+    factors.forEach(f => {
+        const key = factorCode(f);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(f);
+    });
+    return [...groups].map(([key, group]) => {
+        const mean = {
+            re: group.reduce((sum, f) => sum + f.re, 0) / group.length,
+            im: group.reduce((sum, f) => sum + f.im, 0) / group.length,
+            pair: group[0].pair
+        };
+        const code = group.some(f => f.dragged) ? key : factorCode(mean, formatExactValue);
+        return group.length > 1 ? code + '^' + group.length : code;
+    });
+}
+
+// K = gain * zeros / poles in factored form
+function factoredControllerCode(gain, zeros, poles) {
+    const num = factorProductCode(zeros);
+    const den = factorProductCode(poles);
+    let code = formatExactValue(gain);
+    if (num.length > 0) code += ' * ' + num.join(' * ');
+    if (den.length > 0) code += ' / ' + (den.length > 1 ? '(' + den.join(' * ') + ')' : den[0]);
+    return code;
+}
+
+// Code with the definitions of K replaced by a single definition at the last one
+function replaceControllerDefinition(code, expr) {
+    const lines = code.split('\n');
+    const isDefinition = line => {
+        const parsed = parseCodeLine(line);
+        return parsed && parsed.varName === 'K';
+    };
+    let last = -1;
+    lines.forEach((line, i) => { if (isDefinition(line)) last = i; });
+    return lines
+        .map((line, i) => i === last ? 'K = ' + expr : line)
+        .filter((line, i) => i === last || !isDefinition(line))
+        .join('\n');
+}
+
+// Controller pole or zero nearest to the mouse position (within PICK_RADIUS), or null
+function findPoleZeroHandleHit(wrapper, clientX, clientY) {
+    const rect = wrapper.getBoundingClientRect();
+    const x = clientX - rect.left;
+    const y = clientY - rect.top;
+
+    let hit = null, best = LOOPSHAPING.PICK_RADIUS;
+    pzmapHandleLayout.points.forEach(p => {
+        const d = Math.hypot(p.x - x, p.y - y);
+        if (d <= best) { best = d; hit = p; }
+    });
+    return hit;
+}
+
+// Start dragging a controller pole or zero. The view scale is frozen during the drag so that
+// the root stays under the pointer, and |K| at the crossover frequency is kept.
+function startPoleZeroDrag(hit) {
+    const pz = getControllerPoleZeros();
+    if (!pz) return null;
+
+    const zeros = rootFactors(pz.zeros);
+    const poles = rootFactors(pz.poles);
+    const factors = hit.kind === 'zero' ? zeros : poles;
+    if (factors.length === 0) return null;
+    const target = { re: hit.root.re, im: Math.abs(hit.root.im) };
+    let index = 0;
+    factors.forEach((f, i) => {
+        if (Math.hypot(f.re - target.re, f.im - target.im) < Math.hypot(factors[index].re - target.re, factors[index].im - target.im)) index = i;
+    });
+
+    const frequency = loopGainFrequency();
+    const s = math.complex(0, frequency);
+    const drag = {
+        kind: hit.kind,
+        index,
+        zeros,
+        poles,
+        code: design.code,
+        frequency,
+        gainAtFrequency: math.abs(pz.gain) * pzProductAbs(zeros, s) / pzProductAbs(poles, s),
+        sign: Math.sign(pz.gain) || 1,
+        view: { ...pzmapHandleLayout },
+        autoScale: pzmapOptions.autoScale,
+        scaleMax: pzmapOptions.scaleMax
+    };
+    pzmapOptions.autoScale = false;
+    pzmapOptions.scaleMax = pzmapHandleLayout.maxScale;
+    return drag;
+}
+
+// |Π factor(s)|
+function pzProductAbs(factors, s) {
+    return factors.reduce((product, f) => product * math.abs(evaluateFactor(f, s)), 1);
+}
+
+// Move the dragged root to the pointer: real roots stay on the real axis, complex roots move
+// together with their conjugate
+function dragPoleZero(drag, x, y) {
+    const re = (x - drag.view.centerX) / drag.view.scale;
+    const im = Math.abs(drag.view.centerY - y) / drag.view.scale;
+
+    const zeros = drag.zeros.slice();
+    const poles = drag.poles.slice();
+    const factors = drag.kind === 'zero' ? zeros : poles;
+    const factor = factors[drag.index];
+    factors[drag.index] = { re, im: factor.pair ? im : 0, pair: factor.pair, dragged: true };
+
+    const s = math.complex(0, drag.frequency);
+    const gain = drag.sign * drag.gainAtFrequency * pzProductAbs(poles, s) / pzProductAbs(zeros, s);
+    if (!isFinite(gain) || gain === 0) return;
+
+    design.code = replaceControllerDefinition(drag.code, factoredControllerCode(gain, zeros, poles));
+    updateCodeFromSliders();
+    updateAll();
+}
+
+function endPoleZeroDrag(drag) {
+    pzmapOptions.autoScale = drag.autoScale;
+    pzmapOptions.scaleMax = drag.scaleMax;
+    updateAll();
+}
+
+// Mouse and single-finger touch dragging of the controller poles and zeros
+// (two-finger gestures are left to setupPinchToWheel)
+function setupPoleZeroDrag() {
+    const prefix = isNarrowLayout ? 'narrow-' : '';
+    const wrapper = document.getElementById(prefix + 'pole-wrapper');
+    if (!wrapper) return;
+
+    const pointerPosition = (clientX, clientY) => {
+        const rect = wrapper.getBoundingClientRect();
+        return { x: clientX - rect.left, y: clientY - rect.top };
+    };
+    const start = (clientX, clientY) => {
+        const hit = findPoleZeroHandleHit(wrapper, clientX, clientY);
+        if (!hit) return false;
+        pzmapDragState = startPoleZeroDrag(hit);
+        return !!pzmapDragState;
+    };
+    const move = (clientX, clientY) => {
+        if (!pzmapDragState) return false;
+        const p = pointerPosition(clientX, clientY);
+        dragPoleZero(pzmapDragState, p.x, p.y);
+        return true;
+    };
+    const end = () => {
+        if (!pzmapDragState) return;
+        endPoleZeroDrag(pzmapDragState);
+        pzmapDragState = null;
+    };
+
+    attachListenerOnce(wrapper, 'mousedown', function(e) {
+        if (e.button !== 0) return;
+        if (start(e.clientX, e.clientY)) e.preventDefault();
+    }, 'pzdrag');
+    attachListenerOnce(wrapper, 'mousemove', function(e) {
+        if (pzmapDragState) return;
+        const hit = findPoleZeroHandleHit(wrapper, e.clientX, e.clientY);
+        wrapper.style.cursor = hit ? (Math.abs(hit.root.im) > 0 ? 'move' : 'ew-resize') : '';
+    }, 'pzdrag');
+
+    attachListenerOnce(wrapper, 'touchstart', function(e) {
+        if (e.touches.length !== 1) {
+            end();
+            return;
+        }
+        if (start(e.touches[0].clientX, e.touches[0].clientY)) e.preventDefault();
+    }, 'pzdrag', { passive: false });
+    attachListenerOnce(wrapper, 'touchmove', function(e) {
+        if (e.touches.length !== 1) return;
+        if (move(e.touches[0].clientX, e.touches[0].clientY)) e.preventDefault();
+    }, 'pzdrag', { passive: false });
+    attachListenerOnce(wrapper, 'touchend', end, 'pzdrag');
+    attachListenerOnce(wrapper, 'touchcancel', end, 'pzdrag');
+
+    // Document-level mouse events to follow drags outside the wrapper
+    if (!document._pzDragMoveAttached) {
+        document.addEventListener('mousemove', function(e) {
+            move(e.clientX, e.clientY);
+        });
+        document.addEventListener('mouseup', end);
+        document._pzDragMoveAttached = true;
+    }
+}
@@ -7,6 +7,9 @@
 // - url-state.js: URL encoding, sharing, QR code
 // - export.js: Code export (MATLAB/Python/Julia/Scilab)
 // - pzmap.js: Pole-Zero Map drawing
+// - rootlocus.js: Root locus computation and drawing
+// - montecarlo.js: Monte Carlo dispersion analysis
+// - frd.js: Measured frequency response data (frd()) import
 // - step-response.js: Step response plotting
 
 // ============================================================================
@@ -15,13 +18,15 @@
 
 // System analysis with lazy evaluation
 // Only computes values when first accessed, then caches them
-function createSystemAnalysis(L, Lrat) {
+// loopParts: optional { P, K, F, Kff } blocks of a 2-DOF structure (see LOOP_MAPS)
+function createSystemAnalysis(L, Lrat, loopParts) {
     const cache = {};
 
     const analysis = {
         // Raw inputs
         L: L,
         Lrat: Lrat,
+        loopParts: loopParts || null,
 
         // Lazy-evaluated properties
         get lStructure() {
@@ -85,12 +90,29 @@ function createSystemAnalysis(L, Lrat) {
 
         get stabilityMargins() {
             if (!cache.hasOwnProperty('stabilityMargins')) {
-                cache.stabilityMargins = calculateStabilityMargins();
+                cache.stabilityMargins = calculateStabilityMargins(L);
             }
             return cache.stabilityMargins;
         },
 
+        // Vector margin and disk margins (null if L cannot be evaluated)
+        get diskMargins() {
+            if (!cache.hasOwnProperty('diskMargins')) {
+                cache.diskMargins = calculateDiskMargins(L);
+            }
+            return cache.diskMargins;
+        },
+
+        // Family of loops over the slider uncertainty ranges (null without uncertain sliders)
+        get robustAnalysis() {
+            if (!cache.hasOwnProperty('robustAnalysis')) {
+                cache.robustAnalysis = computeRobustAnalysis();
+            }
+            return cache.robustAnalysis;
+        },
+
         // Open-loop poles and zeros (from Lrat or rationalPart)
+        // With measured plant data they are unknown (rationalPart is only K)
         get openLoopPolesZeros() {
             if (!cache.hasOwnProperty('openLoopPolesZeros')) {
                 let poles = [];
@@ -98,7 +120,7 @@ function createSystemAnalysis(L, Lrat) {
 
                 // Use Lrat if available, otherwise try rationalPart from structure
                 let LratForPZ = Lrat;
-                if (!LratForPZ) {
+                if (!LratForPZ && this.lStructure.type !== 'frd') {
                     const struct = this.lStructure;
                     if (struct.rationalPart) {
                         try {
@@ -187,8 +209,9 @@ function createSystemAnalysis(L, Lrat) {
             if (!cache.hasOwnProperty('stepResponseData')) {
                 cache.stepResponseData = null;
 
+                // Measured plant data has no model to simulate
                 const struct = this.lStructure;
-                if (struct.type === 'unknown') {
+                if (struct.type === 'unknown' || struct.type === 'frd') {
                     return cache.stepResponseData;
                 }
 
@@ -214,6 +237,59 @@ function createSystemAnalysis(L, Lrat) {
                 };
             }
             return cache.stepResponseData;
+        },
+
+        // Coefficients of the 2-DOF blocks: { P, K, F, Kff } each { num, den } (null if they are not all rational)
+        get loopBlockCoeffs() {
+            if (!cache.hasOwnProperty('loopBlockCoeffs')) {
+                cache.loopBlockCoeffs = null;
+                if (!this.loopParts) return cache.loopBlockCoeffs;
+
+                const blocks = {};
+                for (const [name, node] of Object.entries(this.loopParts)) {
+                    let coeffs = null;
+                    try {
+                        // Constant blocks (F = 1, Kff = 0) are handled directly: rationalize cannot return a zero numerator
+                        const value = freeSymbols(node).size === 0 ? node.evaluate() : null;
+                        coeffs = typeof value === 'number'
+                            ? { num: [value], den: [1] }
+                            : extractTFCoeffs(util_rationalize(node));
+                    } catch (e) {
+                        // Non-rational block (e.g. time delay): maps are only shown in the Bode plot
+                    }
+                    if (!coeffs) return cache.loopBlockCoeffs;
+                    blocks[name] = coeffs;
+                }
+                cache.loopBlockCoeffs = blocks;
+            }
+            return cache.loopBlockCoeffs;
+        },
+
+        // 2-DOF closed-loop maps: { [id]: { num, den, poles, zeros, ss } } (null if P, K, F, Kff are not all rational)
+        get loopMapData() {
+            if (!cache.hasOwnProperty('loopMapData')) {
+                cache.loopMapData = null;
+                const blocks = this.loopBlockCoeffs;
+                if (!blocks) return cache.loopMapData;
+
+                const maps = loopMapCoeffs(blocks.P, blocks.K, blocks.F, blocks.Kff);
+                cache.loopMapData = {};
+                for (const [id, map] of Object.entries(maps)) {
+                    const num = trimPolyCoeffs(map.num);
+                    const den = trimPolyCoeffs(map.den);
+                    const data = { num, den, poles: [], zeros: [], ss: null };
+                    try {
+                        if (den.length > 1) data.poles = root2math(findRoots(den));
+                        if (num.length > 1) data.zeros = root2math(findRoots(num));
+                    } catch (e) {
+                        // Root finding may fail for some polynomials
+                    }
+                    // Step response needs a proper map (e.g. r→u with an ideal PD controller is not)
+                    if (num.length <= den.length) data.ss = tf2ss(num, den);
+                    cache.loopMapData[id] = data;
+                }
+            }
+            return cache.loopMapData;
         }
     };
 
@@ -245,25 +321,54 @@ function parseCodeLine(line) {
 }
 
 // Process code lines and build variables object
-function processCodeLines(code, vars, onError) {
+// With continuous = true, c2d(G, ...) calls evaluate to G (continuous-time equivalent)
+// Numeric ss() realizations are collected as { name, A, B, C, D, n } into realizations if given
+function processCodeLines(code, vars, onError, continuous = false, realizations = null) {
     code.split('\n').forEach((line, lineNum) => {
         const parsed = parseCodeLine(line);
         if (!parsed) return;
 
         try {
-            let expr = math.parse(parsed.exprStr);
+            let expr = math.parse(normalizeMatrixLiterals(parsed.exprStr)); // Accept MATLAB vectors such as [1 2 3]
             expr = expandPadeDelay(expr); // Expand pade_delay() to rational form
-            const substituted = substituteVars(expr, vars);
-            vars[parsed.varName] = substituted;
+            const onRealization = realizations ? r => realizations.push({ name: parsed.varName, ...r }) : null;
+            const substituted = expandTransferFunctions(substituteVars(expr, vars), vars.Ts); // Expand tf(), zpk() and poly()
+            const expanded = expandStateSpace(substituted, onRealization); // Expand ss() to a transfer function
+            vars[parsed.varName] = expandC2d(expanded, continuous); // Expand c2d() to rational form in z
         } catch (e) {
             if (onError) onError({ line: lineNum + 1, message: e.message });
         }
     });
+
+    // 2-DOF designs may define only P and K: the loop is then L = K*P
+    if (vars.L === undefined && vars.P !== undefined && vars.K !== undefined) {
+        vars.L = new math.OperatorNode('*', 'multiply', [toNode(vars.K), toNode(vars.P)]);
+    }
+}
+
+// Variable value as an expression node (slider values are plain numbers)
+function toNode(value) {
+    return typeof value === 'number' ? new math.ConstantNode(value) : value.clone();
+}
+
+// Evaluate the design code at the current slider values with some of them overridden
+// ({ name: value }). Returns the variables (L, P, K, ...) without touching currentVars.
+// A modified copy of the code can be evaluated instead of design.code.
+function evaluateDesignAt(overrides, code = design.code) {
+    const vars = { s: math.parse('s'), z: math.parse('z') };
+    design.sliders.forEach(slider => {
+        if (slider.name && slider.currentValue !== undefined) {
+            vars[slider.name] = slider.currentValue;
+        }
+    });
+    Object.assign(vars, overrides);
+    processCodeLines(code, vars);
+    return vars;
 }
 
 function substituteVars(expr, vars) {
     return expr.transform(function(node, path, parent) {
-        if (node.isSymbolNode && node.name !== 's' && vars[node.name] !== undefined) {
+        if (node.isSymbolNode && node.name !== 's' && node.name !== 'z' && vars[node.name] !== undefined) {
             let val = vars[node.name];
             // If it's a number, create a constant node
             if (typeof val === 'number') {
@@ -290,7 +395,7 @@ function updateAll() {
 
     // Parse code and extract variables
     try {
-        currentVars = { s: math.parse('s') };
+        currentVars = { s: math.parse('s'), z: math.parse('z') };
 
         // First, initialize variables from slider values
         design.sliders.forEach(slider => {
@@ -301,7 +406,7 @@ function updateAll() {
 
         // Only recalculate symbolic expressions if code changed
         if (codeChanged) {
-            const symbolicVars = { s: math.parse('s') };
+            const symbolicVars = { s: math.parse('s'), z: math.parse('z') };
             design.sliders.forEach(slider => {
                 if (slider.name) {
                     symbolicVars[slider.name] = math.parse(slider.name);
@@ -334,10 +439,12 @@ function updateAll() {
         }
 
         // Numerical calculation (always needed when sliders change)
+        const realizations = [];
         processCodeLines(design.code, currentVars, (err) => {
             // Only add if not already recorded (codeChanged handles symbolic errors)
             if (!codeChanged) parseErrors.push(err);
-        });
+        }, false, realizations);
+        currentVars.stateSpace = realizations;
 
         // Copy cached symbolic expressions to currentVars
         currentVars.Lsym = cachedSymbolic.Lsym;
@@ -354,15 +461,19 @@ function updateAll() {
         return;
     }
 
-    // Check if L can be evaluated by substituting a test value for s
-    let evaluationError = null;
-    if (currentVars.L && currentVars.L.isNode) {
+    // Continuous or discrete time (sets samplingTime used by all frequency evaluations)
+    let evaluationError = updateSamplingTime();
+    updateTransferVariableLabels();
+    updateContinuousEquivalent();
+
+    // Check if L can be evaluated by substituting a test value for s (or z)
+    if (currentVars.L && currentVars.L.isNode && !evaluationError) {
         try {
-            let testResult = currentVars.L.compile().evaluate({ 's': math.complex(0, 1) });
+            let testResult = currentVars.L.compile().evaluate(evaluationScope(math.complex(0, 1)));
             // Check if result is a valid number or complex
             if (testResult === undefined || testResult === null ||
                 (typeof testResult === 'number' && !isFinite(testResult))) {
-                evaluationError = 'L(s) evaluation returned invalid result';
+                evaluationError = 'L(' + transferVariable() + ') evaluation returned invalid result';
             }
         } catch (e) {
             evaluationError = e.message;
@@ -384,7 +495,7 @@ function updateAll() {
         // Calculate closed-loop TF first (sets currentVars.Lrat)
         calculateClosedLoopTF();
         // Create system analysis object with lazy evaluation
-        currentVars.analysis = createSystemAnalysis(currentVars.L, currentVars.Lrat);
+        currentVars.analysis = createSystemAnalysis(currentVars.L, currentVars.Lrat, getLoopParts());
         displayTransferFunctions();
 
         // Always perform all calculations (lazy evaluation caching prevents redundant work)
@@ -393,11 +504,18 @@ function updateAll() {
         updateBodePlot();
         updateMargins();
         updateNyquistInfo();
+        updateSpecInfo();
+        updateRobustInfo();
+        updateStateSpaceInfo();
 
         // Only skip plot rendering for hidden panels (drawing is expensive)
         if (isPlotVisible('pole-zero')) updatePolePlot();
         if (isPlotVisible('nyquist')) updateNyquistPlot();
         if (isPlotVisible('step-response')) updateStepResponsePlot();
+        if (isPlotVisible('sensitivity')) updateSensitivityPlot();
+        if (isPlotVisible('nichols')) updateNicholsPlot();
+        if (isPlotVisible('root-locus')) updateRootLocusPlot();
+        if (isPlotVisible('monte-carlo')) updateMonteCarloPlot();
     } else if (hasErrors) {
         // Show error state
         if (codeField) {
@@ -434,6 +552,92 @@ function updateAll() {
     updateBrowserUrl();
 }
 
+// ============================================================================
+// Continuous / Discrete Time
+// ============================================================================
+
+// Determine the time domain of L: a design is discrete-time when L is written in z.
+// The sample time is taken from the variable Ts (code line or slider).
+// Returns an error message, or null if L is valid in its domain.
+function updateSamplingTime() {
+    samplingTime = null;
+
+    const L = currentVars.L;
+    if (!L || !L.isNode || !containsSymbol(L, 'z')) return null;
+
+    if (containsSymbol(L, 's')) {
+        return 'L cannot mix the Laplace variable s and the z-transform variable z';
+    }
+
+    let Ts = currentVars.Ts;
+    try {
+        if (Ts && Ts.isNode) Ts = Ts.evaluate();
+    } catch (e) {
+        Ts = undefined;
+    }
+    if (typeof Ts !== 'number' || !isFinite(Ts) || Ts <= 0) {
+        return 'Discrete-time L(z) requires a positive sample time: define Ts = ...';
+    }
+
+    samplingTime = Ts;
+    return null;
+}
+
+// For a discrete-time design built with c2d(), evaluate L once more with every c2d(G, ...)
+// replaced by G. The result is overlaid on the Bode plot to show the effect of sampling.
+// It is only kept when the whole loop comes from c2d() blocks (no explicit z left).
+function updateContinuousEquivalent() {
+    currentVars.Lcontinuous = null;
+    if (!samplingTime || !/\bc2d\s*\(/.test(design.code)) return;
+
+    const contVars = { s: math.parse('s'), z: math.parse('z') };
+    design.sliders.forEach(slider => {
+        if (slider.name && slider.currentValue !== undefined) {
+            contVars[slider.name] = slider.currentValue;
+        }
+    });
+
+    let failed = false;
+    processCodeLines(design.code, contVars, () => { failed = true; }, true);
+
+    const Lc = contVars.L;
+    if (!failed && Lc && Lc.isNode && !containsSymbol(Lc, 'z')) {
+        currentVars.Lcontinuous = Lc;
+    }
+}
+
+// Switch plot labels between L(s)/T(s) and L(z)/T(z)
+function updateTransferVariableLabels() {
+    const v = transferVariable();
+    const labels = document.querySelectorAll(
+        '.bode-label-L, .bode-label-T, .bode-label-S, .pole-label-L, .pole-label-T, ' +
+        '.step-label-L, .step-label-T, #bode-opt-pz-frequencies'
+    );
+    labels.forEach(el => {
+        const text = el.textContent;
+        const updated = text.replace(/\((s|z)\)/, '(' + v + ')');
+        if (updated !== text) el.textContent = updated;
+    });
+}
+
+// Frequency grid for the Bode plot and margin calculation.
+// In discrete time the grid stops at the Nyquist frequency π/Ts.
+// With measured plant data (frd()), L is known only at the measured frequencies.
+function getFrequencyGrid() {
+    let wMin = design.freqMin;
+    let wMax = design.freqMax;
+    const wN = nyquistFrequency();
+    if (wN) {
+        wMax = Math.min(wMax, Math.log10(wN));
+        wMin = Math.min(wMin, wMax - 1);
+    }
+    if (frdInUse()) {
+        const w = frdFrequencyGrid(wMin, wMax);
+        if (w.length > 0) return w;
+    }
+    return logspace(wMin, wMax, design.freqPoints);
+}
+
 // ============================================================================
 // Transfer Function Calculation and Display
 // ============================================================================
@@ -452,6 +656,11 @@ function calculateClosedLoopTF() {
     currentVars.T = T;
     currentVars.S = S;
 
+    // 2-DOF closed-loop maps (r→y, r→u, d→y, n→y) when P and K are defined
+    currentVars.loopMaps = buildLoopMaps();
+    // Gang of Four / Six sensitivity functions (same condition)
+    currentVars.sensitivity = buildSensitivityFunctions();
+
     // Try to rationalize L for pole-zero calculation (may fail for non-rational L)
     try {
         let Lrat = util_rationalize(L);
@@ -462,6 +671,40 @@ function calculateClosedLoopTF() {
     }
 }
 
+// Blocks of the 2-DOF structure, or null if P or K is not defined.
+// F (prefilter) defaults to 1 and Kff (feedforward) to 0.
+function getLoopParts() {
+    const { P, K, F, Kff } = currentVars;
+    const isDefined = v => typeof v === 'number' || (v && v.isNode);
+    if (!isDefined(P) || !isDefined(K)) return null;
+
+    return {
+        P: toNode(P),
+        K: toNode(K),
+        F: isDefined(F) ? toNode(F) : new math.ConstantNode(1),
+        Kff: isDefined(Kff) ? toNode(Kff) : new math.ConstantNode(0)
+    };
+}
+
+// Expression nodes of the LOOP_MAPS, keyed by id (null if P or K is not defined)
+function buildLoopMaps() {
+    const parts = getLoopParts();
+    if (!parts) return null;
+
+    const maps = {};
+    LOOP_MAPS.forEach(map => {
+        maps[map.id] = substituteLoopParts(map.expr, parts);
+    });
+    return maps;
+}
+
+// Parse an expression in P, K, F, Kff and substitute the loop parts
+function substituteLoopParts(expr, parts) {
+    return math.parse(expr).transform(
+        node => (node.isSymbolNode && parts[node.name]) ? parts[node.name].clone() : node
+    );
+}
+
 function displayTransferFunctions() {
     const prefix = isNarrowLayout ? 'narrow-' : '';
     let displayL = document.getElementById(prefix + 'eq-L-display');
@@ -469,17 +712,19 @@ function displayTransferFunctions() {
 
     if (!displayL || !displayT) return;
 
+    const v = transferVariable();
+
     try {
         // Display cached symbolic L
         let Lsym = cachedSymbolic.Lsym;
         if (Lsym && Lsym.isNode) {
             let texString = Lsym.toTex({ parenthesis: 'auto', implicit: 'hide' });
-            katex.render('L(s) = ' + texString, displayL, { displayMode: true, throwOnError: false });
+            katex.render(`L(${v}) = ` + texString, displayL, { displayMode: true, throwOnError: false });
         } else {
             displayL.innerHTML = '<span class="text-muted">--</span>';
         }
     } catch (e) {
-        displayL.innerHTML = '<span class="text-danger">Error displaying L(s)</span>';
+        displayL.innerHTML = `<span class="text-danger">Error displaying L(${v})</span>`;
         console.log('L display error:', e);
     }
 
@@ -488,15 +733,15 @@ function displayTransferFunctions() {
         let TsymSimplified = cachedSymbolic.TsymSimplified;
         if (TsymSimplified && TsymSimplified.isNode) {
             let texString = TsymSimplified.toTex({ parenthesis: 'auto', implicit: 'hide' });
-            katex.render('T(s) = \\frac{L(s)}{1+L(s)} = ' + texString, displayT, { displayMode: true, throwOnError: false });
+            katex.render(`T(${v}) = \\frac{L(${v})}{1+L(${v})} = ` + texString, displayT, { displayMode: true, throwOnError: false });
         } else if (cachedSymbolic.Lsym && cachedSymbolic.Lsym.isNode) {
             // L is not rational, just show T = L/(1+L) without simplification
-            katex.render('T(s) = \\frac{L(s)}{1+L(s)}', displayT, { displayMode: true, throwOnError: false });
+            katex.render(`T(${v}) = \\frac{L(${v})}{1+L(${v})}`, displayT, { displayMode: true, throwOnError: false });
         } else {
             displayT.innerHTML = '<span class="text-muted">--</span>';
         }
     } catch (e) {
-        displayT.innerHTML = '<span class="text-danger">Error displaying T(s)</span>';
+        displayT.innerHTML = `<span class="text-danger">Error displaying T(${v})</span>`;
         console.log('T display error:', e);
     }
 }
@@ -507,20 +752,20 @@ function displayTransferFunctions() {
 
 // Calculate stability margins (gain margin and phase margin) independently of Bode plot.
 // This allows the Stability panel to display correct values even when the Bode panel is hidden.
-function calculateStabilityMargins() {
-    let L = currentVars.L;
+// L defaults to the current loop; the robust analysis passes the loops of the uncertainty set.
+function calculateStabilityMargins(L = currentVars.L) {
     if (!L || !L.isNode) return null;
 
     let compiled = L.compile();
 
     // Build frequency array, potentially including ω = 0
-    let w = logspace(design.freqMin, design.freqMax, design.freqPoints);
+    let w = getFrequencyGrid();
 
     // Try to evaluate L(0) - if finite, include ω = 0 in the sweep
     // This catches crossovers at ω = 0 (e.g., L(s) = -1/(s+1) has phase = -180° at ω = 0)
     let includeZero = false;
     try {
-        let L0 = compiled.evaluate({ 's': math.complex(0, 0) });
+        let L0 = compiled.evaluate(evaluationScope(math.complex(0, 0)));
         if (typeof L0.abs === 'function') {
             let mag0 = L0.abs();
             if (isFinite(mag0) && mag0 > 0 && mag0 < 1e10) {
@@ -533,7 +778,8 @@ function calculateStabilityMargins() {
         // L(0) evaluation failed - probably has a pole at origin
     }
 
-    if (includeZero) {
+    // Measured plant data has no point at ω = 0
+    if (includeZero && !frdInUse(L)) {
         w = [0, ...w];
     }
 
@@ -545,7 +791,7 @@ function calculateStabilityMargins() {
     for (let i = 0; i < N; i++) {
         let Gjw;
         try {
-            Gjw = compiled.evaluate({ 's': math.complex(0, w[i]) });
+            Gjw = compiled.evaluate(evaluationScope(math.complex(0, w[i])));
         } catch (e) {
             Gjw = math.complex(0, 0);
         }
@@ -630,7 +876,10 @@ function calculateStabilityMargins() {
                 let n = Math.round((phaseAtGc + 180) / 360);
                 let pm = 180 + phaseAtGc - n * 360;
                 let refPhase = n * 360 - 180;
-                phaseMargins.push({ frequency: wc, margin: pm, phaseAtCrossover: phaseAtGc, referencePhase: refPhase });
+                // Delay margin: smallest extra delay whose phase lag -ωτ brings this crossover to -180°
+                let lag = ((pm % 360) + 360) % 360;
+                let delayMargin = wc > 0 ? lag * Math.PI / 180 / wc : Infinity;
+                phaseMargins.push({ frequency: wc, margin: pm, phaseAtCrossover: phaseAtGc, referencePhase: refPhase, delayMargin });
                 break;
             }
         }
@@ -639,77 +888,208 @@ function calculateStabilityMargins() {
     return { gainMargins, phaseMargins, gainCrossoverFrequencies: wgc, phaseCrossoverFrequencies: wpc };
 }
 
+// Vector margin min |1 + L(jω)| and the disk margins of DISK_MARGIN_SKEWS.
+// The peaks are searched on the frequency grid and refined by a golden-section search in log ω.
+// Returns { vectorMargin: { value, frequency, point }, disks: [{ sigma, label, alpha, frequency,
+// gainMin, gainMax, phase }] } with the gain range as factors and the phase in degrees.
+function calculateDiskMargins(L = currentVars.L) {
+    if (!L || !L.isNode) return null;
+
+    const compiled = L.compile();
+    const evaluateL = w => {
+        let Ljw = compiled.evaluate(evaluationScope(math.complex(0, w)));
+        return typeof Ljw.abs === 'function' ? Ljw : math.complex(Ljw, 0);
+    };
+    const w = getFrequencyGrid();
+
+    // Largest value of f(L(jω)) over the grid, refined between the neighbouring grid points
+    const findPeak = f => {
+        const values = w.map(wi => {
+            try {
+                const v = f(evaluateL(wi));
+                return isFinite(v) ? v : -Infinity;
+            } catch (e) {
+                return -Infinity;
+            }
+        });
+        let k = values.indexOf(Math.max(...values));
+        if (k < 0 || values[k] === -Infinity) return null;
+
+        let a = Math.log10(w[Math.max(0, k - 1)]);
+        let b = Math.log10(w[Math.min(w.length - 1, k + 1)]);
+        const g = (Math.sqrt(5) - 1) / 2;
+        const h = x => f(evaluateL(Math.pow(10, x)));
+        for (let i = 0; i < 40; i++) {
+            const x1 = b - g * (b - a);
+            const x2 = a + g * (b - a);
+            if (h(x1) > h(x2)) b = x2;
+            else a = x1;
+        }
+        const wPeak = Math.pow(10, (a + b) / 2);
+        const vPeak = h(Math.log10(wPeak));
+        return vPeak >= values[k] ? { value: vPeak, frequency: wPeak } : { value: values[k], frequency: w[k] };
+    };
+
+    // Vector margin: the largest value of 1/|1 + L| is the peak of |S|
+    const sPeak = findPeak(Ljw => 1 / math.add(1, Ljw).abs());
+    if (!sPeak) return null;
+    const Lvm = evaluateL(sPeak.frequency);
+    const vectorMargin = { value: 1 / sPeak.value, frequency: sPeak.frequency, point: { re: Lvm.re, im: Lvm.im } };
+
+    const disks = DISK_MARGIN_SKEWS.map(skew => {
+        const sigma = skew.sigma;
+        const peak = findPeak(Ljw => math.add(math.divide(1, math.add(1, Ljw)), (sigma - 1) / 2).abs());
+        const alpha = peak ? 1 / peak.value : 0;
+
+        // Gain range of the disk D(α, σ) and the largest phase variation on its unit-magnitude points
+        const gainMin = Math.max(0, (2 - alpha * (1 - sigma)) / (2 + alpha * (1 + sigma)));
+        const gainMax = alpha * (1 + sigma) < 2 ? (2 + alpha * (1 - sigma)) / (2 - alpha * (1 + sigma)) : Infinity;
+        const cosPhase = isFinite(gainMax) ? (1 + gainMin * gainMax) / (gainMin + gainMax) : gainMin;
+        const phase = Math.acos(clip(cosPhase, -1, 1)) * 180 / Math.PI;
+
+        return { ...skew, alpha, frequency: peak ? peak.frequency : null, gainMin, gainMax, phase };
+    });
+
+    return { vectorMargin, disks };
+}
+
 // ============================================================================
 // Bode Plot
 // ============================================================================
 
-function updateBodePlot() {
-    try {
-        let L = currentVars.L;
-        let T = currentVars.T;
-        let S = currentVars.S;
-        if (!L || !L.isNode) return;
-
-        // Generate frequency array
-        let w = logspace(design.freqMin, design.freqMax, design.freqPoints);
-
-        // Prepare transfer functions for plotting
-        let transferFunctions = [
-            {
-                compiled: L.compile(),
-                gainColor: CONSTANTS.COLORS.L,
-                phaseColor: CONSTANTS.COLORS.L,
-                visible: displayOptions.showL
-            }
-        ];
+// Transfer functions shown on the Bode plot: [{ compiled, gainColor, phaseColor, visible }]
+// The first entry is L (used for crossover and margin detection).
+function buildBodeTransferFunctions() {
+    const L = currentVars.L;
+    const T = currentVars.T;
+    const S = currentVars.S;
+    if (!L || !L.isNode) return null;
 
-        if (T && T.isNode) {
-            transferFunctions.push({
-                compiled: T.compile(),
-                gainColor: CONSTANTS.COLORS.T,
-                phaseColor: CONSTANTS.COLORS.T,
-                visible: displayOptions.showT
-            });
+    let transferFunctions = [
+        {
+            id: 'L',
+            compiled: L.compile(),
+            gainColor: CONSTANTS.COLORS.L,
+            phaseColor: CONSTANTS.COLORS.L,
+            visible: displayOptions.showL
         }
+    ];
 
-        if (S && S.isNode) {
+    if (T && T.isNode) {
+        transferFunctions.push({
+            id: 'T',
+            compiled: T.compile(),
+            gainColor: CONSTANTS.COLORS.T,
+            phaseColor: CONSTANTS.COLORS.T,
+            visible: displayOptions.showT
+        });
+    }
+
+    if (S && S.isNode) {
+        transferFunctions.push({
+            id: 'S',
+            compiled: S.compile(),
+            gainColor: CONSTANTS.COLORS.S,
+            phaseColor: CONSTANTS.COLORS.S,
+            visible: displayOptions.showS
+        });
+    }
+
+    // 2-DOF closed-loop maps
+    const loopMaps = currentVars.loopMaps;
+    if (loopMaps) {
+        LOOP_MAPS.forEach(map => {
             transferFunctions.push({
-                compiled: S.compile(),
-                gainColor: CONSTANTS.COLORS.S,
-                phaseColor: CONSTANTS.COLORS.S,
-                visible: displayOptions.showS
+                compiled: loopMaps[map.id].compile(),
+                gainColor: map.color,
+                phaseColor: map.color,
+                visible: displayOptions.loopMaps.bode[map.id]
             });
-        }
-
-        const prefix = isNarrowLayout ? 'narrow-' : '';
+        });
+    }
 
-        // Get poles and zeros for frequency markers
-        let poleZeroFrequencies = null;
-        if (bodeOptions.showPoleZeroFrequencies && currentVars.analysis) {
-            const olPZ = currentVars.analysis.openLoopPolesZeros;
-            if (olPZ) {
-                poleZeroFrequencies = {
-                    poles: olPZ.poles || [],
-                    zeros: olPZ.zeros || []
-                };
-            }
-        }
+    // Continuous-time L(s) before c2d() (dashed), evaluated at s = jω
+    const Lc = currentVars.Lcontinuous;
+    if (Lc && Lc.isNode) {
+        transferFunctions.push({
+            compiled: Lc.compile(),
+            gainColor: CONSTANTS.COLORS.L,
+            phaseColor: CONSTANTS.COLORS.L,
+            visible: displayOptions.showL && bodeOptions.showContinuousEquivalent,
+            continuous: true,
+            dash: [8, 4]
+        });
+    }
 
-        let margins = drawBodeMulti(transferFunctions, w, prefix + 'bode-wrapper', prefix + 'bode-canvas', {
-            showMarginLines: bodeOptions.showMarginLines,
-            showCrossoverLines: bodeOptions.showCrossoverLines,
-            showPoleZeroFrequencies: bodeOptions.showPoleZeroFrequencies,
-            poleZeroFrequencies: poleZeroFrequencies,
-            autoScaleVertical: bodeOptions.autoScaleVertical,
-            gainMin: bodeOptions.gainMin,
-            gainMax: bodeOptions.gainMax,
-            phaseMin: bodeOptions.phaseMin,
-            phaseMax: bodeOptions.phaseMax
+    // Measured plant P (dotted) of an frd() design
+    if (frdInUse()) {
+        transferFunctions.push({
+            compiled: math.parse('frd(' + transferVariable() + ')').compile(),
+            gainColor: CONSTANTS.COLORS.FRD,
+            phaseColor: CONSTANTS.COLORS.FRD,
+            visible: bodeOptions.showMeasuredData,
+            dash: [2, 3]
         });
+    }
+
+    return transferFunctions;
+}
+
+// Open-loop poles and zeros for the Bode frequency markers (as s-plane roots)
+function getBodePoleZeroFrequencies() {
+    if (!bodeOptions.showPoleZeroFrequencies || !currentVars.analysis) return null;
+
+    const olPZ = currentVars.analysis.openLoopPolesZeros;
+    if (!olPZ) return null;
+
+    // Discrete-time roots are mapped to s = ln(z)/Ts (roots at z = 0 have no frequency)
+    const toS = roots => (roots || []).map(equivalentSPlaneRoot).filter(p => isFinite(p.re));
+    return {
+        poles: toS(olPZ.poles),
+        zeros: toS(olPZ.zeros)
+    };
+}
+
+// Drawing options for drawBodeMulti() from the current Bode settings
+function getBodeDrawOptions() {
+    return {
+        showMarginLines: bodeOptions.showMarginLines,
+        showCrossoverLines: bodeOptions.showCrossoverLines,
+        showPoleZeroFrequencies: bodeOptions.showPoleZeroFrequencies,
+        poleZeroFrequencies: getBodePoleZeroFrequencies(),
+        controllerHandles: bodeOptions.showPoleZeroFrequencies && displayOptions.showL ? getControllerHandles() : null,
+        nyquistFrequency: nyquistFrequency(),
+        specBounds: currentVars.analysis ? buildSpecBounds(getFrequencyGrid()) : [],
+        uncertaintyFamily: displayOptions.showL ? getUncertaintyBodeFamily() : null,
+        autoScaleVertical: bodeOptions.autoScaleVertical,
+        gainMin: bodeOptions.gainMin,
+        gainMax: bodeOptions.gainMax,
+        phaseMin: bodeOptions.phaseMin,
+        phaseMax: bodeOptions.phaseMax
+    };
+}
+
+function updateBodePlot() {
+    try {
+        const transferFunctions = buildBodeTransferFunctions();
+        if (!transferFunctions) return;
+
+        // Generate frequency array
+        let w = getFrequencyGrid();
+
+        const prefix = isNarrowLayout ? 'narrow-' : '';
+
+        let margins = drawBodeMulti(transferFunctions, w, prefix + 'bode-wrapper', prefix + 'bode-canvas',
+            getBodeDrawOptions());
 
         // Cache margins from Bode plot (may be null if panel is hidden)
         if (margins) {
             window.lastMargins = margins;
+            bodeHandleLayout = {
+                points: margins.handlePoints,
+                pixelsPerDecade: margins.pixelsPerDecade,
+                pixelsPerDb: margins.pixelsPerDb
+            };
         }
 
     } catch (e) {
@@ -744,7 +1124,7 @@ function calculateFrequencyResponse(compiled, w) {
     for (let i = 0; i < N; i++) {
         let Gjw;
         try {
-            Gjw = compiled.evaluate({ 's': math.complex(0, w[i]) });
+            Gjw = compiled.evaluate(evaluationScope(math.complex(0, w[i])));
         } catch (e) {
             Gjw = math.complex(0, 0);
         }
@@ -782,7 +1162,7 @@ function saveCurrentAsSnapshot() {
     }
 
     // Generate frequency array for Bode
-    const w = logspace(design.freqMin, design.freqMax, design.freqPoints);
+    const w = getFrequencyGrid();
 
     // Calculate frequency response for L
     const respL = calculateFrequencyResponse(L.compile(), w);
@@ -804,47 +1184,7 @@ function saveCurrentAsSnapshot() {
     if (analysis && analysis.stepResponseData) {
         try {
             const stepTimeMax = typeof getStepTimeMax === 'function' ? getStepTimeMax() : 20;
-            const structure = analysis.lStructure;
-            const ssL = analysis.stepResponseData.ssL;
-            const delayL = analysis.stepResponseData.delayL;
-            const LCoeffs = analysis.stepResponseData.LCoeffs;
-
-            let nPoints = 500;
-            if (structure.type === 'rational_delay' && delayL > 0) {
-                const dtTarget = delayL / 25;
-                if (dtTarget > 0) {
-                    nPoints = Math.max(nPoints, Math.ceil(stepTimeMax / dtTarget) + 1);
-                }
-                nPoints = Math.min(nPoints, 20000);
-            }
-
-            if (structure.type === 'rational_delay') {
-                const simL = simulateStepResponse(ssL, null, stepTimeMax, nPoints, delayL, 0);
-                const simT = simulateClosedLoopStepResponseLoopDelay(ssL, delayL, stepTimeMax, nPoints);
-                stepData = { time: simL.time, yL: simL.yL, yT: simT.y };
-            } else {
-                // Build state-space for T
-                let ssT = null;
-                try {
-                    const Tnum = LCoeffs.num.slice();
-                    let Tden = [];
-                    const maxLen = Math.max(LCoeffs.num.length, LCoeffs.den.length);
-                    const numPadded = LCoeffs.num.slice();
-                    const denPadded = LCoeffs.den.slice();
-                    while (numPadded.length < maxLen) numPadded.push(0);
-                    while (denPadded.length < maxLen) denPadded.push(0);
-                    for (let i = 0; i < maxLen; i++) {
-                        Tden.push(numPadded[i] + denPadded[i]);
-                    }
-                    while (Tden.length > 1 && Math.abs(Tden[Tden.length - 1]) < 1e-15) {
-                        Tden.pop();
-                    }
-                    ssT = tf2ss(Tnum, Tden);
-                } catch (e) {
-                    // T state-space build failed
-                }
-                stepData = simulateStepResponse(ssL, ssT, stepTimeMax, nPoints, 0, 0);
-            }
+            stepData = computeStepSimulation(analysis, stepTimeMax);
         } catch (e) {
             console.log('Snapshot: step response simulation failed:', e);
         }
@@ -871,6 +1211,7 @@ function saveCurrentAsSnapshot() {
     showToast('Snapshot saved for comparison');
     updateBodePlot();
     updateStepResponsePlot();
+    updateNicholsPlot();
 }
 
 // Clear all snapshots
@@ -884,6 +1225,7 @@ function clearAllSnapshots() {
     showToast('All snapshots cleared');
     updateBodePlot();
     updateStepResponsePlot();
+    updateNicholsPlot();
 }
 
 // Update the snapshot count display in Compare menu
@@ -925,7 +1267,22 @@ function buildNyquistCacheKey(Lnode, imagAxisPoles) {
     const polesStr = (imagAxisPoles || [])
         .map(p => `${(p.re || 0).toFixed(12)},${(p.im || 0).toFixed(12)}`)
         .join(';');
-    return Lstr + '|' + polesStr;
+    return Lstr + '|' + polesStr + '|' + (samplingTime || '');
+}
+
+// Nyquist contour sweep of a loop (uncached)
+function computeLoopNyquistAnalysis(Lcompiled, imagAxisPoles) {
+    // Discrete time: sweep the unit circle up to the Nyquist frequency
+    // Measured plant data: sweep the measured frequencies
+    const wN = nyquistFrequency();
+    return computeNyquistAnalysis(Lcompiled, imagAxisPoles, {
+        wArray: frdInUse() ? frdNyquistGrid(1e-4) : null,
+        wMinDecade: wN ? Math.log10(wN) - 6 : -4,
+        wMaxDecade: wN ? Math.log10(wN) : 6,
+        wPoints: 1000,
+        nIndentPoints: 50,
+        epsilon: 1e-4
+    });
 }
 
 function getOrComputeNyquistAnalysisCached(Lnode, Lcompiled, imagAxisPoles) {
@@ -936,13 +1293,7 @@ function getOrComputeNyquistAnalysisCached(Lnode, Lcompiled, imagAxisPoles) {
         return window.lastNyquistAnalysis;
     }
 
-    const analysis = computeNyquistAnalysis(Lcompiled, imagAxisPoles, {
-        wMinDecade: -4,
-        wMaxDecade: 6,
-        wPoints: 1000,
-        nIndentPoints: 50,
-        epsilon: 1e-4
-    });
+    const analysis = computeLoopNyquistAnalysis(Lcompiled, imagAxisPoles);
 
     window.lastNyquistAnalysis = analysis;
     window.lastNyquistAnalysisKey = key;
@@ -1001,9 +1352,15 @@ function updateClosedLoopPoles() {
         const isStable = (Z !== null) ? (Z === 0) : false;
 
         // Display open-loop poles and zeros (available for both rational and rational_delay)
-        const olPZ = analysis.openLoopPolesZeros;
-        displayOpenLoopPoles(olPZ.poles);
-        displayZeros(olPZ.zeros);
+        if (structure.type === 'frd') {
+            // Measured plant: the poles and zeros of L are unknown (P is assumed stable)
+            if (olpEl) olpEl.textContent = 'n/a (measured data)';
+            if (zerosEl) zerosEl.textContent = 'n/a (measured data)';
+        } else {
+            const olPZ = analysis.openLoopPolesZeros;
+            displayOpenLoopPoles(olPZ.poles);
+            displayZeros(olPZ.zeros);
+        }
 
         if (structure.type === 'rational') {
             const clPZ = analysis.closedLoopPolesZeros;
@@ -1016,7 +1373,7 @@ function updateClosedLoopPoles() {
             }
             window.lastZeros = clPZ.zeros;
         } else {
-            // For rational_delay, show Nyquist-based stability
+            // For rational_delay and frd, show Nyquist-based stability
             if (P === null) {
                 if (clpEl) clpEl.textContent = '--';
                 if (indicator) {
@@ -1106,14 +1463,14 @@ function updateTpzCheckboxState(enabled) {
 }
 
 // Format a list of complex numbers (poles or zeros) as LaTeX strings
-// Handles conjugate pairs, RHP highlighting, and proper formatting
+// Handles conjugate pairs, RHP (or outside unit circle) highlighting, and proper formatting
 // highlightColor: 'red' for RHP poles, 'blue' for RHP zeros
 function formatComplexListLatex(points, highlightColor) {
     const strings = [];
 
     for (let i = 0; i < points.length; i++) {
         const p = points[i];
-        const isRHP = p.re > IMAG_AXIS_TOL;
+        const isRHP = isUnstableRoot(p);
         let str = '';
 
         if (isRHP) {
@@ -1239,12 +1596,14 @@ function renderNyquistPlot(wrapperId, canvasId, formulaElementId) {
         // Get stability margins for display (only if enabled and closed-loop is stable)
         let phaseMargins = null;
         let gainMargins = null;
+        let diskMargins = null;
         if (nyquistOptions.showStabilityMargin && analysis.isClosedLoopStable) {
             const margins = analysis.stabilityMargins;
             if (margins) {
                 phaseMargins = margins.phaseMargins;
                 gainMargins = margins.gainMargins;
             }
+            diskMargins = analysis.diskMargins;
         }
 
         drawNyquist(analysis.lCompiled, analysis.imagAxisPoles, {
@@ -1255,7 +1614,9 @@ function renderNyquistPlot(wrapperId, canvasId, formulaElementId) {
             phaseMargins: phaseMargins,
             showPhaseMarginArc: nyquistOptions.showStabilityMargin,
             gainMargins: gainMargins,
-            showGainMarginLine: nyquistOptions.showStabilityMargin
+            showGainMarginLine: nyquistOptions.showStabilityMargin,
+            diskMargins: diskMargins,
+            uncertaintyFamily: getUncertaintyNyquistFamily()
         });
     } catch (e) {
         console.log('Nyquist plot error:', e);
@@ -1349,6 +1710,84 @@ function updateMargins() {
         pmDisplay.textContent = 'N/A';
         pmDisplay.className = 'text-muted';
     }
+
+    // Delay margin at each gain crossover
+    let dmDisplay = document.getElementById(prefix + 'dm-display');
+    if (dmDisplay) {
+        const delayMargins = margins.phaseMargins
+            .filter(pm => isFinite(pm.delayMargin))
+            .map(pm => ({ frequency: pm.frequency, margin: pm.delayMargin }));
+        if (delayMargins.length > 0) {
+            dmDisplay.textContent = formatMarginList(delayMargins, 's', (m) => formatMetricValue(m), (f) => f.toFixed(3));
+            dmDisplay.className = colorClass;
+        } else {
+            dmDisplay.textContent = 'N/A';
+            dmDisplay.className = 'text-muted';
+        }
+    }
+
+    updateDiskMargins(isClosedLoopStable);
+}
+
+// Gain of a disk margin range in dB (0 and ∞ for unbounded ranges)
+function formatDiskGain(gain) {
+    if (gain <= 0) return '-∞';
+    if (!isFinite(gain)) return '+∞';
+    const dB = 20 * Math.log10(gain);
+    return (dB >= 0 ? '+' : '') + dB.toFixed(2);
+}
+
+// Vector margin and disk margins in the Stability panel (only meaningful for a stable loop)
+function updateDiskMargins(isClosedLoopStable) {
+    const prefix = isNarrowLayout ? 'narrow-' : '';
+    const vmDisplay = document.getElementById(prefix + 'vm-display');
+    const diskDisplay = document.getElementById(prefix + 'disk-display');
+    const skewedDisplay = document.getElementById(prefix + 'skewed-disk-display');
+    if (!vmDisplay || !diskDisplay || !skewedDisplay) return;
+
+    const diskMargins = isClosedLoopStable ? currentVars.analysis.diskMargins : null;
+    if (!diskMargins) {
+        [vmDisplay, diskDisplay, skewedDisplay].forEach(display => {
+            display.textContent = '--';
+            display.className = 'text-muted';
+        });
+        return;
+    }
+
+    const vm = diskMargins.vectorMargin;
+    vmDisplay.textContent = vm.value.toFixed(3) + ' @ ' + vm.frequency.toFixed(3) + ' rad/s (Ms = ' + (1 / vm.value).toFixed(2) + ')';
+    vmDisplay.className = 'text-success';
+
+    const formatDisk = disk => formatDiskGain(disk.gainMin) + '/' + formatDiskGain(disk.gainMax) + ' dB, ±' + disk.phase.toFixed(1) + ' deg';
+    const [balanced, ...skewed] = diskMargins.disks;
+    diskDisplay.textContent = formatDisk(balanced) + ' (α = ' + balanced.alpha.toFixed(3) + ')';
+    diskDisplay.className = 'text-success';
+    skewedDisplay.textContent = skewed.map(disk => disk.label + ': ' + formatDisk(disk)).join(', ');
+    skewedDisplay.className = 'text-success';
+}
+
+// Controllability and observability of the ss() realizations in the Stability panel
+function updateStateSpaceInfo() {
+    const prefix = isNarrowLayout ? 'narrow-' : '';
+    const ssInfo = document.getElementById(prefix + 'ss-info');
+    const ssDisplay = document.getElementById(prefix + 'ss-display');
+    if (!ssInfo || !ssDisplay) return;
+
+    const realizations = currentVars.stateSpace || [];
+    ssInfo.style.display = realizations.length > 0 ? '' : 'none';
+    if (realizations.length === 0) return;
+
+    let minimal = true;
+    ssDisplay.textContent = realizations.map(r => {
+        const ranks = stateSpaceRanks(r);
+        const controllable = ranks.controllable === r.n;
+        const observable = ranks.observable === r.n;
+        if (!controllable || !observable) minimal = false;
+        return r.name + ' (n = ' + r.n + '): ' +
+            (controllable ? 'controllable' : 'uncontrollable (rank ' + ranks.controllable + ')') + ', ' +
+            (observable ? 'observable' : 'unobservable (rank ' + ranks.observable + ')');
+    }).join('; ');
+    ssDisplay.className = minimal ? 'text-success' : 'text-warning';
 }
 
 function updateNyquistInfo() {
@@ -1422,6 +1861,15 @@ function autoAdjustFrequencyRange() {
             return;
         }
 
+        // Measured plant data: show the measured frequency range
+        if (frdInUse()) {
+            design.freqMin = Math.log10(frdData.w[0]);
+            design.freqMax = Math.log10(frdData.w[frdData.w.length - 1]);
+            const wN = nyquistFrequency();
+            if (wN) design.freqMax = Math.min(design.freqMax, Math.log10(wN));
+            return;
+        }
+
         // Rationalize L to get numerator and denominator
         let Lrat = util_rationalize(L);
         if (!Lrat) {
@@ -1466,10 +1914,11 @@ function autoAdjustFrequencyRange() {
         }
 
         // Combine open-loop poles, zeros, and closed-loop poles
-        let allRoots = [...poles, ...zeros, ...closedLoopPoles];
+        // (discrete-time roots are mapped to the equivalent s-plane roots)
+        let allRoots = [...poles, ...zeros, ...closedLoopPoles].map(equivalentSPlaneRoot);
         let frequencies = allRoots
             .map(p => Math.sqrt(p.re * p.re + p.im * p.im))  // absolute value
-            .filter(f => f > 1e-6);  // exclude near-zero
+            .filter(f => f > 1e-6 && isFinite(f));  // exclude near-zero
 
         if (frequencies.length === 0) {
             // Default range if no poles/zeros found
@@ -1498,6 +1947,13 @@ function autoAdjustFrequencyRange() {
             }
         }
 
+        // Discrete time: the plot ends at the Nyquist frequency
+        const wN = nyquistFrequency();
+        if (wN) {
+            design.freqMax = Math.log10(wN);
+            design.freqMin = Math.min(design.freqMin, design.freqMax - 3);
+        }
+
     } catch (e) {
         console.log('Auto frequency range error:', e);
     }
@@ -1557,7 +2013,8 @@ let bodeDragState = {
     startFreqMin: 0,
     startFreqMax: 0,
     directionDecided: false,  // Whether drag direction has been determined
-    isHorizontalDrag: false   // True if horizontal drag, false if vertical scroll
+    isHorizontalDrag: false,  // True if horizontal drag, false if vertical scroll
+    handleDrag: null          // Controller handle being dragged (loopshaping.js), null when panning
 };
 
 function setupBodeDragPanning() {
@@ -1573,6 +2030,19 @@ function setupBodeDragPanning() {
         const rect = wrapper.getBoundingClientRect();
         const x = clientX - rect.left;
 
+        // A controller handle is dragged in both directions (no direction decision for touch)
+        const hit = findControllerHandleHit(wrapper, clientX, clientY);
+        if (hit) {
+            bodeDragState.handleDrag = startControllerHandleDrag(hit);
+            if (!bodeDragState.handleDrag) return false;
+            bodeDragState.active = true;
+            bodeDragState.startX = clientX;
+            bodeDragState.startY = clientY;
+            bodeDragState.directionDecided = true;
+            bodeDragState.isHorizontalDrag = true;
+            return true;
+        }
+
         // Only start drag if within plot area (horizontal bounds)
         if (x >= leftMargin && x <= wrapper.clientWidth - rightMargin) {
             bodeDragState.active = true;
@@ -1620,6 +2090,11 @@ function setupBodeDragPanning() {
 
         if (!bodeDragState.isHorizontalDrag) return false;
 
+        if (bodeDragState.handleDrag) {
+            dragControllerHandle(bodeDragState.handleDrag, dx, dy);
+            return true;
+        }
+
         const plotWidth = wrapper.clientWidth - leftMargin - rightMargin;
 
         // Calculate frequency shift in decades
@@ -1642,6 +2117,10 @@ function setupBodeDragPanning() {
         if (bodeDragState.active) {
             bodeDragState.active = false;
             wrapper.style.cursor = '';
+            if (bodeDragState.handleDrag) {
+                endControllerHandleDrag(bodeDragState.handleDrag);
+                bodeDragState.handleDrag = null;
+            }
         }
     }
 
@@ -1653,6 +2132,13 @@ function setupBodeDragPanning() {
         }
     }, 'drag');
 
+    // Resize cursor over the controller handles
+    attachListenerOnce(wrapper, 'mousemove', function(e) {
+        if (bodeDragState.active) return;
+        const hit = findControllerHandleHit(wrapper, e.clientX, e.clientY);
+        wrapper.style.cursor = hit ? (hit.handle.kind === 'gain' ? 'ns-resize' : 'ew-resize') : '';
+    }, 'drag');
+
     // Touch events (single finger drag)
     attachListenerOnce(wrapper, 'touchstart', function(e) {
         // Only handle single touch (two-finger gestures handled by setupPinchToWheel)
@@ -1761,6 +2247,16 @@ function setupEventListeners() {
         }
     );
 
+    // Pole-Zero Map parameter locus selector
+    attachListenerOnce(
+        document.getElementById(prefix + 'pz-locus-parameter'),
+        'sl-change',
+        function() {
+            pzmapOptions.locusParameter = this.value || null;
+            updatePolePlot();
+        }
+    );
+
     // Wide layout only elements
     if (!isNarrowLayout) {
         // Pole-Zero Map visibility checkboxes
@@ -1814,6 +2310,26 @@ function setupEventListeners() {
                 updateStepResponsePlot();
             }
         );
+        attachListenerOnce(
+            document.getElementById('step-input-signal'),
+            'sl-change',
+            function() {
+                stepOptions.inputSignal = this.value || 'step';
+                updateStepInputPanel();
+                updateStepResponsePlot();
+                updateBrowserUrl();
+            }
+        );
+        STEP_DISTURBANCE_RESPONSES.forEach(resp => {
+            attachListenerOnce(
+                document.getElementById('chk-show-' + resp.id + '-step'),
+                'sl-change',
+                function() {
+                    displayOptions[resp.option] = this.checked;
+                    updateStepResponsePlot();
+                }
+            );
+        });
     } else {
         // Narrow layout: setup wheel and pinch-to-wheel handlers for plot zooming
 
@@ -1917,6 +2433,26 @@ function setupEventListeners() {
                 updateStepResponsePlot();
             }
         );
+        attachListenerOnce(
+            document.getElementById('narrow-step-input-signal'),
+            'sl-change',
+            function() {
+                stepOptions.inputSignal = this.value || 'step';
+                updateStepInputPanel();
+                updateStepResponsePlot();
+                updateBrowserUrl();
+            }
+        );
+        STEP_DISTURBANCE_RESPONSES.forEach(resp => {
+            attachListenerOnce(
+                document.getElementById('narrow-chk-show-' + resp.id + '-step'),
+                'sl-change',
+                function() {
+                    displayOptions[resp.option] = this.checked;
+                    updateStepResponsePlot();
+                }
+            );
+        });
     }
 
     // Handle layout mode switching on window resize
@@ -1946,6 +2482,11 @@ function setupEventListeners() {
     setupStepContextMenu();
     setupPzmapContextMenu();
     setupNyquistContextMenu();
+    setupNicholsContextMenu();
+    setupRootLocusContextMenu();
+    setupRootLocusInteraction();
+    setupPoleZeroDrag();
+    setupMonteCarloControls();
 }
 
 // ============================================================================
@@ -2066,6 +2607,14 @@ document.addEventListener('DOMContentLoaded', function() {
     // Initialize Export dialog (available on all layouts)
     initializeExportDialog();
 
+    // Initialize PID tuning, lead/lag and optimizer dialogs (available on all layouts)
+    initializeTuningDialog();
+    initializeLeadLagDialog();
+    initializeOptimizerDialog();
+
+    // Initialize frequency response data import dialog
+    initializeFrdDialog();
+
     if (isNarrowLayout) {
         // Narrow layout: use static HTML layout (no Dockview)
         initializeNarrowLayout();
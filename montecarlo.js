@@ -0,0 +1,445 @@
+// Monte Carlo dispersion analysis: step responses and margins over random parameter samples
+
+const MONTE_CARLO_PLOT = {
+    MARGINS: { left: 60, right: 20, top: 20, bottom: 40 },
+    HISTOGRAM_HEIGHT: 0.38,     // Fraction of the canvas height used by the histograms
+    HISTOGRAM_BINS: 12,
+    FONT: '14px Consolas, monospace',
+    SMALL_FONT: '12px Consolas, monospace',
+    MAX_TRACES: 50              // Sample responses drawn behind the envelope
+};
+
+// Samples evaluated between two redraws while a run is in progress
+const MONTE_CARLO_CHUNK = 5;
+
+// Last run: { key, tMax, nominal, samples, stats } (null before the first run)
+let monteCarloResult = null;
+
+// Run in progress: { cancelled } (null when idle)
+let monteCarloRun = null;
+
+// ============================================================================
+// Random Sampling
+// ============================================================================
+
+// Seeded uniform generator on [0, 1) (mulberry32), so that a run can be reproduced
+function createRandomGenerator(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Standard normal sample (Box-Muller)
+function randomNormal(random) {
+    const u = 1 - random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+// One parameter sample { name: value }. Uniform over [low, high];
+// normal around the nominal value with the ± range as 3σ.
+function sampleUncertainParameters(params, random) {
+    const values = {};
+    params.forEach(p => {
+        values[p.name] = p.distribution === 'normal'
+            ? p.nominal + (p.high - p.nominal) / 3 * randomNormal(random)
+            : p.low + (p.high - p.low) * random();
+    });
+    return values;
+}
+
+// ============================================================================
+// Simulation
+// ============================================================================
+
+// Step response, stability and margins of the loop at one parameter sample of the design
+// { code, sliderValues } captured when the run started.
+// Returns { values, time, y, stable, metrics, phaseMargin }; metrics and margins only for stable loops.
+function simulateMonteCarloSample(values, tMax, snapshot) {
+    const L = evaluateDesignAt({ ...snapshot.sliderValues, ...values }, snapshot.code).L;
+    if (!L || !L.isNode) throw new Error('L is not defined');
+
+    const loop = analyzeUncertainLoop(L);
+    const analysis = createSystemAnalysis(L, null, null);
+    if (!analysis.stepResponseData) throw new Error('L cannot be simulated');
+
+    const sim = simulateLoopAndClosedLoop(analysis, tMax, () => 1);
+    const y = sim.yT || [];
+    const stable = loop.stable && y.every(isFinite);
+
+    let phaseMargin = null;
+    if (stable && loop.margins && loop.margins.phaseMargins.length > 0) {
+        phaseMargin = Math.min(...loop.margins.phaseMargins.map(pm => pm.margin));
+    }
+
+    return {
+        values,
+        time: sim.time,
+        y,
+        stable,
+        metrics: stable ? calculateStepMetrics(sim.time, y, 1) : null,
+        phaseMargin
+    };
+}
+
+// Key of the design and slider settings a run was made for
+function getMonteCarloKey() {
+    return JSON.stringify([design.code, design.sliders, samplingTime, getStepTimeMax(), monteCarloOptions.samples]);
+}
+
+// Envelope over the stable samples and the distribution of the metrics
+function computeMonteCarloStats(samples) {
+    const stable = samples.filter(s => s.stable);
+    const n = stable.length > 0 ? stable[0].y.length : 0;
+    const lower = Array(n).fill(Infinity);
+    const upper = Array(n).fill(-Infinity);
+    stable.forEach(s => {
+        for (let i = 0; i < n; i++) {
+            lower[i] = Math.min(lower[i], s.y[i]);
+            upper[i] = Math.max(upper[i], s.y[i]);
+        }
+    });
+
+    const collect = pick => stable.map(pick).filter(v => v !== null && v !== undefined && isFinite(v));
+    return {
+        time: stable.length > 0 ? stable[0].time : [],
+        lower,
+        upper,
+        unstable: samples.length - stable.length,
+        overshoot: collect(s => s.metrics && s.metrics.overshoot),
+        settlingTime: collect(s => s.metrics && s.metrics.settlingTime),
+        phaseMargin: collect(s => s.phaseMargin)
+    };
+}
+
+// Start a run over monteCarloOptions.samples samples. Samples are simulated in small
+// chunks so that the page stays responsive; the plot is redrawn after each chunk.
+function runMonteCarlo() {
+    if (monteCarloRun) monteCarloRun.cancelled = true;
+
+    const params = getUncertainParameters();
+    const analysis = currentVars.analysis;
+    if (params.length === 0 || !analysis || !analysis.stepResponseData) {
+        monteCarloResult = null;
+        updateMonteCarloPlot();
+        return;
+    }
+
+    const tMax = getStepTimeMax();
+    const total = monteCarloOptions.samples;
+    const random = createRandomGenerator(monteCarloOptions.seed);
+    const run = { cancelled: false };
+    monteCarloRun = run;
+
+    // Code edits and slider moves during the run must not mix samples of different designs
+    const snapshot = { code: design.code, sliderValues: {} };
+    design.sliders.forEach(slider => {
+        if (slider.name && slider.currentValue !== undefined) snapshot.sliderValues[slider.name] = slider.currentValue;
+    });
+
+    const nominal = simulateLoopAndClosedLoop(analysis, tMax, () => 1);
+    monteCarloResult = { key: getMonteCarloKey(), tMax, total, nominal, samples: [], stats: null, error: null };
+
+    const step = () => {
+        if (run.cancelled) return;
+        try {
+            for (let k = 0; k < MONTE_CARLO_CHUNK && monteCarloResult.samples.length < total; k++) {
+                const values = sampleUncertainParameters(params, random);
+                monteCarloResult.samples.push(simulateMonteCarloSample(values, tMax, snapshot));
+            }
+            monteCarloResult.stats = computeMonteCarloStats(monteCarloResult.samples);
+        } catch (e) {
+            console.log('Monte Carlo error:', e);
+            monteCarloResult.error = e.message;
+            monteCarloRun = null;
+            updateMonteCarloPlot();
+            return;
+        }
+
+        if (monteCarloResult.samples.length >= total) monteCarloRun = null;
+        updateMonteCarloPlot();
+        if (monteCarloRun === run) setTimeout(step, 0);
+    };
+    setTimeout(step, 0);
+    updateMonteCarloPlot();
+}
+
+// ============================================================================
+// Monte Carlo Plot Drawing
+// ============================================================================
+
+function drawMonteCarloPlot(result, wrapperId, canvasId, message) {
+    const wrapper = document.getElementById(wrapperId);
+    const canvas = document.getElementById(canvasId);
+    if (!wrapper || !canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    const width = wrapper.clientWidth;
+    const height = wrapper.clientHeight;
+    if (width === 0 || height === 0) return;
+
+    canvas.width = width * devicePixelRatio;
+    canvas.height = height * devicePixelRatio;
+    canvas.style.width = width + 'px';
+    canvas.style.height = height + 'px';
+    ctx.scale(devicePixelRatio, devicePixelRatio);
+
+    ctx.fillStyle = CONSTANTS.COLORS.BACKGROUND;
+    ctx.fillRect(0, 0, width, height);
+
+    if (!result || !result.stats) {
+        ctx.fillStyle = CONSTANTS.COLORS.AXIS;
+        ctx.font = MONTE_CARLO_PLOT.FONT;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(message, width / 2, height / 2);
+        return;
+    }
+
+    const { left, right, top, bottom } = MONTE_CARLO_PLOT.MARGINS;
+    const histHeight = Math.round(height * MONTE_CARLO_PLOT.HISTOGRAM_HEIGHT);
+    const plotWidth = width - left - right;
+    const plotHeight = height - top - bottom - histHeight;
+
+    drawMonteCarloEnvelope(ctx, result, left, top, plotWidth, plotHeight);
+
+    // Histograms side by side below the envelope
+    const stats = result.stats;
+    const histograms = [
+        { label: 'Overshoot [%]', values: stats.overshoot, color: STEP_PLOT.COLORS.overshoot },
+        { label: 'Settling time [s]', values: stats.settlingTime, color: STEP_PLOT.COLORS.settling },
+        { label: 'PM [deg]', values: stats.phaseMargin, color: CONSTANTS.COLORS.L }
+    ];
+    const gap = 16;
+    const histWidth = (width - 2 * gap) / histograms.length - gap;
+    const histTop = top + plotHeight + bottom;
+    histograms.forEach((h, k) => {
+        drawMonteCarloHistogram(ctx, h, gap + k * (histWidth + 2 * gap), histTop, histWidth, histHeight - 36);
+    });
+}
+
+// Sample responses, min/max envelope of the stable samples and the nominal response
+function drawMonteCarloEnvelope(ctx, result, left, top, plotWidth, plotHeight) {
+    const stats = result.stats;
+    const tMax = result.tMax;
+    const nominalY = result.nominal.yT || [];
+
+    // Vertical range from the envelope and the nominal response
+    let yMin = 0, yMax = 1;
+    [stats.lower, stats.upper, nominalY].forEach(data => {
+        data.forEach(v => {
+            if (!isFinite(v)) return;
+            yMin = Math.min(yMin, v);
+            yMax = Math.max(yMax, v);
+        });
+    });
+    const yPad = (yMax - yMin) * 0.05 || 0.1;
+    yMin -= yPad;
+    yMax += yPad;
+
+    const t2x = t => left + t / tMax * plotWidth;
+    const y2y = y => top + (yMax - y) / (yMax - yMin) * plotHeight;
+
+    // Grid and tick labels
+    ctx.font = MONTE_CARLO_PLOT.FONT;
+    ctx.strokeStyle = CONSTANTS.COLORS.GRID;
+    ctx.fillStyle = CONSTANTS.COLORS.TEXT;
+    ctx.lineWidth = 1;
+    const tStep = calculateNiceStep(tMax, 8);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (let t = 0; t <= tMax + 1e-9; t += tStep) {
+        ctx.beginPath();
+        ctx.moveTo(t2x(t), top);
+        ctx.lineTo(t2x(t), top + plotHeight);
+        ctx.stroke();
+        ctx.fillText(formatAxisValue(t), t2x(t), top + plotHeight + 5);
+    }
+    const yStep = calculateNiceStep(yMax - yMin, 5);
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (let y = Math.ceil(yMin / yStep) * yStep; y <= yMax; y += yStep) {
+        ctx.beginPath();
+        ctx.moveTo(left, y2y(y));
+        ctx.lineTo(left + plotWidth, y2y(y));
+        ctx.stroke();
+        ctx.fillText(formatAxisValue(y), left - 5, y2y(y));
+    }
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText('Time [s]', left + plotWidth / 2, top + plotHeight + 20);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(left, top, plotWidth, plotHeight);
+    ctx.clip();
+
+    const drawLine = (time, y) => {
+        ctx.beginPath();
+        let started = false;
+        for (let i = 0; i < y.length; i++) {
+            if (!isFinite(y[i])) { started = false; continue; }
+            if (!started) { ctx.moveTo(t2x(time[i]), y2y(y[i])); started = true; }
+            else ctx.lineTo(t2x(time[i]), y2y(y[i]));
+        }
+        ctx.stroke();
+    };
+
+    // Envelope band
+    const n = stats.lower.length;
+    if (n > 0) {
+        ctx.fillStyle = CONSTANTS.COLORS.T;
+        ctx.globalAlpha = 0.15;
+        ctx.beginPath();
+        for (let i = 0; i < n; i++) {
+            if (i === 0) ctx.moveTo(t2x(stats.time[i]), y2y(stats.upper[i]));
+            else ctx.lineTo(t2x(stats.time[i]), y2y(stats.upper[i]));
+        }
+        for (let i = n - 1; i >= 0; i--) {
+            ctx.lineTo(t2x(stats.time[i]), y2y(stats.lower[i]));
+        }
+        ctx.closePath();
+        ctx.fill();
+        ctx.globalAlpha = 1;
+    }
+
+    // A few individual samples (unstable ones in the violation color)
+    ctx.lineWidth = 0.75;
+    ctx.globalAlpha = 0.35;
+    result.samples.slice(0, MONTE_CARLO_PLOT.MAX_TRACES).forEach(s => {
+        ctx.strokeStyle = s.stable ? CONSTANTS.COLORS.T : CONSTANTS.COLORS.VIOLATION;
+        drawLine(s.time, s.y);
+    });
+    ctx.globalAlpha = 1;
+
+    // Nominal response
+    ctx.strokeStyle = CONSTANTS.COLORS.T;
+    ctx.lineWidth = 2.5;
+    drawLine(result.nominal.time, nominalY);
+    ctx.restore();
+
+    // Sample count and unstable fraction
+    ctx.font = MONTE_CARLO_PLOT.SMALL_FONT;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'top';
+    let status = result.samples.length + ' / ' + result.total + ' samples';
+    if (stats.unstable > 0) status += ', ' + stats.unstable + ' unstable';
+    if (result.error) status += ' (' + result.error + ')';
+    ctx.fillStyle = stats.unstable > 0 || result.error ? CONSTANTS.COLORS.VIOLATION : CONSTANTS.COLORS.TEXT;
+    ctx.fillText(status, left + plotWidth - 6, top + 6);
+    if (result.stale) {
+        ctx.fillStyle = CONSTANTS.COLORS.AXIS;
+        ctx.fillText('design changed: run again', left + plotWidth - 6, top + 22);
+    }
+
+    ctx.strokeStyle = CONSTANTS.COLORS.TEXT;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(left, top, plotWidth, plotHeight);
+}
+
+// Histogram of one metric with its mean and 5–95 % range
+function drawMonteCarloHistogram(ctx, histogram, x0, y0, width, height) {
+    const values = histogram.values;
+    ctx.font = MONTE_CARLO_PLOT.SMALL_FONT;
+    ctx.fillStyle = CONSTANTS.COLORS.TEXT;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText(histogram.label, x0 + width / 2, y0 + height + 18);
+
+    ctx.strokeStyle = CONSTANTS.COLORS.TEXT;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x0, y0 + height);
+    ctx.lineTo(x0 + width, y0 + height);
+    ctx.stroke();
+
+    if (values.length === 0) {
+        ctx.fillStyle = CONSTANTS.COLORS.AXIS;
+        ctx.textBaseline = 'middle';
+        ctx.fillText('--', x0 + width / 2, y0 + height / 2);
+        return;
+    }
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const vMin = sorted[0];
+    const vMax = sorted[sorted.length - 1];
+    const span = vMax - vMin || Math.abs(vMin) * 0.1 || 1;
+    const bins = MONTE_CARLO_PLOT.HISTOGRAM_BINS;
+    const counts = Array(bins).fill(0);
+    values.forEach(v => {
+        counts[Math.min(bins - 1, Math.floor((v - vMin) / span * bins))]++;
+    });
+    const maxCount = Math.max(...counts);
+
+    ctx.fillStyle = histogram.color;
+    ctx.globalAlpha = 0.6;
+    const binWidth = width / bins;
+    counts.forEach((c, k) => {
+        const h = c / maxCount * (height - 16);
+        ctx.fillRect(x0 + k * binWidth + 1, y0 + height - h, binWidth - 2, h);
+    });
+    ctx.globalAlpha = 1;
+
+    // Range labels under the axis, statistics above the bars
+    const percentile = p => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    ctx.fillStyle = CONSTANTS.COLORS.TEXT;
+    ctx.textBaseline = 'top';
+    ctx.textAlign = 'left';
+    ctx.fillText(formatMetricValue(vMin), x0, y0 + height + 3);
+    ctx.textAlign = 'right';
+    ctx.fillText(formatMetricValue(vMin + span), x0 + width, y0 + height + 3);
+    ctx.textAlign = 'center';
+    ctx.fillText('μ ' + formatMetricValue(mean) + '  5–95% ' + formatMetricValue(percentile(0.05)) + '–' +
+        formatMetricValue(percentile(0.95)), x0 + width / 2, y0 - 4);
+}
+
+// ============================================================================
+// Monte Carlo Panel
+// ============================================================================
+
+function updateMonteCarloPlot() {
+    const prefix = isNarrowLayout ? 'narrow-' : '';
+
+    try {
+        let message = 'Press Run to simulate ' + monteCarloOptions.samples + ' random samples';
+        if (getUncertainParameters().length === 0) {
+            message = 'Set a ±% uncertainty on a slider (gear icon) to run Monte Carlo';
+        }
+        if (monteCarloResult) monteCarloResult.stale = monteCarloResult.key !== getMonteCarloKey();
+
+        const runButton = document.getElementById(prefix + 'monte-carlo-run');
+        if (runButton) runButton.loading = !!monteCarloRun;
+
+        drawMonteCarloPlot(monteCarloResult, prefix + 'monte-carlo-wrapper', prefix + 'monte-carlo-canvas', message);
+    } catch (e) {
+        console.log('Monte Carlo plot error:', e);
+    }
+}
+
+// Run button and sample count input (wide and narrow layouts)
+function setupMonteCarloControls() {
+    ['', 'narrow-'].forEach(prefix => {
+        const runButton = document.getElementById(prefix + 'monte-carlo-run');
+        if (runButton && !runButton.dataset.listenerAttached) {
+            runButton.addEventListener('click', runMonteCarlo);
+            runButton.dataset.listenerAttached = 'true';
+        }
+
+        const samplesInput = document.getElementById(prefix + 'monte-carlo-samples');
+        if (samplesInput && !samplesInput.dataset.listenerAttached) {
+            samplesInput.value = monteCarloOptions.samples;
+            samplesInput.addEventListener('sl-change', function() {
+                const n = parseInt(this.value);
+                monteCarloOptions.samples = isFinite(n) ? Math.max(10, Math.min(2000, n)) : monteCarloOptions.samples;
+                this.value = monteCarloOptions.samples;
+                updateMonteCarloPlot();
+            });
+            samplesInput.dataset.listenerAttached = 'true';
+        }
+    });
+}
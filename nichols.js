@@ -0,0 +1,360 @@
+// Nichols chart drawing for loop shaping tool
+
+const NICHOLS_PLOT = {
+    MARGINS: { left: 70, right: 20, top: 10, bottom: 50 },
+    FONT: '14px Consolas, monospace',
+    GRID_FONT: '11px Consolas, monospace',
+    GRID_COLOR: '#b0b0b0',
+    CRITICAL_COLOR: '#cc3300',
+    // Closed-loop gain |T| of the M-circles [dB] and phase ∠T of the N-contours [deg]
+    M_CONTOURS: [12, 6, 3, 1, 0.5, 0.25, 0, -1, -3, -6, -12, -20, -40],
+    N_CONTOURS: [-1, -5, -10, -20, -30, -45, -60, -90, -120, -150, -180, -210, -240, -270, -300, -315, -330, -340, -350, -355, -359],
+    CONTOUR_POINTS: 361
+};
+
+// ============================================================================
+// Nichols Data
+// ============================================================================
+
+// Shift the unwrapped phase by a multiple of 360° so that the phase at the lowest
+// gain crossover is close to -180° (same convention as the Bode plot)
+function alignNicholsPhase(gain, phase) {
+    for (let i = 1; i < gain.length; i++) {
+        if ((gain[i - 1] > 0 && gain[i] <= 0) || (gain[i - 1] <= 0 && gain[i] > 0)) {
+            const ratio = -gain[i - 1] / (gain[i] - gain[i - 1]);
+            const phaseAtGc = phase[i - 1] + ratio * (phase[i] - phase[i - 1]);
+            const offset = -Math.round((phaseAtGc + 180) / 360) * 360;
+            return phase.map(p => p + offset);
+        }
+    }
+    return phase;
+}
+
+// Interpolate data (defined on w) at frequency wi in log ω
+function interpolateAtFrequency(w, data, wi) {
+    for (let i = 0; i < w.length - 1; i++) {
+        if (w[i] <= wi && w[i + 1] >= wi) {
+            const ratio = Math.log10(wi / w[i]) / Math.log10(w[i + 1] / w[i]);
+            return data[i] + ratio * (data[i + 1] - data[i]);
+        }
+    }
+    return NaN;
+}
+
+// Open-loop point L = T/(1 - T) for closed-loop T = M∠θ, as { gain [dB], phase [deg] }
+// with the phase taken in [-360°, 0°) so that contours surround the critical point at -180°
+function nicholsContourPoint(M, thetaDeg) {
+    const T = math.complex({ abs: M, arg: thetaDeg * Math.PI / 180 });
+    const L = math.divide(T, math.subtract(1, T));
+    let phase = L.arg() * 180 / Math.PI;
+    if (phase >= 0) phase -= 360;
+    return { gain: 20 * Math.log10(L.abs()), phase };
+}
+
+// M-circles (|T| constant) and N-contours (∠T constant) as polylines of { gain, phase }
+function computeNicholsGrid() {
+    const n = NICHOLS_PLOT.CONTOUR_POINTS;
+    const mContours = NICHOLS_PLOT.M_CONTOURS.map(mdB => {
+        const M = Math.pow(10, mdB / 20);
+        const points = [];
+        for (let k = 1; k < n - 1; k++) {
+            points.push(nicholsContourPoint(M, -360 * k / (n - 1)));
+        }
+        return { value: mdB, points };
+    });
+    const nContours = NICHOLS_PLOT.N_CONTOURS.map(thetaDeg => {
+        const points = [];
+        for (let k = 0; k < n; k++) {
+            points.push(nicholsContourPoint(Math.pow(10, -3 + 6 * k / (n - 1)), thetaDeg));
+        }
+        return { value: thetaDeg, points };
+    });
+    return { mContours, nContours };
+}
+
+// ============================================================================
+// Nichols Chart Drawing
+// ============================================================================
+
+// response: { gain, phase } of L on w (phase aligned by alignNicholsPhase)
+// options.margins: output of calculateStabilityMargins(), drawn when options.showMargins is set
+// options.ctx, options.width, options.height can be provided for external context (e.g., SVG export)
+function drawNicholsChart(response, w, wrapperId, canvasId, options = {}) {
+    let ctx, width, height;
+
+    if (options.ctx && options.width && options.height) {
+        ctx = options.ctx;
+        width = options.width;
+        height = options.height;
+    } else {
+        const wrapper = document.getElementById(wrapperId);
+        const canvas = document.getElementById(canvasId);
+        if (!wrapper || !canvas) return;
+
+        ctx = canvas.getContext('2d');
+        width = wrapper.clientWidth;
+        height = wrapper.clientHeight;
+        if (width === 0 || height === 0) return;
+
+        canvas.width = width * devicePixelRatio;
+        canvas.height = height * devicePixelRatio;
+        canvas.style.width = width + 'px';
+        canvas.style.height = height + 'px';
+        ctx.scale(devicePixelRatio, devicePixelRatio);
+    }
+
+    ctx.fillStyle = CONSTANTS.COLORS.BACKGROUND;
+    ctx.fillRect(0, 0, width, height);
+
+    if (!response) return;
+
+    const { left: leftMargin, right: rightMargin, top: topMargin, bottom: bottomMargin } = NICHOLS_PLOT.MARGINS;
+    const plotWidth = width - leftMargin - rightMargin;
+    const plotHeight = height - topMargin - bottomMargin;
+
+    // Axis ranges from finite data, always including the critical point (-180°, 0 dB)
+    let gminAll = 0, gmaxAll = 0, pminAll = -180, pmaxAll = -180;
+    response.gain.forEach((g, i) => {
+        if (!isFinite(g) || !isFinite(response.phase[i])) return;
+        gminAll = Math.min(gminAll, g);
+        gmaxAll = Math.max(gmaxAll, g);
+        pminAll = Math.min(pminAll, response.phase[i]);
+        pmaxAll = Math.max(pmaxAll, response.phase[i]);
+    });
+    const gMargin = Math.max(5, (gmaxAll - gminAll) * 0.05);
+    const gmin = clip(gminAll - gMargin, -210, 210);
+    const gmax = clip(gmaxAll + gMargin, -210, 210);
+    const pmin = clip(Math.floor((pminAll - 10) / 45) * 45, -1080, 1080);
+    const pmax = clip(Math.ceil((pmaxAll + 10) / 45) * 45, -1080, 1080);
+
+    const p2x = p => leftMargin + (p - pmin) / (pmax - pmin) * plotWidth;
+    const g2y = g => topMargin + (gmax - g) / (gmax - gmin) * plotHeight;
+
+    ctx.lineJoin = 'round';
+    ctx.lineCap = 'round';
+    ctx.font = NICHOLS_PLOT.FONT;
+
+    // Phase and gain grid
+    const pStep = (pmax - pmin) > 540 ? 90 : 45;
+    const gStep = (gmax - gmin) > 80 ? 20 : 10;
+    ctx.fillStyle = CONSTANTS.COLORS.TEXT;
+    ctx.strokeStyle = CONSTANTS.COLORS.GRID;
+    ctx.lineWidth = 1;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (let p = Math.ceil(pmin / pStep) * pStep; p <= pmax; p += pStep) {
+        const x = p2x(p);
+        ctx.beginPath();
+        ctx.moveTo(x, topMargin);
+        ctx.lineTo(x, topMargin + plotHeight);
+        ctx.stroke();
+        ctx.fillText(p.toFixed(0), x, topMargin + plotHeight + 5);
+    }
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (let g = Math.ceil(gmin / gStep) * gStep; g <= gmax; g += gStep) {
+        const y = g2y(g);
+        ctx.beginPath();
+        ctx.moveTo(leftMargin, y);
+        ctx.lineTo(leftMargin + plotWidth, y);
+        ctx.stroke();
+        ctx.fillText(g.toFixed(0), leftMargin - 5, y);
+    }
+
+    // Axis labels
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText('Phase [deg]', leftMargin + plotWidth / 2, topMargin + plotHeight + 25);
+    ctx.save();
+    ctx.translate(leftMargin - 50, topMargin + plotHeight / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textBaseline = 'bottom';
+    ctx.fillText('Gain [dB]', 0, 0);
+    ctx.restore();
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(leftMargin, topMargin, plotWidth, plotHeight);
+    ctx.clip();
+
+    // Phase offsets 360°k that bring a copy of the critical point -180° into view
+    const shifts = [];
+    for (let k = Math.floor(pmin / 360); k <= Math.ceil(pmax / 360) + 1; k++) {
+        shifts.push(k * 360);
+    }
+
+    // Draw a polyline of { gain, phase } (phase shifted by offset), breaking at non-finite points
+    const drawPolyline = (points, offset) => {
+        ctx.beginPath();
+        let started = false;
+        points.forEach(pt => {
+            if (!isFinite(pt.gain) || !isFinite(pt.phase)) {
+                started = false;
+                return;
+            }
+            const x = p2x(pt.phase + offset), y = g2y(clip(pt.gain, gmin - 100, gmax + 100));
+            if (!started) { ctx.moveTo(x, y); started = true; }
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+    };
+
+    // M-circles and N-contours
+    if (options.showGrid !== false) {
+        const grid = computeNicholsGrid();
+        ctx.strokeStyle = NICHOLS_PLOT.GRID_COLOR;
+        ctx.fillStyle = NICHOLS_PLOT.GRID_COLOR;
+        ctx.font = NICHOLS_PLOT.GRID_FONT;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+
+        ctx.lineWidth = 0.75;
+        ctx.setLineDash([2, 3]);
+        grid.nContours.forEach(c => shifts.forEach(offset => drawPolyline(c.points, offset)));
+        ctx.setLineDash([]);
+
+        ctx.lineWidth = 1;
+        grid.mContours.forEach(c => {
+            // Label at the highest point of the contour near -180°
+            let label = null;
+            c.points.forEach(pt => {
+                if (Math.abs(pt.phase + 180) < 5 && (!label || pt.gain > label.gain)) label = pt;
+            });
+            shifts.forEach(offset => {
+                drawPolyline(c.points, offset);
+                if (label && isFinite(label.gain)) {
+                    ctx.fillText(c.value + ' dB', p2x(-180 + offset), g2y(label.gain) - 2);
+                }
+            });
+        });
+    }
+
+    // Critical points (-180° + 360°k, 0 dB)
+    ctx.strokeStyle = NICHOLS_PLOT.CRITICAL_COLOR;
+    ctx.lineWidth = 2;
+    shifts.forEach(offset => {
+        const x = p2x(-180 + offset), y = g2y(0);
+        ctx.beginPath();
+        ctx.moveTo(x - 6, y);
+        ctx.lineTo(x + 6, y);
+        ctx.moveTo(x, y - 6);
+        ctx.lineTo(x, y + 6);
+        ctx.stroke();
+    });
+
+    const toPoints = data => data.gain.map((gain, i) => ({ gain, phase: data.phase[i] }));
+
+    // Comparison snapshots (behind the main curve, as dashed lines)
+    if (typeof savedSnapshots !== 'undefined') {
+        savedSnapshots.forEach(snap => {
+            if (!snap.visible || !snap.bodeData?.L) return;
+            const snapL = snap.bodeData.L;
+            ctx.strokeStyle = lightenColor?.(CONSTANTS.COLORS.L, 0.1) || CONSTANTS.COLORS.L;
+            ctx.lineWidth = 1.5;
+            ctx.setLineDash([6, 4]);
+            drawPolyline(toPoints({ gain: snapL.gain, phase: alignNicholsPhase(snapL.gain, snapL.phase) }), 0);
+            ctx.setLineDash([]);
+        });
+    }
+
+    // L curve
+    ctx.strokeStyle = CONSTANTS.COLORS.L;
+    ctx.lineWidth = 2.5;
+    drawPolyline(toPoints(response), 0);
+
+    // Decade frequency markers along the curve
+    ctx.fillStyle = CONSTANTS.COLORS.L;
+    ctx.font = NICHOLS_PLOT.GRID_FONT;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'bottom';
+    for (let d = Math.ceil(Math.log10(w[0])); d <= Math.floor(Math.log10(w[w.length - 1])); d++) {
+        const wd = Math.pow(10, d);
+        const g = interpolateAtFrequency(w, response.gain, wd);
+        const p = interpolateAtFrequency(w, response.phase, wd);
+        if (!isFinite(g) || !isFinite(p)) continue;
+        const x = p2x(p), y = g2y(g);
+        ctx.beginPath();
+        ctx.arc(x, y, 3, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.fillText(formatFrequency(wd), x + 5, y - 3);
+    }
+
+    // Stability margins: GM as a vertical segment at the phase crossover,
+    // PM as a horizontal segment on 0 dB at the gain crossover
+    if (options.showMargins && options.margins) {
+        ctx.strokeStyle = '#000000';
+        ctx.fillStyle = '#000000';
+        ctx.lineWidth = 2;
+        ctx.font = NICHOLS_PLOT.FONT;
+
+        options.margins.gainMargins.forEach(gm => {
+            const p = interpolateAtFrequency(w, response.phase, gm.frequency);
+            if (!isFinite(p)) return;
+            const pRef = Math.round((p + 180) / 360) * 360 - 180;
+            const x = p2x(pRef);
+            ctx.beginPath();
+            ctx.moveTo(x, g2y(gm.gainAtCrossover));
+            ctx.lineTo(x, g2y(0));
+            ctx.stroke();
+            const gmValue = Math.round(gm.margin);
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('GM=' + (gmValue >= 0 ? '+' : '') + gmValue + 'dB', x + 4, g2y(gm.gainAtCrossover / 2));
+        });
+
+        options.margins.phaseMargins.forEach(pm => {
+            const p = interpolateAtFrequency(w, response.phase, pm.frequency);
+            if (!isFinite(p)) return;
+            const pRef = Math.round((p + 180) / 360) * 360 - 180;
+            const y = g2y(0);
+            ctx.beginPath();
+            ctx.moveTo(p2x(pRef), y);
+            ctx.lineTo(p2x(p), y);
+            ctx.stroke();
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'top';
+            ctx.fillText('PM=' + Math.round(pm.margin) + '°', (p2x(pRef) + p2x(p)) / 2, y + 4);
+        });
+    }
+
+    ctx.restore();
+
+    // Border
+    ctx.strokeStyle = CONSTANTS.COLORS.TEXT;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(leftMargin, topMargin, plotWidth, plotHeight);
+}
+
+// ============================================================================
+// Nichols Chart Rendering
+// ============================================================================
+
+// Drawing options for the current design (shared with SVG export)
+function getNicholsDrawOptions() {
+    const analysis = currentVars.analysis;
+    return {
+        showGrid: nicholsOptions.showGrid,
+        showMargins: nicholsOptions.showStabilityMargin && !!analysis?.isClosedLoopStable,
+        margins: analysis?.stabilityMargins || null
+    };
+}
+
+// Frequency response of L for the Nichols chart (null if L is not defined)
+function computeNicholsResponse(w) {
+    const L = currentVars.L;
+    if (!L || !L.isNode) return null;
+    const resp = calculateFrequencyResponse(L.compile(), w);
+    return { gain: resp.gain, phase: alignNicholsPhase(resp.gain, resp.phase) };
+}
+
+function updateNicholsPlot() {
+    const prefix = isNarrowLayout ? 'narrow-' : '';
+
+    try {
+        const w = getFrequencyGrid();
+        const response = currentVars.analysis ? computeNicholsResponse(w) : null;
+        drawNicholsChart(response, w, prefix + 'nichols-wrapper', prefix + 'nichols-canvas', getNicholsDrawOptions());
+    } catch (e) {
+        console.log('Nichols plot error:', e);
+    }
+}
@@ -37,8 +37,21 @@ function formatSValueLatex(pointInfo) {
     const { s, indentation, L } = pointInfo;
     let sLine = '';
 
-    // Format s value based on whether we're on an indentation arc or regular imaginary axis
-    if (indentation) {
+    // Discrete time: the contour point s is shown through z = e^{s Ts}
+    if (samplingTime) {
+        if (indentation) {
+            const { poleIm, theta } = indentation;
+            const thetaDeg = formatAngleDegrees(theta);
+            const isOriginPole = Math.abs(poleIm) < IMAG_AXIS_TOL;
+            const exponent = isOriginPole
+                ? `\\varepsilon \\angle ${thetaDeg}^\\circ`
+                : `${formatNumForLatex(poleIm)}j + \\varepsilon \\angle ${thetaDeg}^\\circ`;
+            sLine = `z &= e^{(${exponent}) T_s}`;
+        } else {
+            sLine = Math.abs(s.im) < 1e-8 ? 'z &= 1' : `z &= e^{${formatNumForLatex(s.im)}j T_s}`;
+        }
+    } else if (indentation) {
+        // Format s value based on whether we're on an indentation arc or regular imaginary axis
         const { poleIm, theta } = indentation;
         const thetaDeg = formatAngleDegrees(theta);
         const isOriginPole = Math.abs(poleIm) < IMAG_AXIS_TOL;
@@ -58,13 +71,14 @@ function formatSValueLatex(pointInfo) {
     const mag = Math.sqrt(L.re * L.re + L.im * L.im);
     const phaseDeg = formatAngleDegrees(Math.atan2(L.im, L.re));
 
+    const lName = `L(${transferVariable()})`;
     let lLine;
     if (mag < 1e-10) {
-        lLine = 'L(s) &= 0';
+        lLine = `${lName} &= 0`;
     } else if (mag > 1e4) {
-        lLine = `L(s) &= \\infty \\angle ${phaseDeg}^\\circ`;
+        lLine = `${lName} &= \\infty \\angle ${phaseDeg}^\\circ`;
     } else {
-        lLine = `L(s) &= ${formatNumForLatex(mag)} \\angle ${phaseDeg}^\\circ`;
+        lLine = `${lName} &= ${formatNumForLatex(mag)} \\angle ${phaseDeg}^\\circ`;
     }
 
     return `\\begin{aligned} ${sLine} \\\\ ${lLine} \\end{aligned}`;
@@ -102,6 +116,8 @@ function drawNyquist(Lcompiled, imagAxisPoles, options) {
     const showPhaseMarginArc = options.showPhaseMarginArc !== false;
     const gainMargins = options.gainMargins || null;
     const showGainMarginLine = options.showGainMarginLine !== false;
+    const diskMargins = options.diskMargins || null;
+    const uncertaintyFamily = options.uncertaintyFamily || null;
 
     let ctx, width, height, canvas;
 
@@ -176,17 +192,30 @@ function drawNyquist(Lcompiled, imagAxisPoles, options) {
         drawGainMarginLines(ctx, centerX, centerY, scale, R, gainMargins);
     }
 
+    // Draw vector margin circle and balanced disk margin region (if provided)
+    if (diskMargins) {
+        drawDiskMarginGeometry(ctx, toCanvasX, toCanvasY, R, diskMargins);
+    }
+
     // Draw critical point at -1
     const criticalX = toCanvasX(compressPoint(-1, 0, R).x);
     const criticalY = toCanvasY(compressPoint(-1, 0, R).y);
     drawCriticalPoint(ctx, criticalX, criticalY);
 
+    // Draw the loops of the uncertainty set behind the nominal curve
+    const familyCurves = uncertaintyFamily
+        ? uncertaintyFamily.map(nyq => calculateNyquistDataFromAnalysis(nyq, R).points)
+        : null;
+    if (familyCurves) {
+        drawNyquistFamily(ctx, familyCurves, toCanvasX, toCanvasY, R);
+    }
+
     // Draw Nyquist curve
     drawNyquistCurve(ctx, nyquistData.points, toCanvasX, toCanvasY, R);
 
     // Start animation if enabled (only when using canvas, not external context like SVG)
     if (animate && canvas) {
-        startNyquistAnimation(canvas, ctx, nyquistData, toCanvasX, toCanvasY, centerX, centerY, scale, maxRadius, R, wrapperId, phaseMargins, showPhaseMarginArc, gainMargins, showGainMarginLine);
+        startNyquistAnimation(canvas, ctx, nyquistData, toCanvasX, toCanvasY, centerX, centerY, scale, maxRadius, R, wrapperId, phaseMargins, showPhaseMarginArc, gainMargins, showGainMarginLine, familyCurves, diskMargins);
     }
 
     return nyquistData;
@@ -488,9 +517,12 @@ function drawPhaseMarginArcs(ctx, centerX, centerY, scale, R, phaseMargins) {
         const labelX = centerX + labelRadius * Math.cos(midAngle);
         const labelY = centerY + labelRadius * Math.sin(midAngle);
 
-        // Format the phase margin value
+        // Format the phase margin value (with the delay margin of this crossover)
         const pmValue = Math.round(pm.margin);
-        const labelText = 'PM=' + pmValue + '°';
+        let labelText = 'PM=' + pmValue + '°';
+        if (pm.delayMargin !== undefined && isFinite(pm.delayMargin)) {
+            labelText += ' DM=' + pm.delayMargin.toPrecision(2) + 's';
+        }
 
         // Draw rotated text radially (perpendicular to the arc)
         ctx.save();
@@ -587,6 +619,79 @@ function drawGainMarginLines(ctx, centerX, centerY, scale, R, gainMargins) {
     ctx.restore();
 }
 
+// Draw the vector margin and the balanced disk margin on the Nyquist plot
+// diskMargins: { vectorMargin, disks } from calculateDiskMargins
+// Vector margin: circle of radius min|1+L| around -1 and the segment to the closest point L(jω).
+// Disk margin: L must avoid the critical disk -1/f for all f in D(α, 0), which crosses the
+// real axis at -1/gainMin and -1/gainMax. Circles are sampled since the compression distorts them.
+function drawDiskMarginGeometry(ctx, toCanvasX, toCanvasY, R, diskMargins) {
+    const drawMappedPath = (points, close) => {
+        ctx.beginPath();
+        points.forEach((p, i) => {
+            const c = compressPoint(p.re, p.im, R);
+            if (i === 0) ctx.moveTo(toCanvasX(c.x), toCanvasY(c.y));
+            else ctx.lineTo(toCanvasX(c.x), toCanvasY(c.y));
+        });
+        if (close) ctx.closePath();
+    };
+    const circlePoints = (re, im, radius) => {
+        const points = [];
+        for (let k = 0; k <= 120; k++) {
+            const theta = 2 * Math.PI * k / 120;
+            points.push({ re: re + radius * Math.cos(theta), im: im + radius * Math.sin(theta) });
+        }
+        return points;
+    };
+
+    ctx.save();
+    ctx.font = '12px Consolas, monospace';
+
+    // Balanced disk margin: shaded critical disk through -1/gainMin and -1/gainMax (0 for an infinite gainMax)
+    const balanced = diskMargins.disks.find(d => d.sigma === 0);
+    if (balanced && balanced.alpha > 0 && balanced.gainMin > 0) {
+        const left = -1 / balanced.gainMin;
+        const right = isFinite(balanced.gainMax) ? -1 / balanced.gainMax : 0;
+        const points = circlePoints((left + right) / 2, 0, (right - left) / 2);
+        ctx.fillStyle = '#8844cc';
+        ctx.globalAlpha = 0.12;
+        drawMappedPath(points, true);
+        ctx.fill();
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = '#8844cc';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+
+        const labelPos = compressPoint(left, 0, R);
+        ctx.fillStyle = '#8844cc';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText('disk α=' + balanced.alpha.toFixed(2), toCanvasX(labelPos.x), toCanvasY(labelPos.y) + 4);
+    }
+
+    // Vector margin: circle around -1 touching the curve, and the segment to the touching point
+    const vm = diskMargins.vectorMargin;
+    if (vm && isFinite(vm.value) && vm.value > 0) {
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 3]);
+        drawMappedPath(circlePoints(-1, 0, vm.value), true);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.lineWidth = 2;
+        drawMappedPath([{ re: -1, im: 0 }, vm.point], false);
+        ctx.stroke();
+
+        const mid = compressPoint((vm.point.re - 1) / 2, vm.point.im / 2, R);
+        ctx.fillStyle = '#000000';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('VM=' + vm.value.toFixed(2), toCanvasX(mid.x) + 4, toCanvasY(mid.y));
+    }
+
+    ctx.restore();
+}
+
 // Draw the Nyquist curve
 // R: compression radius, used to scale discontinuity threshold
 function drawNyquistCurve(ctx, points, toCanvasX, toCanvasY, R) {
@@ -628,6 +733,34 @@ function drawNyquistCurve(ctx, points, toCanvasX, toCanvasY, R) {
     }
 }
 
+// Draw the Nyquist curves of the uncertainty set (thin and translucent, without arrows)
+function drawNyquistFamily(ctx, curves, toCanvasX, toCanvasY, R) {
+    const discontinuityThreshold = Math.max(0.5, 0.3 * (R || 3));
+
+    ctx.save();
+    ctx.strokeStyle = '#0088aa';
+    ctx.globalAlpha = 0.25;
+    ctx.lineWidth = 1;
+    ctx.lineJoin = 'round';
+
+    curves.forEach(points => {
+        if (points.length < 2) return;
+        ctx.beginPath();
+        ctx.moveTo(toCanvasX(points[0].cx), toCanvasY(points[0].cy));
+        for (let i = 1; i < points.length; i++) {
+            let dx = points[i].cx - points[i - 1].cx;
+            let dy = points[i].cy - points[i - 1].cy;
+            if (Math.sqrt(dx * dx + dy * dy) > discontinuityThreshold) {
+                ctx.moveTo(toCanvasX(points[i].cx), toCanvasY(points[i].cy));
+            } else {
+                ctx.lineTo(toCanvasX(points[i].cx), toCanvasY(points[i].cy));
+            }
+        }
+        ctx.stroke();
+    });
+    ctx.restore();
+}
+
 // Draw arrow at a point along the curve
 function drawArrow(ctx, points, idx, toCanvasX, toCanvasY) {
     const p0 = points[Math.max(0, idx - 1)];
@@ -718,7 +851,7 @@ function getPointAtArcLength(points, cumulativeLength, targetLength) {
 }
 
 // Start animation of moving point on the curve
-function startNyquistAnimation(canvas, ctx, nyquistData, toCanvasX, toCanvasY, centerX, centerY, scale, maxRadius, R, wrapperId, phaseMargins, showPhaseMarginArc, gainMargins, showGainMarginLine) {
+function startNyquistAnimation(canvas, ctx, nyquistData, toCanvasX, toCanvasY, centerX, centerY, scale, maxRadius, R, wrapperId, phaseMargins, showPhaseMarginArc, gainMargins, showGainMarginLine, familyCurves, diskMargins) {
     // Stop any existing animation (preserves progress in nyquistAnimationProgress)
     stopNyquistAnimation();
 
@@ -735,7 +868,9 @@ function startNyquistAnimation(canvas, ctx, nyquistData, toCanvasX, toCanvasY, c
         phaseMargins: phaseMargins || null,
         showPhaseMarginArc: showPhaseMarginArc !== false,
         gainMargins: gainMargins || null,
-        showGainMarginLine: showGainMarginLine !== false
+        showGainMarginLine: showGainMarginLine !== false,
+        familyCurves: familyCurves || null,
+        diskMargins: diskMargins || null
     };
     nyquistCurrentWrapperId = wrapperId;
 
@@ -826,12 +961,22 @@ function renderNyquistFrame(canvas, ctx, points, cumulativeLength,
         drawGainMarginLines(ctx, centerX, centerY, scale, R, nyquistAnimationData.gainMargins);
     }
 
+    // Redraw disk margin geometry
+    if (nyquistAnimationData && nyquistAnimationData.diskMargins) {
+        drawDiskMarginGeometry(ctx, toCanvasX, toCanvasY, R, nyquistAnimationData.diskMargins);
+    }
+
     // Redraw critical point
     const criticalCompressed = compressPoint(-1, 0, R);
     const criticalX = toCanvasX(criticalCompressed.x);
     const criticalY = toCanvasY(criticalCompressed.y);
     drawCriticalPoint(ctx, criticalX, criticalY);
 
+    // Redraw uncertainty family
+    if (nyquistAnimationData && nyquistAnimationData.familyCurves) {
+        drawNyquistFamily(ctx, nyquistAnimationData.familyCurves, toCanvasX, toCanvasY, R);
+    }
+
     // Redraw curve
     drawNyquistCurve(ctx, points, toCanvasX, toCanvasY, R);
 
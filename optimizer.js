@@ -0,0 +1,379 @@
+// Slider parameter optimizer
+// Adjusts selected sliders within their min/max bounds to minimize or maximize an objective
+// written in terms of the stability and step response metrics, e.g.
+//   maximize PM subject to wc >= 2 and Ms < 1.6
+
+// Metrics that require a step response simulation or the disk margin computation
+const OPTIMIZER_STEP_METRICS = ['overshoot', 'settlingTime', 'riseTime', 'peakTime'];
+const OPTIMIZER_DISK_METRICS = ['VM', 'Ms'];
+
+// Cost of designs that are unstable or cannot be evaluated, and weight of constraint violations
+const OPTIMIZER_UNSTABLE_COST = 1e6;
+const OPTIMIZER_PENALTY = 1e3;
+
+// Current or last run: { problem, params, startValues, best, iterations, stopped, running, snapshot }
+let optimizerRun = null;
+
+// ============================================================================
+// Objective
+// ============================================================================
+
+// Parse "minimize|maximize <expr> [subject to <constraint> and <constraint> ...]"
+// into { sense, objective, constraints: [{ text, lhs, rhs, upper }], symbols }
+function parseOptimizationProblem(text) {
+    const match = text.trim().match(/^(minimize|maximize|min|max)\s+(.+?)(?:\s+subject\s+to\s+(.+))?$/is);
+    if (!match) throw new Error('Write "minimize <expression>" or "maximize <expression>", optionally followed by "subject to ..."');
+
+    const symbols = new Set();
+    const compile = (exprText) => {
+        const node = math.parse(exprText);
+        node.traverse(n => { if (n.isSymbolNode) symbols.add(n.name); });
+        return node.compile();
+    };
+
+    const constraints = (match[3] ? match[3].split(/\s+and\s+/i) : []).map(constraintText => {
+        const parts = constraintText.match(/^(.+?)\s*(<=|>=|<|>)\s*(.+)$/);
+        if (!parts) throw new Error('Constraint must compare two expressions: ' + constraintText);
+        return {
+            text: constraintText.trim(),
+            lhs: compile(parts[1]),
+            rhs: compile(parts[3]),
+            upper: parts[2][0] === '<'
+        };
+    });
+
+    return {
+        sense: /^max/i.test(match[1]) ? -1 : 1,
+        objective: compile(match[2]),
+        constraints,
+        symbols
+    };
+}
+
+// Stability and step response metrics of the design with the given slider values.
+// needs: { step, disk } selects the more expensive metrics
+function evaluateOptimizationMetrics(values, needs) {
+    const L = evaluateDesignAt(values).L;
+    if (!L || !L.isNode) throw new Error('L is not defined');
+
+    const loop = analyzeUncertainLoop(L);
+    const margins = loop.margins || { gainMargins: [], phaseMargins: [] };
+    const minimum = (list, pick) => list.length > 0 ? Math.min(...list.map(pick)) : NaN;
+    const worstGM = margins.gainMargins.reduce((worst, gm) => (!worst || gm.margin < worst.margin ? gm : worst), null);
+
+    const metrics = {
+        stable: loop.stable ? 1 : 0,
+        GM: worstGM ? worstGM.margin : Infinity,
+        wpc: worstGM ? worstGM.frequency : NaN,
+        PM: minimum(margins.phaseMargins, pm => pm.margin),
+        wc: minimum(margins.phaseMargins, pm => pm.frequency),
+        DM: minimum(margins.phaseMargins, pm => pm.delayMargin)
+    };
+
+    if (needs.disk) {
+        const vm = calculateDiskMargins(L).vectorMargin;
+        metrics.VM = vm.value;
+        metrics.Ms = 1 / vm.value;
+    }
+
+    if (needs.step) {
+        let stepMetrics = null;
+        const analysis = createSystemAnalysis(L, null, null);
+        if (loop.stable && analysis.stepResponseData) {
+            const sim = simulateLoopAndClosedLoop(analysis, getStepTimeMax(), () => 1);
+            if (sim.yT && sim.yT.every(isFinite)) stepMetrics = calculateStepMetrics(sim.time, sim.yT, 1);
+        }
+        OPTIMIZER_STEP_METRICS.forEach(name => {
+            const value = stepMetrics ? stepMetrics[name] : null;
+            metrics[name] = value === null || value === undefined ? NaN : value;
+        });
+    }
+
+    return metrics;
+}
+
+// Objective (sign-adjusted for minimization) and total relative constraint violation
+function evaluateOptimizationProblem(problem, scope) {
+    const toNumber = (value) => typeof value === 'boolean' ? Number(value) : value;
+    const objective = problem.sense * toNumber(problem.objective.evaluate(scope));
+    let violation = 0;
+    problem.constraints.forEach(c => {
+        const lhs = toNumber(c.lhs.evaluate(scope));
+        const rhs = toNumber(c.rhs.evaluate(scope));
+        const excess = c.upper ? lhs - rhs : rhs - lhs;
+        if (isNaN(excess)) {
+            // Undefined metric (e.g. no crossover) or an infinite one on the wrong side
+            violation += 1;
+        } else if (excess > 0) {
+            violation += isFinite(excess) ? excess / Math.max(1, Math.abs(rhs)) : 1;
+        }
+    });
+    return { objective, violation };
+}
+
+// Slider values of the optimized parameters at the normalized positions u (0..1 over min..max)
+function optimizerValuesAt(params, u) {
+    const values = {};
+    params.forEach((p, i) => {
+        values[p.slider.name] = sliderPosToValue(clip(u[i], 0, 1) * 1000, p.slider.min, p.slider.max, p.slider.logScale);
+    });
+    return values;
+}
+
+// Penalized cost over normalized slider positions
+function createOptimizerCost(problem, params) {
+    const needs = {
+        step: OPTIMIZER_STEP_METRICS.some(name => problem.symbols.has(name)),
+        disk: OPTIMIZER_DISK_METRICS.some(name => problem.symbols.has(name))
+    };
+
+    return (u) => {
+        const outside = u.reduce((sum, ui) => sum + Math.max(0, -ui, ui - 1), 0);
+        const values = optimizerValuesAt(params, u);
+        let result;
+        try {
+            const metrics = evaluateOptimizationMetrics(values, needs);
+            if (!metrics.stable) return OPTIMIZER_UNSTABLE_COST * (1 + outside);
+            result = evaluateOptimizationProblem(problem, { ...currentSliderValues(), ...values, ...metrics });
+        } catch (e) {
+            return OPTIMIZER_UNSTABLE_COST * (1 + outside);
+        }
+        if (!isFinite(result.objective)) return OPTIMIZER_UNSTABLE_COST / 10 + OPTIMIZER_PENALTY * (result.violation + outside);
+        return result.objective + OPTIMIZER_PENALTY * (result.violation + outside);
+    };
+}
+
+// Current values of all named sliders
+function currentSliderValues() {
+    const values = {};
+    design.sliders.forEach(slider => {
+        if (slider.name && slider.currentValue !== undefined) values[slider.name] = slider.currentValue;
+    });
+    return values;
+}
+
+// ============================================================================
+// Optimization Run
+// ============================================================================
+
+// Start a run over the checked sliders; iterations are spread over event loop turns
+function startOptimizer() {
+    let problem;
+    try {
+        problem = parseOptimizationProblem(document.getElementById('optimizer-objective')?.value || '');
+    } catch (e) {
+        updateOptimizerStatus(e.message, true);
+        return;
+    }
+
+    const checked = Array.from(document.querySelectorAll('#optimizer-parameters sl-checkbox'))
+        .filter(box => box.checked)
+        .map(box => design.sliders[parseInt(box.value)])
+        .filter(slider => slider && slider.name && slider.max > slider.min);
+    if (checked.length === 0) {
+        updateOptimizerStatus('Select at least one parameter', true);
+        return;
+    }
+
+    const params = checked.map(slider => ({ slider }));
+    const u0 = params.map(p => valueToSliderPos(p.slider.currentValue, p.slider.min, p.slider.max, p.slider.logScale) / 1000);
+    const maxIterations = Math.max(1, parseInt(document.getElementById('optimizer-iterations')?.value) || 60);
+
+    const run = {
+        problem,
+        params,
+        maxIterations,
+        startValues: currentSliderValues(),
+        iterator: nelderMeadIterations(createOptimizerCost(problem, params), u0, { step: 0.1, maxIterations }),
+        best: null,
+        stopped: false,
+        running: true,
+        snapshot: null
+    };
+    optimizerRun = run;
+    updateOptimizerButtons();
+
+    const step = () => {
+        if (optimizerRun !== run) return;
+        const next = run.stopped ? { done: true } : run.iterator.next();
+        if (next.done) {
+            finishOptimizer(run);
+            return;
+        }
+        run.best = next.value;
+        updateOptimizerProgress(run);
+        setTimeout(step, 0);
+    };
+    setTimeout(step, 0);
+}
+
+// Apply the best values found; the design before the run is kept as a Compare reference
+function finishOptimizer(run) {
+    run.running = false;
+    if (!run.best) {
+        updateOptimizerButtons();
+        return;
+    }
+
+    const values = optimizerValuesAt(run.params, run.best.x);
+
+    const snapshotCount = savedSnapshots.length;
+    saveCurrentAsSnapshot();
+    if (savedSnapshots.length > snapshotCount) run.snapshot = savedSnapshots[savedSnapshots.length - 1];
+
+    setOptimizerSliderValues(values);
+
+    // Final report with the metrics of the result
+    const needs = { step: true, disk: true };
+    let text = 'Done after ' + run.best.iterations + ' iterations: ' + formatUncertainValues(values);
+    let isError = false;
+    try {
+        const metrics = evaluateOptimizationMetrics(values, needs);
+        const result = evaluateOptimizationProblem(run.problem, { ...currentSliderValues(), ...metrics });
+        text += '\n' + formatOptimizerMetrics(metrics);
+        if (!metrics.stable) {
+            text += '\nNo stable design found';
+            isError = true;
+        } else if (result.violation > 0) {
+            text += '\nConstraints not satisfied';
+            isError = true;
+        }
+    } catch (e) {
+        console.log('Optimizer error:', e);
+        text += '\n' + e.message;
+        isError = true;
+    }
+    updateOptimizerStatus(text, isError);
+    updateOptimizerButtons();
+}
+
+// Restore the slider values from before the run and drop its reference snapshot
+function revertOptimizer() {
+    const run = optimizerRun;
+    if (!run || run.running) return;
+
+    const index = savedSnapshots.indexOf(run.snapshot);
+    if (index >= 0) {
+        savedSnapshots.splice(index, 1);
+        updateSnapshotCountDisplay();
+    }
+    setOptimizerSliderValues(run.startValues);
+
+    optimizerRun = null;
+    updateOptimizerStatus('Reverted to the previous parameters', false);
+    updateOptimizerButtons();
+}
+
+function acceptOptimizer() {
+    if (!optimizerRun || optimizerRun.running) return;
+    optimizerRun = null;
+    document.getElementById('optimizer-dialog')?.hide();
+    showToast('Optimized parameters accepted');
+}
+
+function setOptimizerSliderValues(values) {
+    design.sliders.forEach(slider => {
+        if (slider.name && values[slider.name] !== undefined) slider.currentValue = values[slider.name];
+    });
+    updateCodeFromSliders();
+    rebuildSliders();
+    updateAll();
+}
+
+// ============================================================================
+// Optimizer Dialog
+// ============================================================================
+
+// Metrics summary, e.g. "PM = 52.1°, wc = 2.03 rad/s, GM = 9.5 dB, Ms = 1.58, overshoot = 12.3%"
+function formatOptimizerMetrics(metrics) {
+    const parts = [];
+    const add = (label, value, digits, unit) => {
+        if (value !== undefined && isFinite(value)) parts.push(label + ' = ' + value.toFixed(digits) + unit);
+    };
+    add('PM', metrics.PM, 1, '°');
+    add('wc', metrics.wc, 3, ' rad/s');
+    add('GM', metrics.GM, 2, ' dB');
+    add('Ms', metrics.Ms, 2, '');
+    add('DM', metrics.DM, 3, ' s');
+    add('overshoot', metrics.overshoot, 1, '%');
+    add('settlingTime', metrics.settlingTime, 2, ' s');
+    return parts.join(', ');
+}
+
+function updateOptimizerProgress(run) {
+    const progress = document.getElementById('optimizer-progress');
+    if (progress) progress.value = Math.min(100, 100 * run.best.iterations / run.maxIterations);
+
+    const values = optimizerValuesAt(run.params, run.best.x);
+    const cost = run.best.value >= OPTIMIZER_UNSTABLE_COST ? 'unstable' : 'cost ' + run.best.value.toPrecision(4);
+    updateOptimizerStatus('Iteration ' + run.best.iterations + ' / ' + run.maxIterations + ' (' + cost + '): ' +
+        formatUncertainValues(values), false);
+}
+
+function updateOptimizerStatus(text, isError) {
+    const status = document.getElementById('optimizer-status');
+    if (!status) return;
+    status.textContent = text;
+    status.classList.toggle('text-danger', !!isError);
+}
+
+function updateOptimizerButtons() {
+    const running = !!(optimizerRun && optimizerRun.running);
+    const finished = !!(optimizerRun && !optimizerRun.running && optimizerRun.best);
+
+    const runButton = document.getElementById('optimizer-run');
+    if (runButton) runButton.textContent = running ? 'Stop' : 'Run';
+    const acceptButton = document.getElementById('optimizer-accept');
+    if (acceptButton) acceptButton.disabled = !finished;
+    const revertButton = document.getElementById('optimizer-revert');
+    if (revertButton) revertButton.disabled = !finished;
+    const progress = document.getElementById('optimizer-progress');
+    if (progress && !running && !finished) progress.value = 0;
+}
+
+// Parameter checkboxes for the named sliders (all checked)
+function showOptimizerDialog() {
+    const dialog = document.getElementById('optimizer-dialog');
+    const container = document.getElementById('optimizer-parameters');
+    if (!dialog || !container) return;
+
+    if (!(optimizerRun && optimizerRun.running)) {
+        container.innerHTML = design.sliders
+            .map((slider, index) => slider.name
+                ? `<sl-checkbox value="${index}" checked>${slider.name} [${formatValue(slider.min)}, ${formatValue(slider.max)}]</sl-checkbox>`
+                : '')
+            .join('');
+        if (design.sliders.every(slider => !slider.name)) {
+            container.textContent = 'Add parameter sliders to optimize.';
+        }
+    }
+
+    updateOptimizerButtons();
+    dialog.show();
+}
+
+function initializeOptimizerDialog() {
+    const optimizerButton = document.getElementById('optimizer-button');
+    const runButton = document.getElementById('optimizer-run');
+    const acceptButton = document.getElementById('optimizer-accept');
+    const revertButton = document.getElementById('optimizer-revert');
+
+    if (optimizerButton) {
+        optimizerButton.addEventListener('click', showOptimizerDialog);
+    }
+    if (runButton) {
+        runButton.addEventListener('click', () => {
+            if (optimizerRun && optimizerRun.running) {
+                optimizerRun.stopped = true;
+            } else {
+                startOptimizer();
+            }
+        });
+    }
+    if (acceptButton) {
+        acceptButton.addEventListener('click', acceptOptimizer);
+    }
+    if (revertButton) {
+        revertButton.addEventListener('click', revertOptimizer);
+    }
+}
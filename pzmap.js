@@ -4,10 +4,12 @@
 // Pole-Zero Map Drawing
 // ============================================================================
 
-// Draw pole-zero map in the s-plane
+// Draw pole-zero map in the s-plane (z-plane with the unit circle for discrete-time designs)
 // When options.ctx/width/height are provided, draws to external context (for SVG export)
 // Otherwise, draws to the canvas element specified by wrapperId/canvasId
 // Nyquist animation marker is disabled when using external context
+// options.controllerPoleZeros ({ zeros, poles } of K) marks the draggable controller roots on the canvas
+// Returns the view { centerX, centerY, scale, maxScale } and the marked roots [{ x, y, kind, root }]
 function drawPoleZeroMap(options) {
     let ctx, width, height;
 
@@ -55,6 +57,13 @@ function drawPoleZeroMap(options) {
         Lzeros = olPZ.zeros;
     }
 
+    // Visible 2-DOF loop maps
+    const mapData = analysis ? analysis.loopMapData : null;
+    const loopMapPZ = mapData
+        ? LOOP_MAPS.filter(map => displayOptions.loopMaps.pz[map.id] && mapData[map.id])
+            .map(map => ({ color: map.color, poles: mapData[map.id].poles, zeros: mapData[map.id].zeros }))
+        : [];
+
     // Collect all points to display based on visibility settings
     const allPoints = [];
     if (options.showLpz) {
@@ -65,6 +74,10 @@ function drawPoleZeroMap(options) {
         Tpoles.forEach(p => allPoints.push(p));
         Tzeros.forEach(z => allPoints.push(z));
     }
+    loopMapPZ.forEach(pz => {
+        pz.poles.forEach(p => allPoints.push(p));
+        pz.zeros.forEach(z => allPoints.push(z));
+    });
 
     if (allPoints.length === 0) return;
 
@@ -143,12 +156,17 @@ function drawPoleZeroMap(options) {
     ctx.lineTo(centerX, height - margin);
     ctx.stroke();
 
+    // Stability boundary: imaginary axis (continuous time) or unit circle (discrete time)
     ctx.strokeStyle = '#333333';
     ctx.lineWidth = 2;
     ctx.setLineDash([5, 5]);
     ctx.beginPath();
-    ctx.moveTo(centerX, margin);
-    ctx.lineTo(centerX, height - margin);
+    if (samplingTime) {
+        ctx.arc(centerX, centerY, scale, 0, 2 * Math.PI);
+    } else {
+        ctx.moveTo(centerX, margin);
+        ctx.lineTo(centerX, height - margin);
+    }
     ctx.stroke();
     ctx.setLineDash([]);
 
@@ -265,6 +283,92 @@ function drawPoleZeroMap(options) {
         ctx.fillText(label, labelX, labelY);
     }
 
+    // Parameter locus: closed-loop pole traces over the slider range (○ min → ● max)
+    const locus = pzmapOptions.locusParameter ? computeParameterLocus(pzmapOptions.locusParameter) : null;
+    if (locus) {
+        ctx.font = '12px Consolas, monospace';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        if (locus.error) {
+            ctx.fillStyle = '#999999';
+            ctx.fillText(locus.error, 8, 8);
+        } else {
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(margin, margin, plotWidth, plotHeight);
+            ctx.clip();
+
+            ctx.strokeStyle = colorT;
+            ctx.lineWidth = 1.5;
+            ctx.globalAlpha = 0.5;
+            locus.branches.forEach(branch => {
+                ctx.beginPath();
+                let started = false;
+                branch.forEach(p => {
+                    if (!p) {
+                        started = false;
+                        return;
+                    }
+                    const px = centerX + p.re * scale;
+                    const py = centerY - p.im * scale;
+                    if (!started) { ctx.moveTo(px, py); started = true; }
+                    else ctx.lineTo(px, py);
+                });
+                ctx.stroke();
+            });
+            ctx.globalAlpha = 1;
+
+            ctx.fillStyle = colorT;
+            ctx.lineWidth = 1.5;
+            locus.branches.forEach(branch => {
+                const first = branch.find(p => p);
+                const last = branch.slice().reverse().find(p => p);
+                if (first) {
+                    ctx.beginPath();
+                    ctx.arc(centerX + first.re * scale, centerY - first.im * scale, 3, 0, 2 * Math.PI);
+                    ctx.stroke();
+                }
+                if (last) {
+                    ctx.beginPath();
+                    ctx.arc(centerX + last.re * scale, centerY - last.im * scale, 3, 0, 2 * Math.PI);
+                    ctx.fill();
+                }
+            });
+
+            // Highlight the closed-loop poles at the current value
+            Tpoles.forEach(p => {
+                ctx.beginPath();
+                ctx.arc(centerX + p.re * scale, centerY - p.im * scale, 9, 0, 2 * Math.PI);
+                ctx.stroke();
+            });
+            ctx.restore();
+
+            const values = locus.values;
+            const slider = design.sliders.find(s => s.name === locus.parameter);
+            ctx.fillStyle = colorT;
+            ctx.fillText(locus.parameter + ': \u25cb ' + formatValue(values[0]) + ' \u2192 \u25cf ' +
+                formatValue(values[values.length - 1]) + ' (now ' + formatValue(slider.currentValue) + ')', 8, 8);
+        }
+    }
+
+    // Draggable controller poles and zeros (canvas only): halo behind the L(s) markers
+    const handlePoints = [];
+    if (options.showLpz && options.controllerPoleZeros && !options.ctx) {
+        ctx.fillStyle = colorL;
+        ctx.globalAlpha = 0.2;
+        [['zero', options.controllerPoleZeros.zeros], ['pole', options.controllerPoleZeros.poles]].forEach(([kind, roots]) => {
+            roots.filter(isInRange).forEach(r => {
+                const px = centerX + r.re * scale;
+                const py = centerY - r.im * scale;
+                ctx.beginPath();
+                ctx.arc(px, py, 9, 0, 2 * Math.PI);
+                ctx.fill();
+                handlePoints.push({ x: px, y: py, kind, root: r });
+            });
+        });
+        ctx.globalAlpha = 1;
+    }
+
     // Draw L(s) poles and zeros
     if (options.showLpz) {
         Lzeros.forEach(z => {
@@ -301,29 +405,51 @@ function drawPoleZeroMap(options) {
         });
     }
 
+    // Draw 2-DOF loop map poles and zeros
+    loopMapPZ.forEach(pz => {
+        pz.zeros.forEach(z => {
+            if (isInRange(z)) {
+                drawZero(z, pz.color);
+            } else {
+                drawOutOfRangeIndicator(z, false, pz.color);
+            }
+        });
+        pz.poles.forEach(p => {
+            if (isInRange(p)) {
+                drawPole(p, pz.color);
+            } else {
+                drawOutOfRangeIndicator(p, true, pz.color);
+            }
+        });
+    });
+
     // Draw current s point from Nyquist animation (only for wide layout)
+    // In discrete time the point is shown as z = e^{s Ts} on the unit circle
     if (options.showNyquistAnimation && options.showLpz && nyquistAnimationData && nyquistAnimationPlaying && isPanelVisible('nyquist')) {
         const currentS = getCurrentNyquistSValue();
         if (currentS) {
             if (currentS.indentation) {
                 const indent = currentS.indentation;
-                const polePx = centerX;
-                const polePy = centerY - indent.poleIm * scale;
+                // Direction of the indentation (right half plane / outside the unit circle)
+                const theta0 = samplingTime ? indent.poleIm * samplingTime : 0;
+                const polePx = samplingTime ? centerX + Math.cos(theta0) * scale : centerX;
+                const polePy = samplingTime ? centerY - Math.sin(theta0) * scale : centerY - indent.poleIm * scale;
                 const circleRadius = 12;
                 ctx.strokeStyle = CONSTANTS.COLORS.NYQUIST_MARKER;
                 ctx.lineWidth = 2;
                 ctx.beginPath();
-                ctx.arc(polePx, polePy, circleRadius, Math.PI / 2, -Math.PI / 2, true);
+                ctx.arc(polePx, polePy, circleRadius, Math.PI / 2 - theta0, -Math.PI / 2 - theta0, true);
                 ctx.stroke();
-                const markerX = polePx + circleRadius * Math.cos(indent.theta);
-                const markerY = polePy - circleRadius * Math.sin(indent.theta);
+                const markerX = polePx + circleRadius * Math.cos(theta0 + indent.theta);
+                const markerY = polePy - circleRadius * Math.sin(theta0 + indent.theta);
                 ctx.fillStyle = CONSTANTS.COLORS.NYQUIST_MARKER;
                 ctx.beginPath();
                 ctx.arc(markerX, markerY, 4, 0, 2 * Math.PI);
                 ctx.fill();
             } else {
-                const px = centerX + currentS.re * scale;
-                const py = centerY - currentS.im * scale;
+                const point = samplingTime ? math.exp(math.multiply(math.complex(currentS.re, currentS.im), samplingTime)) : currentS;
+                const px = centerX + point.re * scale;
+                const py = centerY - point.im * scale;
                 ctx.fillStyle = CONSTANTS.COLORS.NYQUIST_MARKER;
                 ctx.strokeStyle = CONSTANTS.COLORS.BACKGROUND;
                 ctx.lineWidth = 2;
@@ -334,6 +460,48 @@ function drawPoleZeroMap(options) {
             }
         }
     }
+
+    return { centerX, centerY, scale, maxScale, points: handlePoints };
+}
+
+// ============================================================================
+// Parameter Locus
+// ============================================================================
+
+// Last computed parameter locus: { key, data } (does not depend on the swept value itself)
+let parameterLocusCache = { key: null, data: null };
+
+// Closed-loop pole traces as the slider `name` sweeps its min→max range, other sliders fixed.
+// L is rationalized once with the parameter kept symbolic, so that the coefficients of the
+// characteristic polynomial num + den are polynomials in the parameter.
+// Returns { parameter, values, branches }, { parameter, error }, or null if there is no such slider.
+function computeParameterLocus(name) {
+    const index = design.sliders.findIndex(s => s.name === name);
+    if (index < 0) return null;
+    const slider = design.sliders[index];
+
+    const key = JSON.stringify([design.code, design.sliders.map((s, i) =>
+        i === index ? [s.name, s.min, s.max, s.logScale] : [s.name, s.currentValue])]);
+    if (parameterLocusCache.key === key) return parameterLocusCache.data;
+
+    const v = transferVariable();
+    let data;
+    try {
+        const L = evaluateDesignAt({ [name]: new math.SymbolNode(name) }).L;
+        const rat = math.rationalize(L, {}, true);
+        const charPolyCL = bivariatePolyCoeffs(
+            new math.OperatorNode('+', 'add', [rat.numerator, rat.denominator || new math.ConstantNode(1)]), v, name);
+
+        // Coefficients in the transfer variable for the parameter value p
+        const rootsAt = p => polyRootPoints(charPolyCL.map(row => row.reduce((sum, c, j) => sum + c * Math.pow(p, j), 0)));
+        const scale = Math.max(1, ...(window.lastPoles || []).map(p => Math.hypot(p.re, p.im)));
+        data = { parameter: name, ...sweepRootBranches(rootsAt, slider, scale) };
+    } catch (e) {
+        data = { parameter: name, error: name + ' locus requires L rational in ' + v + ' and ' + name };
+    }
+
+    parameterLocusCache = { key, data };
+    return data;
 }
 
 // ============================================================================
@@ -349,11 +517,22 @@ function updatePolePlot() {
         ? (document.getElementById('narrow-chk-show-T-pz')?.checked ?? true)
         : displayOptions.showTpz;
 
-    drawPoleZeroMap({
+    updateSliderSelect(prefix + 'pz-locus-parameter', pzmapOptions.locusParameter);
+
+    // Measured plant data: the poles and zeros are unknown
+    if (frdInUse()) {
+        drawFrdUnavailable(prefix + 'pole-wrapper', prefix + 'pole-canvas');
+        pzmapHandleLayout = { points: [], centerX: 0, centerY: 0, scale: 1, maxScale: 1 };
+        return;
+    }
+
+    const layout = drawPoleZeroMap({
         wrapperId: prefix + 'pole-wrapper',
         canvasId: prefix + 'pole-canvas',
         showLpz: showLpz,
         showTpz: showTpz,
-        showNyquistAnimation: !isNarrowLayout
+        showNyquistAnimation: !isNarrowLayout,
+        controllerPoleZeros: getControllerPoleZeros()
     });
+    pzmapHandleLayout = layout || { points: [], centerX: 0, centerY: 0, scale: 1, maxScale: 1 };
 }
@@ -0,0 +1,185 @@
+// Robust stability over slider uncertainty ranges (nominal value ± uncertainty %)
+
+// Largest number of loops evaluated for the uncertainty set
+const ROBUST_MAX_MEMBERS = 64;
+
+// Last result, reused while the design and slider settings are unchanged
+let robustAnalysisCache = { key: null, result: null };
+
+// ============================================================================
+// Uncertainty Set
+// ============================================================================
+
+// Sliders with a nonzero uncertainty: [{ name, nominal, low, high, distribution }]
+function getUncertainParameters() {
+    return design.sliders
+        .filter(slider => slider.name && slider.currentValue !== undefined && slider.uncertainty > 0)
+        .map(slider => {
+            const delta = Math.abs(slider.currentValue) * slider.uncertainty / 100;
+            return {
+                name: slider.name,
+                nominal: slider.currentValue,
+                low: slider.currentValue - delta,
+                high: slider.currentValue + delta,
+                distribution: slider.distribution || 'uniform'
+            };
+        });
+}
+
+// Parameter combinations as [{ name: value }] with the kind of set used.
+// Few parameters: 3-level grid (low, nominal, high). Otherwise the 2^n vertices of the box.
+function buildUncertaintySet(params) {
+    let levels;
+    if (Math.pow(3, params.length) <= ROBUST_MAX_MEMBERS) {
+        levels = params.map(p => [p.low, p.nominal, p.high]);
+    } else if (Math.pow(2, params.length) <= ROBUST_MAX_MEMBERS) {
+        levels = params.map(p => [p.low, p.high]);
+    } else {
+        throw new Error('too many uncertain parameters (' + params.length + ')');
+    }
+
+    let combinations = [{}];
+    params.forEach((p, k) => {
+        const next = [];
+        combinations.forEach(combo => {
+            levels[k].forEach(value => next.push({ ...combo, [p.name]: value }));
+        });
+        combinations = next;
+    });
+    return { kind: levels[0].length === 3 ? 'grid points' : 'vertices', combinations };
+}
+
+// ============================================================================
+// Robust Analysis
+// ============================================================================
+
+// Stability and margins of one loop of the uncertainty set
+function analyzeUncertainLoop(L) {
+    const structure = analyzeLstructure(L);
+    if (structure.type === 'unknown' || !structure.rationalPart) {
+        throw new Error('L is not a rational function (with delay)');
+    }
+
+    const compiled = L.compile();
+    const imagAxisPoles = findImaginaryAxisPoles(structure.rationalPart);
+    const P = countRHPpoles(structure.rationalPart);
+    const nyquist = computeLoopNyquistAnalysis(compiled, imagAxisPoles);
+    const N = nyquist ? nyquist.N : 0;
+
+    return {
+        compiled,
+        nyquist,
+        stable: P !== null && N + P === 0,
+        margins: calculateStabilityMargins(L)
+    };
+}
+
+// Evaluate the loop at every combination of the uncertainty set.
+// Returns null without uncertain sliders, { error } on failure, otherwise
+// { kind, members: [{ values, compiled, nyquist, stable, margins }], unstable, worstGM, worstPM }
+function computeRobustAnalysis() {
+    const params = getUncertainParameters();
+    if (params.length === 0) return null;
+
+    const key = JSON.stringify([design.code, design.sliders.map(s => [s.name, s.currentValue, s.uncertainty]), samplingTime]);
+    if (robustAnalysisCache.key === key) return robustAnalysisCache.result;
+
+    let result;
+    try {
+        const set = buildUncertaintySet(params);
+        const members = set.combinations.map(values => {
+            const L = evaluateDesignAt(values).L;
+            if (!L || !L.isNode) throw new Error('L is not defined');
+            return { values, ...analyzeUncertainLoop(L) };
+        });
+
+        // Worst-case margins over the stable members (smallest GM and PM)
+        let worstGM = null;
+        let worstPM = null;
+        members.filter(m => m.stable && m.margins).forEach(m => {
+            m.margins.gainMargins.forEach(gm => {
+                if (!worstGM || gm.margin < worstGM.margin) worstGM = { ...gm, values: m.values };
+            });
+            m.margins.phaseMargins.forEach(pm => {
+                if (!worstPM || pm.margin < worstPM.margin) worstPM = { ...pm, values: m.values };
+            });
+        });
+
+        result = {
+            kind: set.kind,
+            members,
+            unstable: members.filter(m => !m.stable),
+            worstGM,
+            worstPM
+        };
+    } catch (e) {
+        console.log('Robust analysis error:', e);
+        result = { error: e.message };
+    }
+
+    robustAnalysisCache = { key, result };
+    return result;
+}
+
+// ============================================================================
+// Plot Families
+// ============================================================================
+
+// Compiled loops of the uncertainty set for the Bode band (null when not available)
+function getUncertaintyBodeFamily() {
+    const robust = currentVars.analysis ? currentVars.analysis.robustAnalysis : null;
+    if (!robust || robust.error) return null;
+    return robust.members.map(m => m.compiled);
+}
+
+// Nyquist contour sweeps of the uncertainty set (null when not available)
+function getUncertaintyNyquistFamily() {
+    const robust = currentVars.analysis ? currentVars.analysis.robustAnalysis : null;
+    if (!robust || robust.error) return null;
+    return robust.members.map(m => m.nyquist).filter(nyq => nyq);
+}
+
+// ============================================================================
+// Robust Stability Display
+// ============================================================================
+
+// Parameter values of a member, e.g. "K = 13, T = 0.7"
+function formatUncertainValues(values) {
+    return Object.entries(values).map(([name, value]) => name + ' = ' + formatValue(value)).join(', ');
+}
+
+// Summary in the Stability panel (hidden when no slider has an uncertainty)
+function updateRobustInfo() {
+    const prefix = isNarrowLayout ? 'narrow-' : '';
+    const robustInfo = document.getElementById(prefix + 'robust-info');
+    const robustDisplay = document.getElementById(prefix + 'robust-display');
+    if (!robustInfo || !robustDisplay) return;
+
+    const robust = currentVars.analysis ? currentVars.analysis.robustAnalysis : null;
+    robustInfo.style.display = robust ? '' : 'none';
+    if (!robust) return;
+
+    if (robust.error) {
+        robustDisplay.textContent = robust.error;
+        robustDisplay.className = 'text-danger';
+        return;
+    }
+
+    const total = robust.members.length;
+    if (robust.unstable.length > 0) {
+        robustDisplay.textContent = 'unstable at ' + robust.unstable.length + ' of ' + total + ' ' + robust.kind +
+            ' (' + formatUncertainValues(robust.unstable[0].values) + ')';
+        robustDisplay.className = 'text-danger';
+        return;
+    }
+
+    const parts = ['stable at all ' + total + ' ' + robust.kind];
+    parts.push(robust.worstGM
+        ? 'GM ≥ ' + robust.worstGM.margin.toFixed(2) + ' dB (' + formatUncertainValues(robust.worstGM.values) + ')'
+        : 'GM ∞');
+    if (robust.worstPM) {
+        parts.push('PM ≥ ' + robust.worstPM.margin.toFixed(2) + ' deg (' + formatUncertainValues(robust.worstPM.values) + ')');
+    }
+    robustDisplay.textContent = parts.join(', ');
+    robustDisplay.className = 'text-success';
+}
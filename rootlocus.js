@@ -0,0 +1,599 @@
+// Root locus plot for loop shaping tool
+
+const ROOT_LOCUS_PLOT = {
+    MARGINS: { left: 60, right: 20, top: 20, bottom: 45 },
+    FONT: '14px Consolas, monospace',
+    LABEL_FONT: '12px Consolas, monospace',
+    SWEEP_SAMPLES: 300,     // Initial samples over the slider range
+    MAX_SAMPLES: 2000,      // Upper limit of samples after refinement
+    MAX_STEP: 0.02,         // Max root displacement between samples (relative to |root| + plot scale)
+    VIEW_EXTENT: 2,         // Branches are shown up to this multiple of the marked points' radius
+    PICK_RADIUS: 10         // Click distance to a branch [px]
+};
+
+// Points where L(k=2) = 2 L(k=1) is checked (L must be proportional to the swept gain k)
+const ROOT_LOCUS_TEST_POINTS = [math.complex(0.3, 1.1), math.complex(-1.7, 0.4), math.complex(2.5, -3.2)];
+
+// Last computed locus per slider name: { key, data } (the locus does not depend on the swept value)
+let rootLocusCache = {};
+
+// Last drawn locus and its branch samples in canvas coordinates [{ x, y, k }] for click-to-select
+let rootLocusLastData = null;
+let rootLocusHitPoints = [];
+
+// ============================================================================
+// Root Locus Computation
+// ============================================================================
+
+// Root locus for the selected slider, or the first slider that L is proportional to.
+// Returns { parameter, sliderIndex, num, den, gains, branches, poles, zeros, asymptotes, breakaways, crossings }
+// or { error } when no slider gain can be swept.
+function computeRootLocus() {
+    const sliders = design.sliders
+        .map((slider, index) => ({ slider, index }))
+        .filter(s => s.slider.name);
+    if (sliders.length === 0) {
+        return { error: 'Add a parameter slider to sweep its gain' };
+    }
+
+    const selected = sliders.find(s => s.slider.name === rootLocusOptions.parameter);
+    const candidates = selected ? [selected] : sliders;
+    for (const { slider, index } of candidates) {
+        const data = getRootLocusCached(slider, index);
+        if (data) return data;
+    }
+
+    return {
+        error: selected
+            ? 'L is not a rational function proportional to ' + selected.slider.name
+            : 'L is not a rational function proportional to any parameter'
+    };
+}
+
+function getRootLocusCached(slider, index) {
+    const key = JSON.stringify([design.code, design.sliders.map((s, i) =>
+        i === index ? [s.name, s.min, s.max, s.logScale] : [s.name, s.currentValue])]);
+    const cached = rootLocusCache[slider.name];
+    if (cached && cached.key === key) return cached.data;
+
+    const data = computeRootLocusForSlider(slider, index);
+    rootLocusCache[slider.name] = { key, data };
+    return data;
+}
+
+// Root locus of den + k*num over the slider range (null if L is not proportional to the slider)
+function computeRootLocusForSlider(slider, index) {
+    const coeffs = rootLocusGainCoeffs(slider.name);
+    if (!coeffs) return null;
+
+    const { num, den } = coeffs;
+    const toPoints = p => p.length > 1 ? root2math(findRoots(p)) : [];
+    const poles = toPoints(den);
+    const zeros = toPoints(num);
+    const scale = Math.max(1, ...poles.concat(zeros).map(p => Math.hypot(p.re, p.im)));
+
+    const { values: gains, branches } = sweepRootBranches(k => rootLocusRoots(num, den, k), slider, scale);
+    const kMin = Math.min(slider.min, slider.max);
+    const kMax = Math.max(slider.min, slider.max);
+
+    return {
+        parameter: slider.name,
+        sliderIndex: index,
+        num, den, gains, branches, poles, zeros,
+        asymptotes: rootLocusAsymptotes(num, den, kMax > 0 ? kMax : kMin),
+        breakaways: rootLocusBreakaways(num, den, kMin, kMax),
+        crossings: rootLocusCrossings(num, den, gains, branches)
+    };
+}
+
+// G = L/k as { num, den } (ascending coefficients) when L = k*G for the slider value k, otherwise null
+function rootLocusGainCoeffs(name) {
+    try {
+        const L1 = evaluateDesignAt({ [name]: 1 }).L;
+        const L2 = evaluateDesignAt({ [name]: 2 }).L;
+        if (!L1 || !L1.isNode || !L2 || !L2.isNode) return null;
+
+        const G1 = L1.compile();
+        const G2 = L2.compile();
+        const proportional = ROOT_LOCUS_TEST_POINTS.every(p => {
+            const g1 = math.complex(G1.evaluate({ s: p, z: p }));
+            const g2 = math.complex(G2.evaluate({ s: p, z: p }));
+            return math.abs(g1) > 0 &&
+                math.abs(math.subtract(g2, math.multiply(2, g1))) <= 1e-9 * math.abs(g2);
+        });
+        if (!proportional) return null;
+
+        const coeffs = extractTFCoeffs(util_rationalize(L1));
+        if (!coeffs) return null;
+        return { num: trimPolyCoeffs(coeffs.num), den: trimPolyCoeffs(coeffs.den) };
+    } catch (e) {
+        // Non-rational L (e.g. time delay) has no finite root locus
+        return null;
+    }
+}
+
+// Roots returned by rootsAt(value) along the slider range, sorted into continuous branches.
+// Samples are added where the roots move quickly (near breakaway points).
+// Returns { values, branches } with branches[b][i] = { re, im } | null at values[i]
+function sweepRootBranches(rootsAt, slider, scale) {
+    const n = ROOT_LOCUS_PLOT.SWEEP_SAMPLES;
+    const logScale = slider.logScale && slider.min > 0 && slider.max > 0;
+    const values = logScale
+        ? Array.from(logspace(Math.log10(slider.min), Math.log10(slider.max), n))
+        : Array.from({ length: n }, (_, i) => slider.min + (slider.max - slider.min) * i / (n - 1));
+    const samples = values.map(k => ({ k, roots: rootsAt(k) }));
+
+    // Largest displacement of a root between two samples, relative to its distance from the origin
+    function displacement(a, b) {
+        if (a.length !== b.length) return 0;
+        let d = 0;
+        b.forEach(r => {
+            const nearest = Math.min(...a.map(q => Math.hypot(r.re - q.re, r.im - q.im)));
+            d = Math.max(d, nearest / (scale + Math.hypot(r.re, r.im)));
+        });
+        return d;
+    }
+
+    let i = 0;
+    while (i < samples.length - 1 && samples.length < ROOT_LOCUS_PLOT.MAX_SAMPLES) {
+        const a = samples[i], b = samples[i + 1];
+        if (displacement(a.roots, b.roots) > ROOT_LOCUS_PLOT.MAX_STEP &&
+            Math.abs(b.k - a.k) > 1e-9 * Math.max(Math.abs(a.k), Math.abs(b.k))) {
+            const k = logScale ? Math.sqrt(a.k * b.k) : (a.k + b.k) / 2;
+            samples.splice(i + 1, 0, { k, roots: rootsAt(k) });
+        } else {
+            i++;
+        }
+    }
+
+    const branchCount = Math.max(...samples.map(sample => sample.roots.length));
+    const branches = Array.from({ length: branchCount }, () => []);
+    let prev = new Array(branchCount).fill(null);
+    samples.forEach(sample => {
+        prev = matchRootBranches(prev, sample.roots);
+        prev.forEach((p, b) => branches[b].push(p));
+    });
+
+    return { values: samples.map(s => s.k), branches };
+}
+
+// Asymptotes of the n - m branches going to infinity, for gains with the sign of k.
+// Returns { centroid, angles } (angles in radians), or null for n - m < 2
+// (a single branch to infinity simply follows the real axis).
+function rootLocusAsymptotes(num, den, k) {
+    const n = den.length - 1;
+    const m = num.length - 1;
+    if (n - m < 2) return null;
+
+    const sumPoles = -den[n - 1] / den[n];
+    const sumZeros = m > 0 ? -num[m - 1] / num[m] : 0;
+    // For large |s|: s^(n-m) = -k num_m / den_n
+    const offset = k * num[m] / den[n] > 0 ? Math.PI : 0;
+
+    return {
+        centroid: (sumPoles - sumZeros) / (n - m),
+        angles: Array.from({ length: n - m }, (_, q) => (offset + 2 * Math.PI * q) / (n - m))
+    };
+}
+
+// Breakaway / break-in points: roots of den' num - den num' = 0 at which
+// k = -den/num is real and within [kMin, kMax]. Returns [{ re, im, k }]
+function rootLocusBreakaways(num, den, kMin, kMax) {
+    const dk = trimPolyCoeffs(polyAdd(
+        polyMultiply(polyDerivative(den), num),
+        polyMultiply(den, polyDerivative(num)).map(c => -c)
+    ));
+    if (dk.length < 2) return [];
+
+    const roots = findRoots(dk);
+    const points = [];
+    roots[0].forEach((re, i) => {
+        const p = { re, im: roots[1][i] };
+        const N = polyEvaluateComplex(num, p);
+        const D = polyEvaluateComplex(den, p);
+        const N2 = N.re * N.re + N.im * N.im;
+        if (N2 === 0) return;
+
+        const kRe = -(D.re * N.re + D.im * N.im) / N2;
+        const kIm = -(D.im * N.re - D.re * N.im) / N2;
+        if (Math.abs(kIm) > 1e-6 * Math.abs(kRe) || kRe < kMin || kRe > kMax) return;
+        points.push({ ...p, k: kRe });
+    });
+    return points;
+}
+
+// Points where a branch crosses the stability boundary (imaginary axis, or unit circle
+// in discrete time), refined by bisection on the gain. Returns [{ re, im, k }]
+function rootLocusCrossings(num, den, gains, branches) {
+    const crossings = [];
+    branches.forEach(branch => {
+        for (let i = 1; i < branch.length; i++) {
+            const p0 = branch[i - 1], p1 = branch[i];
+            if (!p0 || !p1 || isUnstableRoot(p0) === isUnstableRoot(p1)) continue;
+            crossings.push(refineBoundaryCrossing(num, den, { k: gains[i - 1], p: p0 }, { k: gains[i], p: p1 }));
+        }
+    });
+    return crossings;
+}
+
+function refineBoundaryCrossing(num, den, a, b) {
+    const midpoint = (p, q) => ({ re: (p.re + q.re) / 2, im: (p.im + q.im) / 2 });
+    for (let iter = 0; iter < 40; iter++) {
+        const k = (a.k + b.k) / 2;
+        const guess = midpoint(a.p, b.p);
+        let p = null, best = Infinity;
+        rootLocusRoots(num, den, k).forEach(r => {
+            const d = Math.hypot(r.re - guess.re, r.im - guess.im);
+            if (d < best) { best = d; p = r; }
+        });
+        if (!p) break;
+        if (isUnstableRoot(p) === isUnstableRoot(a.p)) a = { k, p };
+        else b = { k, p };
+    }
+    return { ...midpoint(a.p, b.p), k: (a.k + b.k) / 2 };
+}
+
+// ============================================================================
+// Root Locus Drawing
+// ============================================================================
+
+// data: output of computeRootLocus ({ error } shows the message)
+// options.currentGain / options.currentPoles: closed-loop poles at the current slider value
+// options.showAsymptotes: draw the asymptotes from the centroid
+// options.ctx, options.width, options.height can be provided for external context (e.g., SVG export)
+// Returns the drawn branch samples [{ x, y, k }] for click-to-select
+function drawRootLocus(data, wrapperId, canvasId, options = {}) {
+    let ctx, width, height;
+
+    if (options.ctx && options.width && options.height) {
+        ctx = options.ctx;
+        width = options.width;
+        height = options.height;
+    } else {
+        const wrapper = document.getElementById(wrapperId);
+        const canvas = document.getElementById(canvasId);
+        if (!wrapper || !canvas) return [];
+
+        ctx = canvas.getContext('2d');
+        width = wrapper.clientWidth;
+        height = wrapper.clientHeight;
+        if (width === 0 || height === 0) return [];
+
+        canvas.width = width * devicePixelRatio;
+        canvas.height = height * devicePixelRatio;
+        canvas.style.width = width + 'px';
+        canvas.style.height = height + 'px';
+        ctx.scale(devicePixelRatio, devicePixelRatio);
+    }
+
+    ctx.fillStyle = CONSTANTS.COLORS.BACKGROUND;
+    ctx.fillRect(0, 0, width, height);
+
+    if (data.error) {
+        ctx.fillStyle = CONSTANTS.COLORS.AXIS;
+        ctx.font = ROOT_LOCUS_PLOT.FONT;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(data.error, width / 2, height / 2);
+        return [];
+    }
+
+    const { left: leftMargin, right: rightMargin, top: topMargin, bottom: bottomMargin } = ROOT_LOCUS_PLOT.MARGINS;
+    const plotWidth = width - leftMargin - rightMargin;
+    const plotHeight = height - topMargin - bottomMargin;
+    const currentPoles = options.currentPoles || [];
+
+    // View: marked points, plus the parts of the branches near them
+    const focus = [...data.poles, ...data.zeros, ...data.breakaways, ...data.crossings, ...currentPoles, { re: 0, im: 0 }];
+    if (samplingTime) focus.push({ re: -1, im: 1 }, { re: 1, im: -1 });
+    if (data.asymptotes) focus.push({ re: data.asymptotes.centroid, im: 0 });
+    const extent = ROOT_LOCUS_PLOT.VIEW_EXTENT * (Math.max(...focus.map(p => Math.hypot(p.re, p.im))) || 1);
+
+    let reMin = Infinity, reMax = -Infinity, imMax = 0;
+    const include = p => {
+        reMin = Math.min(reMin, p.re);
+        reMax = Math.max(reMax, p.re);
+        imMax = Math.max(imMax, Math.abs(p.im));
+    };
+    focus.forEach(include);
+    data.branches.forEach(branch => branch.forEach(p => {
+        if (p && Math.hypot(p.re, p.im) <= extent) include(p);
+    }));
+
+    // Equal scale on both axes, real axis centered vertically
+    const pad = 0.1 * Math.max(reMax - reMin, 2 * imMax, 1e-6);
+    const centerRe = (reMin + reMax) / 2;
+    const scale = Math.min(plotWidth / (reMax - reMin + 2 * pad), plotHeight / (2 * (imMax + pad)));
+    const re2x = re => leftMargin + plotWidth / 2 + (re - centerRe) * scale;
+    const im2y = im => topMargin + plotHeight / 2 - im * scale;
+    const reLo = centerRe - plotWidth / 2 / scale;
+    const reHi = centerRe + plotWidth / 2 / scale;
+    const imHi = plotHeight / 2 / scale;
+
+    ctx.lineJoin = 'round';
+    ctx.lineCap = 'round';
+    ctx.font = ROOT_LOCUS_PLOT.LABEL_FONT;
+    ctx.fillStyle = CONSTANTS.COLORS.TEXT;
+
+    // Grid with the same step on both axes
+    const step = calculateNiceStep(Math.max(reHi - reLo, 2 * imHi), 8);
+    ctx.lineWidth = 1;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (let re = Math.ceil(reLo / step) * step; re <= reHi; re += step) {
+        const x = re2x(re);
+        ctx.strokeStyle = Math.abs(re) < step / 2 ? CONSTANTS.COLORS.AXIS : CONSTANTS.COLORS.GRID;
+        ctx.beginPath();
+        ctx.moveTo(x, topMargin);
+        ctx.lineTo(x, topMargin + plotHeight);
+        ctx.stroke();
+        ctx.fillText(formatAxisValue(re), x, topMargin + plotHeight + 5);
+    }
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (let im = Math.ceil(-imHi / step) * step; im <= imHi; im += step) {
+        const y = im2y(im);
+        ctx.strokeStyle = Math.abs(im) < step / 2 ? CONSTANTS.COLORS.AXIS : CONSTANTS.COLORS.GRID;
+        ctx.beginPath();
+        ctx.moveTo(leftMargin, y);
+        ctx.lineTo(leftMargin + plotWidth, y);
+        ctx.stroke();
+        ctx.fillText(formatAxisValue(im), leftMargin - 5, y);
+    }
+
+    // Axis labels
+    ctx.font = ROOT_LOCUS_PLOT.FONT;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText('Re', leftMargin + plotWidth / 2, topMargin + plotHeight + 22);
+    ctx.save();
+    ctx.translate(leftMargin - 42, topMargin + plotHeight / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textBaseline = 'bottom';
+    ctx.fillText('Im', 0, 0);
+    ctx.restore();
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(leftMargin, topMargin, plotWidth, plotHeight);
+    ctx.clip();
+
+    // Stability boundary: imaginary axis (continuous time) or unit circle (discrete time)
+    ctx.strokeStyle = CONSTANTS.COLORS.TEXT;
+    ctx.lineWidth = 2;
+    ctx.setLineDash([5, 5]);
+    ctx.beginPath();
+    if (samplingTime) {
+        ctx.arc(re2x(0), im2y(0), scale, 0, 2 * Math.PI);
+    } else {
+        ctx.moveTo(re2x(0), topMargin);
+        ctx.lineTo(re2x(0), topMargin + plotHeight);
+    }
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // Asymptotes from the centroid
+    if (options.showAsymptotes && data.asymptotes) {
+        const { centroid, angles } = data.asymptotes;
+        const length = 2 * (reHi - reLo + 2 * imHi);
+        ctx.strokeStyle = CONSTANTS.COLORS.AXIS;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([6, 4]);
+        angles.forEach(angle => {
+            ctx.beginPath();
+            ctx.moveTo(re2x(centroid), im2y(0));
+            ctx.lineTo(re2x(centroid + length * Math.cos(angle)), im2y(length * Math.sin(angle)));
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+        ctx.fillStyle = CONSTANTS.COLORS.AXIS;
+        ctx.beginPath();
+        ctx.arc(re2x(centroid), im2y(0), 3, 0, 2 * Math.PI);
+        ctx.fill();
+    }
+
+    // Branches
+    const hitPoints = [];
+    ctx.strokeStyle = CONSTANTS.COLORS.L;
+    ctx.lineWidth = 2;
+    data.branches.forEach(branch => {
+        ctx.beginPath();
+        let started = false;
+        branch.forEach((p, i) => {
+            if (!p) {
+                started = false;
+                return;
+            }
+            const x = re2x(p.re), y = im2y(p.im);
+            if (!started) { ctx.moveTo(x, y); started = true; }
+            else ctx.lineTo(x, y);
+            hitPoints.push({ x, y, k: data.gains[i] });
+        });
+        ctx.stroke();
+    });
+
+    // Open-loop poles (x) and zeros (o)
+    ctx.strokeStyle = CONSTANTS.COLORS.L;
+    ctx.lineWidth = 2;
+    data.poles.forEach(p => {
+        const x = re2x(p.re), y = im2y(p.im);
+        ctx.beginPath();
+        ctx.moveTo(x - 5, y - 5);
+        ctx.lineTo(x + 5, y + 5);
+        ctx.moveTo(x + 5, y - 5);
+        ctx.lineTo(x - 5, y + 5);
+        ctx.stroke();
+    });
+    data.zeros.forEach(z => {
+        ctx.beginPath();
+        ctx.arc(re2x(z.re), im2y(z.im), 5, 0, 2 * Math.PI);
+        ctx.stroke();
+    });
+
+    // Breakaway / break-in points
+    ctx.fillStyle = CONSTANTS.COLORS.TEXT;
+    data.breakaways.forEach(p => {
+        const x = re2x(p.re), y = im2y(p.im);
+        ctx.beginPath();
+        ctx.moveTo(x, y - 5);
+        ctx.lineTo(x + 5, y);
+        ctx.lineTo(x, y + 5);
+        ctx.lineTo(x - 5, y);
+        ctx.closePath();
+        ctx.fill();
+        hitPoints.push({ x, y, k: p.k });
+    });
+
+    // Stability boundary crossings with their gain (labelled in the upper half plane)
+    ctx.font = ROOT_LOCUS_PLOT.LABEL_FONT;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'bottom';
+    data.crossings.forEach(p => {
+        const x = re2x(p.re), y = im2y(p.im);
+        ctx.fillStyle = CONSTANTS.COLORS.VIOLATION;
+        ctx.beginPath();
+        ctx.arc(x, y, 4, 0, 2 * Math.PI);
+        ctx.fill();
+        hitPoints.push({ x, y, k: p.k });
+
+        if (p.im < -IMAG_AXIS_TOL) return;
+        const label = data.parameter + ' = ' + formatValue(p.k);
+        const textWidth = ctx.measureText(label).width;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.fillRect(x + 6, y - 20, textWidth + 4, 15);
+        ctx.fillStyle = CONSTANTS.COLORS.VIOLATION;
+        ctx.fillText(label, x + 8, y - 6);
+    });
+
+    // Closed-loop poles at the current slider value
+    ctx.fillStyle = CONSTANTS.COLORS.T;
+    ctx.strokeStyle = CONSTANTS.COLORS.BACKGROUND;
+    ctx.lineWidth = 1;
+    currentPoles.forEach(p => {
+        const x = re2x(p.re), y = im2y(p.im);
+        ctx.fillRect(x - 4, y - 4, 8, 8);
+        ctx.strokeRect(x - 4, y - 4, 8, 8);
+    });
+    ctx.restore();
+
+    drawRootLocusLegend(ctx, data, options.currentGain, leftMargin, topMargin);
+
+    // Border
+    ctx.strokeStyle = CONSTANTS.COLORS.TEXT;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(leftMargin, topMargin, plotWidth, plotHeight);
+
+    return hitPoints.filter(p =>
+        p.x >= leftMargin && p.x <= leftMargin + plotWidth && p.y >= topMargin && p.y <= topMargin + plotHeight);
+}
+
+// Legend with the swept range and the current gain in the top-left corner of the plot
+function drawRootLocusLegend(ctx, data, currentGain, left, top) {
+    const lineHeight = 16;
+    const padding = 6;
+    const swatchWidth = 16;
+    const gains = data.gains;
+
+    const rows = [
+        { text: data.parameter + ' = ' + formatValue(gains[0]) + ' … ' + formatValue(gains[gains.length - 1]), color: CONSTANTS.COLORS.L },
+        { text: data.parameter + ' = ' + (currentGain === null || currentGain === undefined ? '--' : formatValue(currentGain)), color: CONSTANTS.COLORS.T, square: true }
+    ];
+
+    ctx.font = ROOT_LOCUS_PLOT.LABEL_FONT;
+    const textWidth = Math.max(...rows.map(row => ctx.measureText(row.text).width));
+    const boxWidth = padding * 3 + swatchWidth + textWidth;
+    const boxHeight = padding * 2 + rows.length * lineHeight;
+    const x0 = left + 8;
+    const y0 = top + 8;
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    ctx.fillRect(x0, y0, boxWidth, boxHeight);
+    ctx.strokeStyle = CONSTANTS.COLORS.GRID;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x0, y0, boxWidth, boxHeight);
+
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    rows.forEach((row, i) => {
+        const y = y0 + padding + (i + 0.5) * lineHeight;
+        if (row.square) {
+            ctx.fillStyle = row.color;
+            ctx.fillRect(x0 + padding + swatchWidth / 2 - 4, y - 4, 8, 8);
+        } else {
+            ctx.strokeStyle = row.color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(x0 + padding, y);
+            ctx.lineTo(x0 + padding + swatchWidth, y);
+            ctx.stroke();
+        }
+        ctx.fillStyle = CONSTANTS.COLORS.TEXT;
+        ctx.fillText(row.text, x0 + padding * 2 + swatchWidth, y);
+    });
+}
+
+// ============================================================================
+// Root Locus Rendering
+// ============================================================================
+
+function getRootLocusDrawOptions(data) {
+    const slider = data.error ? null : design.sliders[data.sliderIndex];
+    const currentGain = slider ? slider.currentValue : null;
+    return {
+        showAsymptotes: rootLocusOptions.showAsymptotes,
+        currentGain,
+        currentPoles: slider ? rootLocusRoots(data.num, data.den, currentGain) : []
+    };
+}
+
+function updateRootLocusPlot() {
+    const prefix = isNarrowLayout ? 'narrow-' : '';
+
+    try {
+        const data = currentVars.analysis ? computeRootLocus() : { error: 'Define L to show the root locus' };
+        updateSliderSelect(prefix + 'root-locus-parameter', data.parameter || rootLocusOptions.parameter);
+        rootLocusLastData = data;
+        rootLocusHitPoints = drawRootLocus(data, prefix + 'root-locus-wrapper', prefix + 'root-locus-canvas', getRootLocusDrawOptions(data));
+    } catch (e) {
+        console.log('Root locus error:', e);
+    }
+}
+
+// ============================================================================
+// Root Locus Interaction
+// ============================================================================
+
+// Branch sample nearest to the mouse position (within PICK_RADIUS), or null
+function findRootLocusHit(wrapper, e) {
+    const rect = wrapper.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+    const y = e.clientY - rect.top;
+
+    let hit = null, best = ROOT_LOCUS_PLOT.PICK_RADIUS;
+    rootLocusHitPoints.forEach(p => {
+        const d = Math.hypot(p.x - x, p.y - y);
+        if (d <= best) { best = d; hit = p; }
+    });
+    return hit;
+}
+
+// Clicking on a branch sets the swept slider to the gain at that point
+function setupRootLocusInteraction() {
+    const prefix = isNarrowLayout ? 'narrow-' : '';
+    const wrapper = document.getElementById(prefix + 'root-locus-wrapper');
+    if (!wrapper) return;
+
+    attachListenerOnce(wrapper, 'click', function(e) {
+        const hit = findRootLocusHit(wrapper, e);
+        if (hit && rootLocusLastData && !rootLocusLastData.error) {
+            setSliderValue(rootLocusLastData.sliderIndex, hit.k);
+        }
+    });
+    attachListenerOnce(wrapper, 'mousemove', function(e) {
+        wrapper.style.cursor = findRootLocusHit(wrapper, e) ? 'pointer' : '';
+    });
+    attachListenerOnce(document.getElementById(prefix + 'root-locus-parameter'), 'sl-change', function() {
+        rootLocusOptions.parameter = this.value || null;
+        updateRootLocusPlot();
+    });
+}
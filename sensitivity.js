@@ -0,0 +1,275 @@
+// Gang of Four / Gang of Six sensitivity plot for loop shaping tool
+
+const SENSITIVITY_PLOT = {
+    MARGINS: { left: 70, right: 20, top: 10, bottom: 50 },
+    FONT: '14px Consolas, monospace',
+    LEGEND_FONT: '12px Consolas, monospace',
+    PEAK_MARKER_RADIUS: 4
+};
+
+// ============================================================================
+// Sensitivity Functions
+// ============================================================================
+
+// Compiled SENSITIVITY_FUNCTIONS for the current design (null if P or K is not defined).
+// The 2-DOF functions CS and CPS are only included when F or Kff is defined.
+function buildSensitivityFunctions() {
+    const parts = getLoopParts();
+    if (!parts) return null;
+
+    const twoDof = currentVars.F !== undefined || currentVars.Kff !== undefined;
+    return SENSITIVITY_FUNCTIONS
+        .filter(fn => twoDof || !fn.twoDof)
+        .map(fn => ({ ...fn, compiled: substituteLoopParts(fn.expr, parts).compile() }));
+}
+
+// Gain [dB] of each function over w, with its peak { value, freq } (H∞ norm on the grid)
+function computeSensitivityResponse(functions, w) {
+    return functions.map(fn => {
+        const gain = Array(w.length);
+        let peak = { value: 0, freq: null };
+
+        for (let i = 0; i < w.length; i++) {
+            let mag;
+            try {
+                const G = fn.compiled.evaluate(evaluationScope(math.complex(0, w[i])));
+                mag = typeof G === 'number' ? Math.abs(G) : G.abs();
+            } catch (e) {
+                mag = NaN;
+            }
+            gain[i] = 20 * Math.log10(mag);
+            if (isFinite(mag) && mag > peak.value) {
+                peak = { value: mag, freq: w[i] };
+            }
+        }
+
+        return { ...fn, gain, peak };
+    });
+}
+
+// ============================================================================
+// Sensitivity Plot Drawing
+// ============================================================================
+
+// responses: output of computeSensitivityResponse (empty array shows a hint)
+// options.ctx, options.width, options.height can be provided for external context (e.g., SVG export)
+function drawSensitivityPlot(responses, w, wrapperId, canvasId, options = {}) {
+    let ctx, width, height;
+
+    if (options.ctx && options.width && options.height) {
+        ctx = options.ctx;
+        width = options.width;
+        height = options.height;
+    } else {
+        const wrapper = document.getElementById(wrapperId);
+        const canvas = document.getElementById(canvasId);
+        if (!wrapper || !canvas) return;
+
+        ctx = canvas.getContext('2d');
+        width = wrapper.clientWidth;
+        height = wrapper.clientHeight;
+        if (width === 0 || height === 0) return;
+
+        canvas.width = width * devicePixelRatio;
+        canvas.height = height * devicePixelRatio;
+        canvas.style.width = width + 'px';
+        canvas.style.height = height + 'px';
+        ctx.scale(devicePixelRatio, devicePixelRatio);
+    }
+
+    ctx.fillStyle = CONSTANTS.COLORS.BACKGROUND;
+    ctx.fillRect(0, 0, width, height);
+
+    if (responses.length === 0) {
+        ctx.fillStyle = CONSTANTS.COLORS.AXIS;
+        ctx.font = SENSITIVITY_PLOT.FONT;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('Define P and K to show S, T, PS and KS', width / 2, height / 2);
+        return;
+    }
+
+    const { left: leftMargin, right: rightMargin, top: topMargin, bottom: bottomMargin } = SENSITIVITY_PLOT.MARGINS;
+    const plotWidth = width - leftMargin - rightMargin;
+    const plotHeight = height - topMargin - bottomMargin;
+
+    // Gain range from all finite data (always include 0 dB)
+    let gminAll = 0, gmaxAll = 0;
+    responses.forEach(r => {
+        r.gain.forEach(g => {
+            if (!isFinite(g)) return;
+            gminAll = Math.min(gminAll, g);
+            gmaxAll = Math.max(gmaxAll, g);
+        });
+    });
+    const gMargin = Math.max(5, (gmaxAll - gminAll) * 0.05);
+    const gmin = clip(gminAll - gMargin, -210, 210);
+    const gmax = clip(gmaxAll + gMargin, -210, 210);
+    const gStep = (gmax - gmin) > 80 ? 20 : 10;
+
+    const wmin = Math.log10(w[0]);
+    const wmax = Math.log10(w[w.length - 1]);
+
+    const w2x = lw => leftMargin + (lw - wmin) / (wmax - wmin) * plotWidth;
+    const g2y = g => topMargin + (gmax - g) / (gmax - gmin) * plotHeight;
+
+    ctx.lineJoin = 'round';
+    ctx.lineCap = 'round';
+    ctx.font = SENSITIVITY_PLOT.FONT;
+    ctx.fillStyle = CONSTANTS.COLORS.TEXT;
+
+    // Frequency grid (decades with minor lines)
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (let i = Math.ceil(wmin); i <= Math.floor(wmax); i++) {
+        const x = w2x(i);
+        ctx.fillText(Math.pow(10, i).toFixed(Math.max(0, -i)), x, topMargin + plotHeight + 5);
+        ctx.strokeStyle = CONSTANTS.COLORS.GRID;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, topMargin);
+        ctx.lineTo(x, topMargin + plotHeight);
+        ctx.stroke();
+
+        ctx.lineWidth = 0.5;
+        for (let k = 2; k < 10; k++) {
+            if (i + Math.log10(k) >= wmax) break;
+            const xk = w2x(i + Math.log10(k));
+            ctx.beginPath();
+            ctx.moveTo(xk, topMargin);
+            ctx.lineTo(xk, topMargin + plotHeight);
+            ctx.stroke();
+        }
+    }
+
+    // Gain grid (0 dB dashed)
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (let g = Math.ceil(gmin / gStep) * gStep; g <= gmax; g += gStep) {
+        const y = g2y(g);
+        ctx.fillStyle = CONSTANTS.COLORS.TEXT;
+        ctx.fillText(g.toFixed(0), leftMargin - 5, y);
+        ctx.strokeStyle = g === 0 ? CONSTANTS.COLORS.TEXT : CONSTANTS.COLORS.GRID;
+        ctx.lineWidth = 1;
+        ctx.setLineDash(g === 0 ? [5, 5] : []);
+        ctx.beginPath();
+        ctx.moveTo(leftMargin, y);
+        ctx.lineTo(leftMargin + plotWidth, y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    // Axis labels
+    ctx.fillStyle = CONSTANTS.COLORS.TEXT;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText('Frequency [rad/s]', leftMargin + plotWidth / 2, topMargin + plotHeight + 25);
+
+    ctx.save();
+    ctx.translate(leftMargin - 50, topMargin + plotHeight / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textBaseline = 'bottom';
+    ctx.fillText('Gain [dB]', 0, 0);
+    ctx.restore();
+
+    // Curves (clipped to the plot area)
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(leftMargin, topMargin, plotWidth, plotHeight);
+    ctx.clip();
+    responses.forEach(r => {
+        ctx.strokeStyle = r.color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        let started = false;
+        for (let i = 0; i < w.length; i++) {
+            if (!isFinite(r.gain[i])) {
+                started = false;
+                continue;
+            }
+            const x = w2x(Math.log10(w[i])), y = g2y(r.gain[i]);
+            if (!started) { ctx.moveTo(x, y); started = true; }
+            else ctx.lineTo(x, y);
+        }
+        ctx.stroke();
+    });
+
+    // Peak markers
+    responses.forEach(r => {
+        if (r.peak.freq === null) return;
+        ctx.fillStyle = r.color;
+        ctx.beginPath();
+        ctx.arc(w2x(Math.log10(r.peak.freq)), g2y(20 * Math.log10(r.peak.value)), SENSITIVITY_PLOT.PEAK_MARKER_RADIUS, 0, 2 * Math.PI);
+        ctx.fill();
+    });
+    ctx.restore();
+
+    drawSensitivityLegend(ctx, responses, leftMargin + plotWidth, topMargin);
+
+    // Border
+    ctx.strokeStyle = CONSTANTS.COLORS.TEXT;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(leftMargin, topMargin, plotWidth, plotHeight);
+}
+
+// Legend with peak values in the top-right corner of the plot
+function drawSensitivityLegend(ctx, responses, right, top) {
+    const lineHeight = 16;
+    const padding = 6;
+    const swatchWidth = 16;
+
+    ctx.font = SENSITIVITY_PLOT.LEGEND_FONT;
+    const rows = responses.map(r => {
+        let text = r.label.padEnd(4) + r.peakLabel + ' = ';
+        if (r.peak.freq === null) {
+            text += '--';
+        } else {
+            const dB = 20 * Math.log10(r.peak.value);
+            text += formatMetricValue(r.peak.value) + ' (' + dB.toFixed(1) + ' dB) @ ' + formatFrequency(r.peak.freq) + ' rad/s';
+        }
+        return { text, color: r.color };
+    });
+
+    const textWidth = Math.max(...rows.map(row => ctx.measureText(row.text).width));
+    const boxWidth = padding * 3 + swatchWidth + textWidth;
+    const boxHeight = padding * 2 + rows.length * lineHeight;
+    const x0 = right - boxWidth - 8;
+    const y0 = top + 8;
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    ctx.fillRect(x0, y0, boxWidth, boxHeight);
+    ctx.strokeStyle = CONSTANTS.COLORS.GRID;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x0, y0, boxWidth, boxHeight);
+
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    rows.forEach((row, i) => {
+        const y = y0 + padding + (i + 0.5) * lineHeight;
+        ctx.strokeStyle = row.color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x0 + padding, y);
+        ctx.lineTo(x0 + padding + swatchWidth, y);
+        ctx.stroke();
+        ctx.fillStyle = CONSTANTS.COLORS.TEXT;
+        ctx.fillText(row.text, x0 + padding * 2 + swatchWidth, y);
+    });
+}
+
+// ============================================================================
+// Sensitivity Plot Rendering
+// ============================================================================
+
+function updateSensitivityPlot() {
+    const prefix = isNarrowLayout ? 'narrow-' : '';
+
+    try {
+        const functions = currentVars.analysis ? currentVars.sensitivity : null;
+        const w = getFrequencyGrid();
+        const responses = functions ? computeSensitivityResponse(functions, w) : [];
+        drawSensitivityPlot(responses, w, prefix + 'sensitivity-wrapper', prefix + 'sensitivity-canvas');
+    } catch (e) {
+        console.log('Sensitivity plot error:', e);
+    }
+}
@@ -79,6 +79,14 @@ function createSliderElement(slider, index) {
                 <label>Max</label>
                 <sl-input type="number" class="slider-max" value="${slider.max || 100}" step="any" data-index="${index}" size="small"></sl-input>
             </div>
+            <div class="slider-settings-row">
+                <label>±%</label>
+                <sl-input type="number" class="slider-uncertainty" value="${slider.uncertainty || 0}" min="0" step="any" data-index="${index}" size="small" title="Uncertainty for robust stability analysis"></sl-input>
+                <sl-select class="slider-distribution" value="${slider.distribution || 'uniform'}" data-index="${index}" size="small" title="Monte Carlo distribution">
+                    <sl-option value="uniform">Uniform</sl-option>
+                    <sl-option value="normal">Normal</sl-option>
+                </sl-select>
+            </div>
             <div class="slider-settings-row">
                 <sl-checkbox class="slider-log" id="${prefix}log-${index}" ${slider.logScale ? 'checked' : ''} data-index="${index}" size="small">Log scale</sl-checkbox>
             </div>
@@ -92,6 +100,8 @@ function createSliderElement(slider, index) {
         const minInput = div.querySelector('.slider-min');
         const maxInput = div.querySelector('.slider-max');
         const logCheck = div.querySelector('.slider-log');
+        const uncertaintyInput = div.querySelector('.slider-uncertainty');
+        const distributionSelect = div.querySelector('.slider-distribution');
         const rangeInput = div.querySelector('.slider-range');
         const removeBtn = div.querySelector('.remove-slider');
         const settingsToggle = div.querySelector('.slider-settings-toggle');
@@ -147,6 +157,22 @@ function createSliderElement(slider, index) {
             });
         }
 
+        // Uncertainty range (± % of the current value) for the robust analysis
+        if (uncertaintyInput) {
+            uncertaintyInput.addEventListener('sl-input', function() {
+                design.sliders[index].uncertainty = Math.max(0, parseFloat(this.value) || 0);
+                updateAll();
+            });
+        }
+
+        // Monte Carlo sampling distribution over the uncertainty range
+        if (distributionSelect) {
+            distributionSelect.addEventListener('sl-change', function() {
+                design.sliders[index].distribution = this.value;
+                updateAll();
+            });
+        }
+
         // Shoelace sl-checkbox uses 'sl-change' event
         if (logCheck) {
             logCheck.addEventListener('sl-change', function() {
@@ -273,6 +299,22 @@ function updateSliderValue(index) {
     updateAll();
 }
 
+// Set a slider from outside the Parameters panel (e.g. a click on the root locus)
+function setSliderValue(index, value) {
+    const prefix = isNarrowLayout ? 'narrow-' : '';
+    const slider = design.sliders[index];
+    if (!slider) return;
+
+    slider.currentValue = Math.max(slider.min, Math.min(slider.max, value));
+
+    const rangeInput = document.getElementById(prefix + 'range-' + index);
+    const valueSpan = document.getElementById(prefix + 'value-' + index);
+    if (rangeInput) rangeInput.value = valueToSliderPos(slider.currentValue, slider.min, slider.max, slider.logScale);
+    if (valueSpan) valueSpan.textContent = formatValue(slider.currentValue);
+
+    updateAll();
+}
+
 function updateCodeFromSliders() {
     // Update parameter values in code based on slider values
     let lines = design.code.split('\n');
@@ -293,10 +335,24 @@ function updateCodeFromSliders() {
     });
 
     design.code = newLines.join('\n');
-    const codeField = document.getElementById('field-code');
+    const prefix = isNarrowLayout ? 'narrow-' : '';
+    const codeField = document.getElementById(prefix + 'field-code');
     if (codeField) codeField.value = design.code;
 }
 
+// Set a parameter slider to the given value, adding a log-scale slider when it does not exist
+// (the range of an existing slider is widened to include the value)
+function setParameterSlider(name, value, min = value / 10, max = value * 10) {
+    const slider = design.sliders.find(s => s.name === name);
+    if (slider) {
+        slider.min = Math.min(slider.min, value);
+        slider.max = Math.max(slider.max, value);
+        slider.currentValue = value;
+    } else {
+        design.sliders.push({ name, min, max, logScale: true, currentValue: value });
+    }
+}
+
 function addSlider() {
     design.sliders.push({
         name: '',
@@ -326,5 +382,18 @@ function syncSlidersFromVars() {
     });
 }
 
+// Fill a parameter selector (sl-select) with the slider names and select the given one
+function updateSliderSelect(selectId, value) {
+    const select = document.getElementById(selectId);
+    if (!select) return;
+
+    const names = design.sliders.map(s => s.name).filter(name => name);
+    if (select.dataset.names !== names.join(',')) {
+        select.innerHTML = names.map(name => `<sl-option value="${name}">${name}</sl-option>`).join('');
+        select.dataset.names = names.join(',');
+    }
+    select.value = value || '';
+}
+
 // Expose addSlider to window
 window.addSlider = addSlider;
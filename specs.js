@@ -0,0 +1,131 @@
+// Frequency-domain specifications: weights and piecewise-linear gain bounds
+
+// Violations smaller than this are treated as touching the bound [dB]
+const SPEC_TOLERANCE_DB = 0.01;
+
+// ============================================================================
+// Specification Bounds
+// ============================================================================
+
+// Specifications defined in the code (see SPEC_BOUNDS) with their bound evaluated on w.
+// Returns [{ ...spec, color, bound }], bound[i] in dB (NaN outside the specified range),
+// or [{ ...spec, error }] for a spec that cannot be evaluated.
+function buildSpecBounds(w) {
+    const specs = [];
+    SPEC_BOUNDS.forEach(spec => {
+        const value = currentVars[spec.name];
+        if (value === undefined) return;
+
+        try {
+            const bound = spec.kind === 'weight'
+                ? evaluateWeightBound(toNode(value), w)
+                : interpolateBoundTable(parseBoundTable(value, spec.name), w);
+            specs.push({ ...spec, color: CONSTANTS.COLORS[spec.target], bound });
+        } catch (e) {
+            console.log('Spec ' + spec.name + ' error:', e);
+            specs.push({ ...spec, error: e.message });
+        }
+    });
+    return specs;
+}
+
+// Bound 1/|W(jω)| in dB. Weights may be written in s even in discrete-time designs.
+function evaluateWeightBound(W, w) {
+    const compiled = W.compile();
+    return w.map(wi => {
+        const jw = math.complex(0, wi);
+        const Wjw = compiled.evaluate({ s: jw, ...evaluationScope(jw) });
+        const mag = typeof Wjw === 'number' ? Math.abs(Wjw) : Wjw.abs();
+        return -20 * Math.log10(mag);
+    });
+}
+
+// Table [ω1, dB1; ω2, dB2; ...] as an array of [ω, dB] rows
+function parseBoundTable(value, name) {
+    const rows = typeof value === 'number' ? null : math.matrix(value.evaluate()).toArray();
+    const valid = rows && rows.length >= 2 && rows.every((row, i) =>
+        Array.isArray(row) && row.length === 2 && row.every(v => typeof v === 'number' && isFinite(v)) &&
+        row[0] > 0 && (i === 0 || row[0] > rows[i - 1][0]));
+    if (!valid) {
+        throw new Error(name + ' must be a table [ω1, dB1; ω2, dB2; ...] with increasing ω > 0');
+    }
+    return rows;
+}
+
+// Piecewise-linear interpolation of the table in log ω (NaN outside its range)
+function interpolateBoundTable(rows, w) {
+    return w.map(wi => {
+        if (wi < rows[0][0] || wi > rows[rows.length - 1][0]) return NaN;
+        let k = 1;
+        while (k < rows.length - 1 && rows[k][0] < wi) k++;
+        const [w1, g1] = rows[k - 1];
+        const [w2, g2] = rows[k];
+        const ratio = Math.log10(wi / w1) / Math.log10(w2 / w1);
+        return g1 + ratio * (g2 - g1);
+    });
+}
+
+// Amount by which gain exceeds the bound [dB] (positive = violated, NaN = not constrained)
+function specExcess(spec, gain, i) {
+    return spec.type === 'upper' ? gain - spec.bound[i] : spec.bound[i] - gain;
+}
+
+// ============================================================================
+// Specification Check
+// ============================================================================
+
+// Check each spec against the gain of its target (L, T or S) on w.
+// Returns [{ ...spec, violated, worst: { excess, freq } }]
+function checkSpecs(specs, w) {
+    const responses = {};
+    return specs.map(spec => {
+        if (spec.error) return spec;
+
+        const target = currentVars[spec.target];
+        if (!responses[spec.target]) {
+            responses[spec.target] = calculateFrequencyResponse(target.compile(), w).gain;
+        }
+        const gain = responses[spec.target];
+
+        let worst = { excess: -Infinity, freq: null };
+        for (let i = 0; i < w.length; i++) {
+            const excess = specExcess(spec, gain[i], i);
+            if (isFinite(excess) && excess > worst.excess) {
+                worst = { excess, freq: w[i] };
+            }
+        }
+        return { ...spec, violated: worst.excess > SPEC_TOLERANCE_DB, worst };
+    });
+}
+
+// Pass/fail summary in the Stability panel (hidden when no specs are defined)
+function updateSpecInfo() {
+    const prefix = isNarrowLayout ? 'narrow-' : '';
+    const specInfo = document.getElementById(prefix + 'spec-info');
+    const specDisplay = document.getElementById(prefix + 'spec-display');
+    if (!specInfo || !specDisplay) return;
+
+    try {
+        const w = getFrequencyGrid();
+        const results = currentVars.analysis ? checkSpecs(buildSpecBounds(w), w) : [];
+        specInfo.style.display = results.length > 0 ? '' : 'none';
+        if (results.length === 0) return;
+
+        const errors = results.filter(r => r.error);
+        const violated = results.filter(r => r.violated);
+        if (errors.length > 0) {
+            specDisplay.textContent = errors.map(r => r.error).join(', ');
+            specDisplay.className = 'text-danger';
+        } else if (violated.length === 0) {
+            specDisplay.textContent = 'all met (' + results.map(r => r.label).join(', ') + ')';
+            specDisplay.className = 'text-success';
+        } else {
+            specDisplay.textContent = violated.map(r =>
+                r.label + ' violated by ' + r.worst.excess.toFixed(1) + ' dB @ ' + formatFrequency(r.worst.freq) + ' rad/s'
+            ).join(', ');
+            specDisplay.className = 'text-danger';
+        }
+    } catch (e) {
+        console.log('Spec check error:', e);
+    }
+}
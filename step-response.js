@@ -26,7 +26,8 @@ function calculateAutoStepTime() {
     const DEFAULT_TIME = 20;
 
     try {
-        const clPoles = window.lastPoles || [];
+        // Discrete-time poles are mapped to s = ln(z)/Ts (deadbeat poles at z = 0 become -Infinity)
+        const clPoles = (window.lastPoles || []).map(equivalentSPlaneRoot);
         if (clPoles.length === 0) return DEFAULT_TIME;
 
         const isStable = clPoles.every(p => p.re < 1e-10);
@@ -44,13 +45,198 @@ function calculateAutoStepTime() {
 
         if (dominantRe === null || dominantRe < 1e-10) return DEFAULT_TIME;
 
-        return Math.max(0.1, Math.min(1000, stepOptions.autoTimeMultiplier / dominantRe));
+        // Show at least 20 samples of a discrete-time response
+        const minTime = samplingTime ? 20 * samplingTime : 0.1;
+        return Math.max(minTime, Math.min(1000, stepOptions.autoTimeMultiplier / dominantRe));
     } catch (e) {
         console.log('Auto step time calculation error:', e);
         return DEFAULT_TIME;
     }
 }
 
+// ============================================================================
+// Input Signals
+// ============================================================================
+
+// Polynomial inputs r(t) = t^k / k! (step, ramp, parabola) by stepOptions.inputSignal
+const STEP_INPUT_ORDERS = { step: 0, ramp: 1, parabola: 2 };
+
+// Reference input r(t) for t >= 0 selected by stepOptions.inputSignal.
+// The impulse response is the derivative of the step response (see differentiateResponse),
+// so 'impulse' simulates a step. tMax is the sweep duration of the chirp.
+function getStepInputFunction(tMax) {
+    const omega = stepOptions.inputFrequency > 0 ? stepOptions.inputFrequency : 1;
+    switch (stepOptions.inputSignal) {
+        case 'ramp':
+            return t => t;
+        case 'parabola':
+            return t => t * t / 2;
+        case 'sine':
+            return t => Math.sin(omega * t);
+        case 'square': {
+            // Pulse train between 0 and 1 with period 2π/ω
+            const duty = Math.max(0, Math.min(100, stepOptions.inputDuty)) / 100;
+            return t => ((t * omega / (2 * Math.PI)) % 1) < duty ? 1 : 0;
+        }
+        case 'chirp': {
+            // Logarithmic sweep ω(t) = ω1 (ω2/ω1)^(t/tMax), phase φ(t) = ∫ω dt
+            const { w1, w2 } = getChirpRange();
+            const rate = Math.log(w2 / w1) / tMax;
+            return rate > 0 ? t => Math.sin(w1 * (Math.exp(rate * t) - 1) / rate) : t => Math.sin(w1 * t);
+        }
+        case 'custom':
+            return interpolateInputTable(parseInputTable(stepOptions.customInput));
+        default:
+            return t => 1;
+    }
+}
+
+// Chirp sweep range { w1, w2 } [rad/s] with 0 < w1 <= w2
+function getChirpRange() {
+    const w1 = stepOptions.chirpFreqMin > 0 ? stepOptions.chirpFreqMin : 0.1;
+    const w2 = Math.max(w1, stepOptions.chirpFreqMax > 0 ? stepOptions.chirpFreqMax : 10);
+    return { w1, w2 };
+}
+
+// Instantaneous chirp frequency at time t of a sweep over [0, tMax]
+function chirpFrequencyAt(t, tMax) {
+    const { w1, w2 } = getChirpRange();
+    return w1 * Math.pow(w2 / w1, t / tMax);
+}
+
+// Simulation points: 500, or enough for 20 points per period at the highest chirp frequency
+function getSimulationPoints(tMax) {
+    if (stepOptions.inputSignal !== 'chirp') return 500;
+    const { w2 } = getChirpRange();
+    return Math.min(20000, Math.max(500, Math.ceil(tMax * w2 / (2 * Math.PI) * 20) + 1));
+}
+
+// Impulse response from a step response: forward difference of the samples
+// (unit pulse response in discrete time). The impulse of a direct feedthrough is dropped.
+function differentiateResponse(time, y, discrete) {
+    return y.map((v, i) => {
+        if (discrete) return i === 0 ? v : v - y[i - 1];
+        const j = Math.min(i, y.length - 2);
+        return j < 0 ? 0 : (y[j + 1] - y[j]) / (time[j + 1] - time[j]);
+    });
+}
+
+// Parse "t, r" lines (comma, semicolon, tab or space separated).
+// Lines that are not two numbers (e.g. a CSV header) are skipped.
+// Returns { time: [...], value: [...] } sorted by time
+function parseInputTable(text) {
+    const rows = [];
+    (text || '').split(/\r?\n/).forEach(line => {
+        const fields = line.trim().split(/[\s,;]+/).map(Number);
+        if (fields.length >= 2 && isFinite(fields[0]) && isFinite(fields[1])) {
+            rows.push([fields[0], fields[1]]);
+        }
+    });
+    rows.sort((a, b) => a[0] - b[0]);
+    return { time: rows.map(r => r[0]), value: rows.map(r => r[1]) };
+}
+
+// Linear interpolation of a parsed input table, holding the first and last values outside it
+function interpolateInputTable(table) {
+    const { time, value } = table;
+    if (time.length === 0) return t => 0;
+
+    return t => {
+        if (t <= time[0]) return value[0];
+        if (t >= time[time.length - 1]) return value[value.length - 1];
+        let lo = 0, hi = time.length - 1;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (time[mid] <= t) lo = mid;
+            else hi = mid;
+        }
+        const span = time[hi] - time[lo];
+        return span > 0 ? value[lo] + (value[hi] - value[lo]) * (t - time[lo]) / span : value[hi];
+    };
+}
+
+// ============================================================================
+// Steady-State Error
+// ============================================================================
+
+// Steady-state tracking error of the unity feedback loop for r(t) = t^k / k!
+// (k = 0 step, 1 ramp, 2 parabola), assuming a stable closed loop.
+// e_ss = lim s^-k / (1 + L(s)) as s → 0; in discrete time w = z - 1 replaces s
+// and the sampled input adds the factor Ts^k. Returns Infinity for a too low system type.
+function calculateSteadyStateError(LCoeffs, order) {
+    // Coefficients in w = z - 1 (Taylor shift to z = 1)
+    const shift = p => p.reduceRight((acc, c) => polyAdd(polyMultiply(acc, [1, 1]), [c]), [0]);
+    const num = samplingTime ? shift(LCoeffs.num) : LCoeffs.num;
+    const den = samplingTime ? shift(LCoeffs.den) : LCoeffs.den;
+    const scale = samplingTime ? Math.pow(samplingTime, order) : 1;
+
+    // System type: number of integrators (den coefficients vanishing at w = 0)
+    const maxAbs = Math.max(...den.map(Math.abs));
+    let type = 0;
+    while (type < den.length - 1 && Math.abs(den[type]) < 1e-12 * maxAbs) type++;
+
+    if (type > order) return 0;
+    if (type < order) return Infinity;
+    // e_ss = d'(0) / (w^type d'(0) + n(0)) at w = 0
+    const d0 = den[type];
+    const n0 = num[0] || 0;
+    return scale * d0 / ((type === 0 ? d0 : 0) + n0);
+}
+
+// ============================================================================
+// Actuator Limits
+// ============================================================================
+
+// Actuator limits declared in the code: umax, umin (default -umax), dumax (rate limit |du/dt|)
+// and Kaw (back-calculation anti-windup gain, 0 = off). Returns null when no limit is declared.
+function getActuatorLimits() {
+    const value = name => {
+        const v = currentVars[name];
+        if (typeof v === 'number') return v;
+        try {
+            if (v && v.isNode && freeSymbols(v).size === 0) {
+                const result = v.evaluate();
+                if (typeof result === 'number' && isFinite(result)) return result;
+            }
+        } catch (e) {
+            // Not a constant
+        }
+        return null;
+    };
+
+    const umax = value('umax'), umin = value('umin'), rate = value('dumax');
+    if (umax === null && umin === null && rate === null) return null;
+    return {
+        max: umax !== null ? umax : Infinity,
+        min: umin !== null ? umin : (umax !== null ? -umax : -Infinity),
+        rate: rate !== null && rate > 0 ? rate : Infinity,
+        antiWindup: Math.max(0, value('Kaw') || 0)
+    };
+}
+
+// Closed loop with the actuator limits on u = K e (1-DOF loop with rational P and proper K,
+// continuous time only). Returns { time, y, u } or null.
+function simulateActuatorLimits(analysis, tMax, input) {
+    const limits = getActuatorLimits();
+    if (!limits || samplingTime) return null;
+    if (currentVars.F !== undefined || currentVars.Kff !== undefined) return null;
+
+    const blocks = analysis.loopBlockCoeffs;
+    if (!blocks) return null;
+    const split = splitIntegrator(blocks.K);
+    const P = { num: trimPolyCoeffs(blocks.P.num), den: trimPolyCoeffs(blocks.P.den) };
+    if (!split || split.rest.num.length > split.rest.den.length || P.num.length > P.den.length) return null;
+
+    try {
+        const sim = simulateSaturatedLoop(tf2ss(P.num, P.den), tf2ss(split.rest.num, split.rest.den),
+            split.gain, limits, tMax, 2000, input);
+        return { time: sim.time, y: sim.y, u: sim.u };
+    } catch (e) {
+        console.log('Actuator limit simulation error:', e);
+        return null;
+    }
+}
+
 // ============================================================================
 // Performance Metrics Calculation
 // ============================================================================
@@ -401,7 +587,17 @@ function drawStepResponse(simData, wrapperId, canvasId, options = {}) {
     const tMin = 0, tMax = simData.time[simData.time.length - 1];
     let yMin = 0, yMax = 1, hasData = false;
 
-    for (const [show, data] of [[showL, simData.yL], [showT, simData.yT]]) {
+    const mapCurves = simData.maps || [];
+    const isStepInput = !simData.input || simData.input === 'step';
+    const saturated = simData.saturated;
+    const showSaturatedU = !!saturated && displayOptions.showKSstep;
+    const rangeCurves = [
+        [showL, simData.yL], [showT, simData.yT], [!isStepInput, simData.reference], [true, simData.error],
+        [showT, simData.envelope?.gain],
+        [showT && !!saturated, saturated?.y], [showSaturatedU, saturated?.u],
+        ...mapCurves.map(m => [true, m.y])
+    ];
+    for (const [show, data] of rangeCurves) {
         if (show && data) {
             const valid = data.filter(isFinite);
             if (valid.length > 0) {
@@ -464,7 +660,7 @@ function drawStepResponse(simData, wrapperId, canvasId, options = {}) {
         ctx.lineTo(leftMargin + plotWidth, y2y(0));
         ctx.stroke();
     }
-    if (yMin < 1 && yMax > 1) {
+    if (isStepInput && yMin < 1 && yMax > 1) {
         ctx.setLineDash([5, 5]);
         ctx.beginPath();
         ctx.moveTo(leftMargin, y2y(1));
@@ -487,21 +683,27 @@ function drawStepResponse(simData, wrapperId, canvasId, options = {}) {
     ctx.fillText('Response', 0, 0);
     ctx.restore();
 
-    // Draw curve helper
-    const drawCurve = (time, data, color, lineWidth, dash = []) => {
+    // Draw curve helper (stairs = sample-and-hold staircase for discrete-time data)
+    const drawCurve = (time, data, color, lineWidth, dash = [], stairs = false) => {
         ctx.strokeStyle = color;
         ctx.lineWidth = lineWidth;
         ctx.setLineDash(dash);
         ctx.beginPath();
         let started = false;
+        let prevY = null;
         for (let i = 0; i < time.length; i++) {
             if (time[i] > tMax) break;
             const x = t2x(time[i]), y = y2y(data[i]);
             if (isFinite(y) && y >= topMargin - 50 && y <= topMargin + plotHeight + 50) {
                 if (!started) { ctx.moveTo(x, y); started = true; }
-                else ctx.lineTo(x, y);
+                else {
+                    if (stairs && prevY !== null) ctx.lineTo(x, prevY);
+                    ctx.lineTo(x, y);
+                }
+                prevY = y;
             }
         }
+        if (stairs && started && prevY !== null) ctx.lineTo(t2x(tMax), prevY);
         ctx.stroke();
         ctx.setLineDash([]);
     };
@@ -510,21 +712,60 @@ function drawStepResponse(simData, wrapperId, canvasId, options = {}) {
     if (typeof savedSnapshots !== 'undefined') {
         for (const snap of savedSnapshots) {
             if (!snap.visible || !snap.stepData?.time) continue;
+            const stairs = !!snap.stepData.discrete;
             if (showL && snap.stepData.yL) {
-                drawCurve(snap.stepData.time, snap.stepData.yL, lightenColor?.(CONSTANTS.COLORS.L, 0.1) || CONSTANTS.COLORS.L, 1.5, [6, 4]);
+                drawCurve(snap.stepData.time, snap.stepData.yL, lightenColor?.(CONSTANTS.COLORS.L, 0.1) || CONSTANTS.COLORS.L, 1.5, [6, 4], stairs);
             }
             if (showT && snap.stepData.yT) {
-                drawCurve(snap.stepData.time, snap.stepData.yT, lightenColor?.(CONSTANTS.COLORS.T, 0.1) || CONSTANTS.COLORS.T, 1.5, [6, 4]);
+                drawCurve(snap.stepData.time, snap.stepData.yT, lightenColor?.(CONSTANTS.COLORS.T, 0.1) || CONSTANTS.COLORS.T, 1.5, [6, 4], stairs);
             }
         }
     }
 
     // Main curves
-    if (showL && simData.yL) drawCurve(simData.time, simData.yL, CONSTANTS.COLORS.L, 2.5);
-    if (showT && simData.yT) drawCurve(simData.time, simData.yT, CONSTANTS.COLORS.T, 2.5);
+    const stairs = !!simData.discrete;
+    if (!isStepInput && simData.reference) drawCurve(simData.time, simData.reference, CONSTANTS.COLORS.AXIS, 1.5, [5, 5], stairs);
+    if (simData.error) drawCurve(simData.time, simData.error, CONSTANTS.COLORS.T, 1.5, [2, 3], stairs);
+    if (showT && simData.envelope) {
+        // ±|T(jω(t))| from the frequency response
+        const { time: envTime, gain } = simData.envelope;
+        drawCurve(envTime, gain, CONSTANTS.COLORS.AXIS, 1.5, [2, 3]);
+        drawCurve(envTime, gain.map(g => -g), CONSTANTS.COLORS.AXIS, 1.5, [2, 3]);
+
+        const { w1, w2 } = getChirpRange();
+        ctx.font = STEP_PLOT.FONT;
+        ctx.fillStyle = CONSTANTS.COLORS.TEXT;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'top';
+        ctx.fillText('ω: ' + formatAxisValue(w1) + ' → ' + formatAxisValue(w2) + ' rad/s, ┅ ±|T|', leftMargin + plotWidth - 8, topMargin + 8);
+    }
+    if (showL && simData.yL) drawCurve(simData.time, simData.yL, CONSTANTS.COLORS.L, 2.5, [], stairs);
+    if (showT && simData.yT) drawCurve(simData.time, simData.yT, CONSTANTS.COLORS.T, 2.5, [], stairs);
+    mapCurves.forEach(m => drawCurve(m.time, m.y, m.color, 2, [], stairs));
+
+    // Responses with actuator limits (dashed over the linear ones)
+    if (saturated) {
+        if (showT) drawCurve(saturated.time, saturated.y, CONSTANTS.COLORS.T, 2, [8, 4]);
+        if (showSaturatedU) drawCurve(saturated.time, saturated.u, CONSTANTS.COLORS.KS, 2, [8, 4]);
+        ctx.font = STEP_PLOT.FONT;
+        ctx.fillStyle = CONSTANTS.COLORS.TEXT;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText('- - with actuator limits', leftMargin + 8, topMargin + 8);
+    }
 
-    // Performance metrics
-    if (options.showMetrics && showT && simData.yT) {
+    // Steady-state error (ramp and parabola inputs)
+    if (simData.steadyStateError !== undefined) {
+        ctx.font = STEP_PLOT.FONT;
+        ctx.fillStyle = CONSTANTS.COLORS.TEXT;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'top';
+        const ess = simData.steadyStateError;
+        ctx.fillText('e_ss = ' + (ess === 0 ? '0' : isFinite(ess) ? formatMetricValue(ess) : '∞'), leftMargin + plotWidth - 8, topMargin + 8);
+    }
+
+    // Performance metrics (step input only)
+    if (options.showMetrics && isStepInput && showT && simData.yT) {
         const metrics = calculateStepMetrics(simData.time, simData.yT, 1);
         if (metrics) {
             drawStepMetrics(ctx, metrics, t2x, y2y, {
@@ -539,6 +780,168 @@ function drawStepResponse(simData, wrapperId, canvasId, options = {}) {
     ctx.strokeRect(leftMargin, topMargin, plotWidth, plotHeight);
 }
 
+// ============================================================================
+// Step Response Simulation
+// ============================================================================
+
+// Simulate open-loop L and closed-loop T responses to the selected input signal.
+// Returns { time, yL, yT, discrete, input, reference, error, steadyStateError, maps, saturated }
+// or null if L cannot be simulated. saturated is the loop with actuator limits ({ time, y, u } or null).
+// maps holds the visible 2-DOF loop maps and disturbance responses: [{ id, color, time, y }]
+function computeStepSimulation(analysis, tMax) {
+    const stepData = analysis.stepResponseData;
+    if (!stepData) return null;
+
+    const input = getStepInputFunction(tMax);
+    const sim = simulateLoopAndClosedLoop(analysis, tMax, input);
+    sim.input = stepOptions.inputSignal;
+    const isImpulse = sim.input === 'impulse';
+    if (!isImpulse) sim.reference = sim.time.map(input);
+    if (stepOptions.showError && sim.yT && !isImpulse) {
+        sim.error = sim.yT.map((y, i) => sim.reference[i] - y);
+    }
+
+    // Steady-state error for ramp and parabola inputs (stable closed loop only)
+    const order = STEP_INPUT_ORDERS[sim.input];
+    const P = analysis.rhpPoleCount;
+    if (order > 0 && P !== null && analysis.windingNumber + P === 0) {
+        sim.steadyStateError = calculateSteadyStateError(stepData.LCoeffs, order);
+    }
+
+    sim.maps = [...simulateLoopMapSteps(analysis, tMax, input), ...simulateDisturbanceSteps(analysis, tMax, input, sim)];
+
+    if (isImpulse) {
+        const discrete = !!sim.discrete;
+        if (sim.yL) sim.yL = differentiateResponse(sim.time, sim.yL, discrete);
+        if (sim.yT) sim.yT = differentiateResponse(sim.time, sim.yT, discrete);
+        sim.maps.forEach(m => { m.y = differentiateResponse(m.time, m.y, discrete); });
+        sim.saturated = null;
+    } else {
+        sim.saturated = simulateActuatorLimits(analysis, tMax, input);
+    }
+
+    // Chirp: amplitude of T predicted by the Bode plot at the instantaneous frequency
+    if (sim.input === 'chirp') sim.envelope = computeChirpEnvelope(tMax);
+    return sim;
+}
+
+// |T(jω(t))| along the chirp sweep: { time, gain } (null if T cannot be evaluated)
+function computeChirpEnvelope(tMax) {
+    const T = currentVars.T;
+    if (!T || !T.isNode) return null;
+
+    try {
+        const compiled = T.compile();
+        const time = [], gain = [];
+        const n = 200;
+        for (let i = 0; i <= n; i++) {
+            const t = tMax * i / n;
+            let Tjw = compiled.evaluate(evaluationScope(math.complex(0, chirpFrequencyAt(t, tMax))));
+            if (typeof Tjw.abs !== 'function') Tjw = math.complex(Tjw, 0);
+            time.push(t);
+            gain.push(Tjw.abs());
+        }
+        return { time, gain };
+    } catch (e) {
+        console.log('Chirp envelope error:', e);
+        return null;
+    }
+}
+
+// Response of a single state-space model to the input r(t) (continuous or discrete time)
+function simulateSingleStep(ss, tMax, input) {
+    if (samplingTime) {
+        const nSamples = Math.min(Math.floor(tMax / samplingTime + 1e-9) + 1, 20000);
+        return simulateDiscreteStepResponse(ss, null, samplingTime, nSamples, input);
+    }
+    return simulateStepResponse(ss, null, tMax, getSimulationPoints(tMax), 0, 0, input);
+}
+
+// Responses of the visible 2-DOF loop maps (rational and proper maps only)
+function simulateLoopMapSteps(analysis, tMax, input) {
+    const mapData = analysis.loopMapData;
+    if (!mapData) return [];
+
+    const maps = [];
+    LOOP_MAPS.forEach(map => {
+        const data = mapData[map.id];
+        if (!displayOptions.loopMaps.step[map.id] || !data || !data.ss) return;
+        const sim = simulateSingleStep(data.ss, tMax, input);
+        maps.push({ id: map.id, color: map.color, time: sim.time, y: sim.yL });
+    });
+    return maps;
+}
+
+// Responses of the visible STEP_DISTURBANCE_RESPONSES.
+// S is taken as r - T r from the closed-loop simulation (also valid with a loop delay);
+// P·S and K·S need rational P and K and a proper K·S.
+function simulateDisturbanceSteps(analysis, tMax, input, loopSim) {
+    const blocks = analysis.loopBlockCoeffs;
+    const coeffs = blocks ? disturbanceSensitivityCoeffs(blocks.P, blocks.K) : null;
+
+    const responses = [];
+    STEP_DISTURBANCE_RESPONSES.forEach(resp => {
+        if (!displayOptions[resp.option]) return;
+        if (resp.id === 'S') {
+            // The reference is rebuilt from the input (loopSim has none in impulse mode, where r = 1)
+            if (loopSim.yT) responses.push({ id: resp.id, color: resp.color, time: loopSim.time, y: loopSim.yT.map((y, i) => input(loopSim.time[i]) - y) });
+            return;
+        }
+        if (!coeffs) return;
+        const num = trimPolyCoeffs(coeffs[resp.id].num);
+        const den = trimPolyCoeffs(coeffs[resp.id].den);
+        if (num.length > den.length) return;
+        try {
+            const sim = simulateSingleStep(tf2ss(num, den), tMax, input);
+            responses.push({ id: resp.id, color: resp.color, time: sim.time, y: sim.yL });
+        } catch (e) {
+            console.log('Disturbance step error:', e);
+        }
+    });
+    return responses;
+}
+
+// Responses of L and T = L/(1+L) to the input r(t)
+function simulateLoopAndClosedLoop(analysis, tMax, input) {
+    const stepData = analysis.stepResponseData;
+
+    const structure = analysis.lStructure;
+    const { delayL, LCoeffs, ssL } = stepData;
+
+    // Build T = L/(1+L) state-space (same realization for s and z coefficients)
+    let ssT = null;
+    if (structure.type !== 'rational_delay') {
+        try {
+            const maxLen = Math.max(LCoeffs.num.length, LCoeffs.den.length);
+            const numPadded = [...LCoeffs.num, ...Array(maxLen - LCoeffs.num.length).fill(0)];
+            const denPadded = [...LCoeffs.den, ...Array(maxLen - LCoeffs.den.length).fill(0)];
+            const Tden = numPadded.map((n, i) => n + denPadded[i]);
+            while (Tden.length > 1 && Math.abs(Tden[Tden.length - 1]) < 1e-15) Tden.pop();
+            ssT = tf2ss(LCoeffs.num.slice(), Tden);
+        } catch (e) {
+            console.log('Step response: Cannot build T state-space:', e);
+        }
+    }
+
+    // Discrete time: difference equation at the sampling instants
+    if (samplingTime) {
+        const nSamples = Math.min(Math.floor(tMax / samplingTime + 1e-9) + 1, 20000);
+        const sim = simulateDiscreteStepResponse(ssL, ssT, samplingTime, nSamples, input);
+        return { ...sim, discrete: true };
+    }
+
+    // Output resolution (the loop delay solver refines its steps internally)
+    const nPoints = getSimulationPoints(tMax);
+
+    if (structure.type === 'rational_delay') {
+        const simL = simulateStepResponse(ssL, null, tMax, nPoints, delayL, 0, input);
+        const simT = simulateClosedLoopStepResponseLoopDelay(ssL, delayL, tMax, nPoints, input);
+        return { time: simL.time, yL: simL.yL, yT: simT.y };
+    }
+
+    return simulateStepResponse(ssL, ssT, tMax, nPoints, 0, 0, input);
+}
+
 // ============================================================================
 // Step Response Rendering
 // ============================================================================
@@ -566,44 +969,19 @@ function renderStepResponsePlot(wrapperId, canvasId, options) {
             return;
         }
 
+        // Measured plant data cannot be simulated
+        if (frdInUse()) {
+            drawFrdUnavailable(wrapperId, canvasId);
+            return;
+        }
+
         const stepData = analysis.stepResponseData;
         if (!stepData) {
             console.log('Step response: Cannot simulate non-rational transfer function');
             return;
         }
 
-        const structure = analysis.lStructure;
-        const { delayL, LCoeffs, ssL } = stepData;
-
-        // Simulation resolution
-        let nPoints = 500;
-        if (structure.type === 'rational_delay' && delayL > 0) {
-            const dtTarget = delayL / 25;
-            if (dtTarget > 0) nPoints = Math.max(nPoints, Math.ceil(stepTimeMax / dtTarget) + 1);
-            nPoints = Math.min(nPoints, 20000);
-        }
-
-        let simData;
-        if (structure.type === 'rational_delay') {
-            const simL = simulateStepResponse(ssL, null, stepTimeMax, nPoints, delayL, 0);
-            const simT = simulateClosedLoopStepResponseLoopDelay(ssL, delayL, stepTimeMax, nPoints);
-            simData = { time: simL.time, yL: simL.yL, yT: simT.y };
-        } else {
-            // Build T = L/(1+L) state-space
-            let ssT = null;
-            try {
-                const maxLen = Math.max(LCoeffs.num.length, LCoeffs.den.length);
-                const numPadded = [...LCoeffs.num, ...Array(maxLen - LCoeffs.num.length).fill(0)];
-                const denPadded = [...LCoeffs.den, ...Array(maxLen - LCoeffs.den.length).fill(0)];
-                const Tden = numPadded.map((n, i) => n + denPadded[i]);
-                while (Tden.length > 1 && Math.abs(Tden[Tden.length - 1]) < 1e-15) Tden.pop();
-                ssT = tf2ss(LCoeffs.num.slice(), Tden);
-            } catch (e) {
-                console.log('Step response: Cannot build T state-space:', e);
-            }
-            simData = simulateStepResponse(ssL, ssT, stepTimeMax, nPoints, 0, 0);
-        }
-
+        const simData = computeStepSimulation(analysis, stepTimeMax);
         drawStepResponse(simData, wrapperId, canvasId, options);
     } catch (e) {
         console.log('Step response plot error:', e);
@@ -612,6 +990,8 @@ function renderStepResponsePlot(wrapperId, canvasId, options) {
 
 function updateStepResponsePlot() {
     const prefix = isNarrowLayout ? 'narrow-' : '';
+    const inputSelect = document.getElementById(prefix + 'step-input-signal');
+    if (inputSelect && inputSelect.value !== stepOptions.inputSignal) inputSelect.value = stepOptions.inputSignal;
     const showL = isNarrowLayout
         ? (document.getElementById('narrow-chk-show-L-step')?.checked ?? true)
         : displayOptions.showLstep;
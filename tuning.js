@@ -0,0 +1,442 @@
+// PID tuning assistant
+// Computes controller parameters from the plant P for a PID structure of EXAMPLE_CONTROLLERS,
+// either by classic rules (Ziegler–Nichols, SIMC, AMIGO) or by optimizing the
+// crossover frequency and phase margin (or the maximum sensitivity Ms)
+
+// Parameters a controller structure may have (N is the derivative filter, kept fixed)
+const TUNING_PARAMETERS = ['Kp', 'Ti', 'Td', 'N'];
+
+// Frequency points per decade and decades on each side of the target crossover for the optimizer
+const TUNING_POINTS_PER_DECADE = 40;
+const TUNING_DECADES = 3;
+
+// Last computed result, applied to the design by the Apply button
+let tuningResult = null;
+
+// ============================================================================
+// Controller Structures and Plant
+// ============================================================================
+
+// PID structures of EXAMPLE_CONTROLLERS: [{ name, defaults, expr, compiled, type }]
+// (examples with other parameters, e.g. anti-windup or lead/lag, are skipped)
+function getTuningStructures() {
+    return EXAMPLE_CONTROLLERS.map(example => {
+        const defaults = {};
+        let expr = null;
+        for (const line of example.code.split('\n')) {
+            const parsed = parseCodeLine(line);
+            if (!parsed) continue;
+            if (parsed.varName === 'K') {
+                expr = parsed.exprStr;
+            } else if (TUNING_PARAMETERS.includes(parsed.varName) && isFinite(Number(parsed.exprStr))) {
+                defaults[parsed.varName] = Number(parsed.exprStr);
+            } else {
+                return null;
+            }
+        }
+        if (!expr || !('Kp' in defaults)) return null;
+
+        const type = 'P' + ('Ti' in defaults ? 'I' : '') + ('Td' in defaults ? 'D' : '');
+        return { name: example.name, defaults, expr, compiled: math.compile(expr), type };
+    }).filter(structure => structure);
+}
+
+// Frequency response of P (continuous time only, the structures are written in s)
+function getTuningPlant() {
+    if (samplingTime) throw new Error('Tuning is available for continuous-time designs');
+    const P = currentVars.P;
+    if (!P || !P.isNode) throw new Error('P is not defined');
+
+    const compiled = P.compile();
+    const evaluate = (s) => {
+        const value = compiled.evaluate({ s });
+        return typeof value === 'number' ? math.complex(value, 0) : value;
+    };
+    return { node: P, evaluate };
+}
+
+// Static gain, ultimate point (phase of P at -180°) and the first-order plus dead time
+// approximation K e^{-Ls} / (Ts + 1) fitted at the -3 dB frequency of P
+function identifyProcessModel(plant) {
+    const w = logspace(-4, 4, 801);
+    const response = w.map(wi => plant.evaluate(math.complex(0, wi)));
+    const magnitude = response.map(v => v.abs());
+    const phase = [];
+    response.forEach((v, i) => {
+        let p = v.arg();
+        if (i > 0) p += Math.round((phase[i - 1] - p) / (2 * Math.PI)) * 2 * Math.PI;
+        phase.push(p);
+    });
+
+    // Log-frequency interpolation between samples i and i + 1
+    const interpolate = (i, t, values) => values[i] + t * (values[i + 1] - values[i]);
+    const interpolateFrequency = (i, t) => Math.exp(interpolate(i, t, w.map(Math.log)));
+
+    let ultimate = null;
+    for (let i = 0; i < w.length - 1; i++) {
+        if (phase[i] > -Math.PI && phase[i + 1] <= -Math.PI) {
+            const t = (-Math.PI - phase[i]) / (phase[i + 1] - phase[i]);
+            const wu = interpolateFrequency(i, t);
+            ultimate = { Ku: 1 / interpolate(i, t, magnitude), Tu: 2 * Math.PI / wu, frequency: wu };
+            break;
+        }
+    }
+
+    let fopdt = null;
+    let K = NaN;
+    try {
+        K = plant.evaluate(math.complex(0, 0)).re;
+    } catch (e) {
+        // Integrating plants have no static gain
+    }
+    if (isFinite(K) && K > 0) {
+        const level = K / Math.SQRT2;
+        for (let i = 0; i < w.length - 1; i++) {
+            if (magnitude[i] > level && magnitude[i + 1] <= level) {
+                const t = (level - magnitude[i]) / (magnitude[i + 1] - magnitude[i]);
+                const wb = interpolateFrequency(i, t);
+                const phaseB = interpolate(i, t, phase);
+                fopdt = { K, T: 1 / wb, L: Math.max(0, (-phaseB - Math.PI / 4) / wb) };
+                break;
+            }
+        }
+    }
+
+    return { ultimate, fopdt };
+}
+
+// ============================================================================
+// Tuning Methods
+// ============================================================================
+
+// Classic tuning rules. Returns the tuned parameters (without N)
+function tuneByRule(method, structure, model, targets) {
+    const type = structure.type;
+
+    if (method === 'ziegler-nichols') {
+        if (!model.ultimate) throw new Error('Ziegler–Nichols needs a -180° phase crossing of P');
+        const { Ku, Tu } = model.ultimate;
+        if (type === 'P') return { Kp: 0.5 * Ku };
+        if (type === 'PI') return { Kp: 0.45 * Ku, Ti: Tu / 1.2 };
+        if (type === 'PID') return { Kp: 0.6 * Ku, Ti: Tu / 2, Td: Tu / 8 };
+        throw new Error('Ziegler–Nichols rules are defined for P, PI and PID');
+    }
+
+    if (!model.fopdt) throw new Error('P needs a positive static gain for the first-order plus dead time fit');
+    const { K, T, L } = model.fopdt;
+
+    if (method === 'simc') {
+        // Closed-loop time constant from the target crossover frequency
+        const tauC = 1 / targets.wc;
+        const Kp = T / (K * (tauC + L));
+        if (type === 'P') return { Kp };
+        if (type === 'PI') return { Kp, Ti: Math.min(T, 4 * (tauC + L)) };
+        throw new Error('SIMC rules are defined for P and PI');
+    }
+
+    if (method === 'amigo') {
+        if (L <= 0) throw new Error('AMIGO needs a dead time in the fitted model');
+        if (type === 'PI') {
+            return {
+                Kp: (0.15 + (0.35 - L * T / ((L + T) * (L + T))) * T / L) / K,
+                Ti: 0.35 * L + 13 * L * T * T / (T * T + 12 * L * T + 7 * L * L)
+            };
+        }
+        if (type === 'PID') {
+            return {
+                Kp: (0.2 + 0.45 * T / L) / K,
+                Ti: (0.4 * L + 0.8 * T) / (L + 0.1 * T) * L,
+                Td: 0.5 * L * T / (0.3 * L + T)
+            };
+        }
+        throw new Error('AMIGO rules are defined for PI and PID');
+    }
+
+    throw new Error('Unknown tuning method: ' + method);
+}
+
+// Crossover frequency, phase margin [deg] and Ms of P(jω) K(jω) sampled on the grid w
+function evaluateTuningLoop(structure, params, w, Pjw) {
+    let wc = null;
+    let pm = null;
+    let ms = 0;
+    let prevMagnitude = null;
+
+    for (let i = 0; i < w.length; i++) {
+        const Kjw = structure.compiled.evaluate({ ...params, s: math.complex(0, w[i]) });
+        const Ljw = math.multiply(Pjw[i], Kjw);
+        const magnitude = math.abs(Ljw);
+        ms = Math.max(ms, 1 / math.abs(math.add(1, Ljw)));
+
+        if (wc === null && prevMagnitude !== null && prevMagnitude >= 1 && magnitude < 1) {
+            const t = Math.log(prevMagnitude) / (Math.log(prevMagnitude) - Math.log(magnitude));
+            wc = Math.exp(Math.log(w[i - 1]) + t * (Math.log(w[i]) - Math.log(w[i - 1])));
+            const phase = math.arg(Ljw) * 180 / Math.PI;
+            pm = phase + 180 > 180 ? phase - 180 : phase + 180;
+        }
+        prevMagnitude = magnitude;
+    }
+
+    return { wc, pm, ms };
+}
+
+// Nelder–Mead search over log(Kp, Ti, Td) matching the crossover frequency and
+// the phase margin or Ms target, starting from the given Ti, Td and the Kp giving |L(jωc)| = 1
+function tuneByOptimization(structure, plant, targets, initial) {
+    const names = ['Kp', 'Ti', 'Td'].filter(name => name in structure.defaults);
+    const fixed = 'N' in structure.defaults ? { N: initial.N } : {};
+
+    const center = Math.log10(targets.wc);
+    const w = logspace(center - TUNING_DECADES, center + TUNING_DECADES, 2 * TUNING_DECADES * TUNING_POINTS_PER_DECADE + 1);
+    const Pjw = w.map(wi => plant.evaluate(math.complex(0, wi)));
+    const sc = math.complex(0, targets.wc);
+    const Pc = plant.evaluate(sc);
+
+    const toParams = (x) => {
+        const params = { ...fixed };
+        names.forEach((name, i) => { params[name] = Math.exp(x[i]); });
+        return params;
+    };
+
+    const cost = (x) => {
+        let loop;
+        try {
+            loop = evaluateTuningLoop(structure, toParams(x), w, Pjw);
+        } catch (e) {
+            return Infinity;
+        }
+        if (!isFinite(loop.ms)) return Infinity;
+        // Without a crossover in the grid, push the loop gain at the target towards 1
+        if (loop.wc === null) {
+            const Lc = math.multiply(Pc, structure.compiled.evaluate({ ...toParams(x), s: sc }));
+            return 100 + Math.pow(Math.log(math.abs(Lc)), 2);
+        }
+
+        let J = Math.pow(Math.log(loop.wc / targets.wc), 2);
+        if (targets.spec === 'ms') {
+            J += Math.pow((loop.ms - targets.ms) / targets.ms, 2);
+        } else {
+            J += Math.pow((loop.pm - targets.pm) / 45, 2) + 0.01 * Math.pow(Math.log(loop.ms), 2);
+        }
+        return J;
+    };
+
+    // Kp starts at the gain that puts the crossover at the target (the structure evaluated with Kp = 1)
+    const x0 = names.map(name => Math.log(initial[name] > 0 ? initial[name] : structure.defaults[name]));
+    try {
+        const K1 = structure.compiled.evaluate({ ...toParams(x0), Kp: 1, s: sc });
+        const gain = 1 / math.abs(math.multiply(Pc, K1));
+        if (isFinite(gain) && gain > 0) x0[0] = Math.log(gain);
+    } catch (e) {
+        // Keep the initial Kp
+    }
+    const best = nelderMead(cost, x0, { step: 0.7, maxIterations: 150 * names.length });
+    const params = toParams(best.x);
+    delete params.N;
+    return params;
+}
+
+// ============================================================================
+// Tuning Result
+// ============================================================================
+
+// Tune and check the resulting loop L = P K with the regular stability analysis.
+// options: { structure, method, targets: { wc, spec, pm, ms } }
+function computeTuning(options) {
+    const structure = options.structure;
+    const plant = getTuningPlant();
+    const model = identifyProcessModel(plant);
+
+    // Start from the current parameter values of the design where available
+    const initial = {};
+    Object.keys(structure.defaults).forEach(name => {
+        const value = currentVars[name];
+        initial[name] = typeof value === 'number' && value > 0 ? value : structure.defaults[name];
+    });
+
+    const tuned = options.method === 'optimization'
+        ? tuneByOptimization(structure, plant, options.targets, initial)
+        : tuneByRule(options.method, structure, model, options.targets);
+    const params = { ...tuned };
+    if ('N' in structure.defaults) params.N = initial.N;
+
+    Object.entries(params).forEach(([name, value]) => {
+        if (!isFinite(value) || value <= 0) throw new Error('No valid value found for ' + name);
+    });
+
+    // Closed-loop check of the tuned loop
+    const K = substituteVars(math.parse(structure.expr), params);
+    const L = new math.OperatorNode('*', 'multiply', [plant.node.clone(), K]);
+    const loop = analyzeUncertainLoop(L);
+    const center = Math.log10(options.targets.wc);
+    const w = logspace(center - TUNING_DECADES, center + TUNING_DECADES, 2 * TUNING_DECADES * TUNING_POINTS_PER_DECADE + 1);
+    const achieved = evaluateTuningLoop(structure, params, w, w.map(wi => plant.evaluate(math.complex(0, wi))));
+
+    return { structure, method: options.method, model, params, tuned, stable: loop.stable, achieved };
+}
+
+// Write the tuned values into the design: K is replaced by the structure (or inserted before L)
+// and the tuned parameters become sliders. Their definitions are removed from the code, since a
+// definition in the code overrides the slider value; the fixed N is kept as a code line.
+function applyTuningResult(result) {
+    let lines = design.code.split('\n');
+    const findLine = (name) => lines.findIndex(line => {
+        const parsed = parseCodeLine(line);
+        return parsed && parsed.varName === name;
+    });
+
+    // Replace the K definition with the structure (or insert it before L)
+    let kIndex = findLine('K');
+    if (kIndex >= 0) {
+        lines[kIndex] = 'K = ' + result.structure.expr;
+    } else {
+        const lIndex = findLine('L');
+        kIndex = lIndex >= 0 ? lIndex : lines.length;
+        lines.splice(kIndex, 0, 'K = ' + result.structure.expr);
+    }
+
+    lines = lines.filter(line => {
+        const parsed = parseCodeLine(line);
+        return !(parsed && parsed.varName in result.tuned);
+    });
+
+    Object.entries(result.params).forEach(([name, value]) => {
+        if (name in result.tuned) return;
+        const index = findLine(name);
+        const line = name + ' = ' + formatValue(value);
+        if (index >= 0) {
+            lines[index] = line;
+        } else {
+            lines.splice(findLine('K'), 0, line);
+        }
+    });
+    design.code = lines.join('\n');
+
+    // Tuned parameters become sliders (range widened to include the new value)
+    Object.entries(result.tuned).forEach(([name, value]) => setParameterSlider(name, value));
+
+    updateCodeFromSliders();
+    rebuildSliders();
+    updateAll();
+}
+
+// ============================================================================
+// Tuning Dialog
+// ============================================================================
+
+// Summary of the identified model and the tuned loop
+function formatTuningResult(result) {
+    const lines = [];
+    const model = result.model;
+    if (model.fopdt) {
+        lines.push('Model: K = ' + formatValue(model.fopdt.K) + ', T = ' + formatValue(model.fopdt.T) +
+            ' s, L = ' + formatValue(model.fopdt.L) + ' s');
+    }
+    if (model.ultimate) {
+        lines.push('Ultimate: Ku = ' + formatValue(model.ultimate.Ku) + ', Tu = ' + formatValue(model.ultimate.Tu) + ' s');
+    }
+    lines.push(Object.entries(result.params).map(([name, value]) => name + ' = ' + formatValue(value)).join(', '));
+
+    const achieved = result.achieved;
+    const parts = [];
+    if (achieved.wc !== null) {
+        parts.push('ωc = ' + formatValue(achieved.wc) + ' rad/s', 'PM = ' + achieved.pm.toFixed(1) + '°');
+    }
+    parts.push('Ms = ' + achieved.ms.toFixed(2));
+    parts.push(result.stable ? 'closed loop stable' : 'closed loop UNSTABLE');
+    lines.push(parts.join(', '));
+    return lines.join('\n');
+}
+
+function showTuningDialog() {
+    const dialog = document.getElementById('tuning-dialog');
+    const structureSelect = document.getElementById('tuning-structure');
+    if (!dialog || !structureSelect) return;
+
+    const structures = getTuningStructures();
+    structureSelect.innerHTML = structures.map((s, i) => `<sl-option value="${i}">${s.name}</sl-option>`).join('');
+    structureSelect.value = structureSelect.value || String(structures.findIndex(s => s.type === 'PID'));
+
+    // Default target: the current crossover frequency
+    const wcInput = document.getElementById('tuning-wc');
+    const margins = currentVars.analysis ? currentVars.analysis.stabilityMargins : null;
+    if (wcInput && !wcInput.value) {
+        const wc = margins && margins.phaseMargins.length > 0 ? margins.phaseMargins[0].frequency : 1;
+        wcInput.value = formatValue(wc);
+    }
+
+    tuningResult = null;
+    updateTuningResultDisplay('', false);
+    dialog.show();
+}
+
+function updateTuningResultDisplay(text, isError) {
+    const resultDiv = document.getElementById('tuning-result');
+    const applyButton = document.getElementById('tuning-apply');
+    if (resultDiv) {
+        resultDiv.textContent = text;
+        resultDiv.classList.toggle('text-danger', !!isError);
+    }
+    if (applyButton) applyButton.disabled = !tuningResult;
+}
+
+// Show only the input of the selected constraint (PM or Ms)
+function updateTuningSpecInputs() {
+    const spec = document.getElementById('tuning-spec')?.value || 'pm';
+    const pmInput = document.getElementById('tuning-pm');
+    const msInput = document.getElementById('tuning-ms');
+    if (pmInput) pmInput.style.display = spec === 'pm' ? '' : 'none';
+    if (msInput) msInput.style.display = spec === 'ms' ? '' : 'none';
+}
+
+function runTuning() {
+    const structures = getTuningStructures();
+    const structure = structures[parseInt(document.getElementById('tuning-structure')?.value)];
+    const targets = {
+        wc: parseFloat(document.getElementById('tuning-wc')?.value),
+        spec: document.getElementById('tuning-spec')?.value || 'pm',
+        pm: parseFloat(document.getElementById('tuning-pm')?.value),
+        ms: parseFloat(document.getElementById('tuning-ms')?.value)
+    };
+
+    tuningResult = null;
+    try {
+        if (!structure) throw new Error('Select a controller structure');
+        if (!(targets.wc > 0)) throw new Error('Enter a positive crossover frequency');
+        if (targets.spec === 'pm' && !(targets.pm > 0 && targets.pm < 180)) throw new Error('Enter a phase margin between 0 and 180°');
+        if (targets.spec === 'ms' && !(targets.ms > 1)) throw new Error('Enter an Ms larger than 1');
+
+        const method = document.getElementById('tuning-method')?.value || 'optimization';
+        tuningResult = computeTuning({ structure, method, targets });
+        updateTuningResultDisplay(formatTuningResult(tuningResult), false);
+    } catch (e) {
+        console.log('Tuning error:', e);
+        updateTuningResultDisplay(e.message, true);
+    }
+}
+
+function initializeTuningDialog() {
+    const tuningButton = document.getElementById('tuning-button');
+    const computeButton = document.getElementById('tuning-compute');
+    const applyButton = document.getElementById('tuning-apply');
+    const specSelect = document.getElementById('tuning-spec');
+
+    if (tuningButton) {
+        tuningButton.addEventListener('click', showTuningDialog);
+    }
+    if (computeButton) {
+        computeButton.addEventListener('click', runTuning);
+    }
+    if (specSelect) {
+        specSelect.addEventListener('sl-change', updateTuningSpecInputs);
+        updateTuningSpecInputs();
+    }
+    if (applyButton) {
+        applyButton.addEventListener('click', () => {
+            if (!tuningResult) return;
+            applyTuningResult(tuningResult);
+            document.getElementById('tuning-dialog')?.hide();
+            showToast('Controller parameters applied');
+        });
+    }
+}
@@ -25,11 +25,15 @@ const URL_KEY_MAP = {
     max: 'x',
     logScale: 'l',
     currentValue: 'v',
+    uncertainty: 'u',
+    distribution: 'dn',
     // bodeOptions keys
     bodeOptions: 'bo',
     showMarginLines: 'ml',
     showCrossoverLines: 'cl',
     showPoleZeroFrequencies: 'pzf',
+    showContinuousEquivalent: 'sce',
+    showMeasuredData: 'smd',
     autoScaleVertical: 'av',
     gainMin: 'gi',
     gainMax: 'gx',
@@ -40,6 +44,13 @@ const URL_KEY_MAP = {
     autoTime: 'at',
     timeMax: 'tm',
     showMetrics: 'sme',
+    inputSignal: 'isg',
+    inputFrequency: 'ifq',
+    chirpFreqMin: 'cfi',
+    chirpFreqMax: 'cfx',
+    inputDuty: 'idt',
+    customInput: 'cin',
+    showError: 'ser',
     // nyquistOptions keys
     nyquistOptions: 'no',
     showStabilityMargin: 'ssm',
@@ -72,6 +83,8 @@ const URL_DEFAULTS = {
         showMarginLines: true,
         showCrossoverLines: true,
         showPoleZeroFrequencies: true,
+        showContinuousEquivalent: true,
+        showMeasuredData: true,
         autoScaleVertical: true,
         gainMin: -60,
         gainMax: 60,
@@ -82,7 +95,14 @@ const URL_DEFAULTS = {
     stepOptions: {
         autoTime: true,
         timeMax: 20,
-        showMetrics: false
+        showMetrics: false,
+        inputSignal: 'step',
+        inputFrequency: 1,
+        chirpFreqMin: 0.1,
+        chirpFreqMax: 10,
+        inputDuty: 50,
+        customInput: '',
+        showError: false
     },
     // nyquistOptions defaults
     nyquistOptions: {
@@ -97,7 +117,9 @@ const URL_DEFAULTS = {
     },
     // slider defaults
     sliderDefaults: {
-        logScale: false
+        logScale: false,
+        uncertainty: 0,
+        distribution: 'uniform'
     }
 };
 
@@ -167,6 +189,12 @@ function removeDefaults(obj, defaults = URL_DEFAULTS) {
             if (s.logScale === URL_DEFAULTS.sliderDefaults.logScale) {
                 delete s.logScale;
             }
+            if (!s.uncertainty) {
+                delete s.uncertainty;
+            }
+            if (s.distribution === URL_DEFAULTS.sliderDefaults.distribution) {
+                delete s.distribution;
+            }
             return s;
         });
     }
@@ -233,6 +261,8 @@ function generateShareUrl(options = {}) {
         showMarginLines: bodeOptions.showMarginLines,
         showCrossoverLines: bodeOptions.showCrossoverLines,
         showPoleZeroFrequencies: bodeOptions.showPoleZeroFrequencies,
+        showContinuousEquivalent: bodeOptions.showContinuousEquivalent,
+        showMeasuredData: bodeOptions.showMeasuredData,
         autoScaleVertical: bodeOptions.autoScaleVertical,
         gainMin: bodeOptions.gainMin,
         gainMax: bodeOptions.gainMax,
@@ -244,7 +274,14 @@ function generateShareUrl(options = {}) {
     saveData.stepOptions = {
         autoTime: stepOptions.autoTime,
         timeMax: stepOptions.timeMax,
-        showMetrics: stepOptions.showMetrics
+        showMetrics: stepOptions.showMetrics,
+        inputSignal: stepOptions.inputSignal,
+        inputFrequency: stepOptions.inputFrequency,
+        chirpFreqMin: stepOptions.chirpFreqMin,
+        chirpFreqMax: stepOptions.chirpFreqMax,
+        inputDuty: stepOptions.inputDuty,
+        customInput: stepOptions.customInput,
+        showError: stepOptions.showError
     };
 
     // Include Nyquist compression radius
@@ -15,6 +15,65 @@ function logspace(s, e, n) {
     return math.dotPow(10, tmp);
 }
 
+// --- Continuous / discrete time helpers ---
+// Frequency-domain code works on s = jω throughout. In discrete-time mode
+// (samplingTime set) transfer functions are evaluated at z = e^{s*Ts}, so
+// the s-plane contour maps onto the unit circle.
+
+// Scope object for evaluating a compiled transfer function at the s-plane point s
+function evaluationScope(s) {
+    if (samplingTime) {
+        return { 'z': math.exp(math.multiply(s, samplingTime)) };
+    }
+    return { 's': s };
+}
+
+// Transfer function variable name used in labels: 's' or 'z'
+function transferVariable() {
+    return samplingTime ? 'z' : 's';
+}
+
+// Nyquist frequency π/Ts [rad/s] (null in continuous time)
+function nyquistFrequency() {
+    return samplingTime ? Math.PI / samplingTime : null;
+}
+
+// Pole/zero is unstable: right half plane, or outside the unit circle in discrete time
+function isUnstableRoot(p) {
+    if (samplingTime) {
+        return Math.sqrt(p.re * p.re + p.im * p.im) > 1 + IMAG_AXIS_TOL;
+    }
+    return p.re > IMAG_AXIS_TOL;
+}
+
+// Pole/zero lies on the stability boundary (imaginary axis or unit circle)
+function isBoundaryRoot(p) {
+    if (samplingTime) {
+        return Math.abs(Math.sqrt(p.re * p.re + p.im * p.im) - 1) < IMAG_AXIS_TOL;
+    }
+    return Math.abs(p.re) < IMAG_AXIS_TOL;
+}
+
+// Map a root to the equivalent s-plane root (s = ln(z)/Ts in discrete time).
+// Roots at z = 0 map to Re(s) = -Infinity.
+function equivalentSPlaneRoot(p) {
+    if (!samplingTime) return p;
+    const mag = Math.sqrt(p.re * p.re + p.im * p.im);
+    return {
+        re: Math.log(mag) / samplingTime,
+        im: Math.atan2(p.im, p.re) / samplingTime
+    };
+}
+
+// Check whether an expression tree contains the given symbol
+function containsSymbol(node, name) {
+    let found = false;
+    node.traverse(function(n) {
+        if (n.isSymbolNode && n.name === name) found = true;
+    });
+    return found;
+}
+
 // Clip value between min and max
 function clip(x, min, max) {
     return math.min(math.max(x, min), max);
@@ -247,7 +306,7 @@ function computeNyquistAnalysis(Lcompiled, imagAxisPoles, options) {
 
     for (let p of contour.points) {
         try {
-            const Lval = Lcompiled.evaluate({ 's': p.s });
+            const Lval = Lcompiled.evaluate(evaluationScope(p.s));
             if (typeof Lval?.re === 'number' && isFinite(Lval.re) && isFinite(Lval.im)) {
                 evaluated.push({ s: p.s, indentation: p.indentation || null, L: { re: Lval.re, im: Lval.im } });
             }
@@ -282,7 +341,7 @@ function calculatePathAngleChange(Lcompiled, points) {
 
     for (let s of points) {
         try {
-            let Lval = Lcompiled.evaluate({ 's': s });
+            let Lval = Lcompiled.evaluate(evaluationScope(s));
             
             // Vector from (-1, 0) to L(s) is L(s) - (-1) = L(s) + 1
             let shiftedRe = Lval.re + 1;
@@ -305,7 +364,9 @@ function calculatePathAngleChange(Lcompiled, points) {
     return totalDelta;
 }
 
-// Find poles on or near the imaginary axis from a rational function
+// Find poles on or near the imaginary axis from a rational function.
+// In discrete time, poles on the unit circle z = e^{jθ} are returned as the
+// equivalent s-plane poles jθ/Ts so the Nyquist contour can indent around them.
 function findImaginaryAxisPoles(rationalNode) {
     try {
         let rat = util_rationalize(rationalNode);
@@ -318,8 +379,11 @@ function findImaginaryAxisPoles(rationalNode) {
         let roots = findRoots(denPoly.coefficients);
         let poles = root2math(roots);
 
-        // Return poles that are on or very close to the imaginary axis
-        let imagPoles = poles.filter(p => Math.abs(p.re) < IMAG_AXIS_TOL);
+        // Return poles that are on or very close to the stability boundary
+        let imagPoles = poles.filter(p => isBoundaryRoot(p));
+        if (samplingTime) {
+            imagPoles = imagPoles.map(p => math.complex(0, Math.atan2(p.im, p.re) / samplingTime));
+        }
         return imagPoles;
     } catch (e) {
         console.log('Error finding imaginary axis poles:', e);
@@ -336,8 +400,10 @@ function countImaginaryAxisPoles(rationalNode) {
 // Analyze L(s) structure to determine if it's:
 // 1. Rational function: L(s) = N(s)/D(s)
 // 2. Rational * exp(-Ts): L(s) = R(s) * exp(-T*s) where R(s) is rational
-// 3. Other (cannot determine P)
-// Returns: { type: 'rational'|'rational_delay'|'unknown', rationalPart: node|null, delayTime: number|null }
+// 3. Rational * measured data: L(s) = R(s) * frd(s) (possibly with a delay); the
+//    measured plant is assumed stable, so P is counted from R(s) only
+// 4. Other (cannot determine P)
+// Returns: { type: 'rational'|'rational_delay'|'frd'|'unknown', rationalPart: node|null, delayTime: number|null }
 function analyzeLstructure(Lnode) {
     // Helper to check if a node is exp(-T*s) form
     function isDelayExp(node) {
@@ -392,37 +458,45 @@ function analyzeLstructure(Lnode) {
         return delayTime;
     }
 
-    // Helper to check if node contains exp(-T*s)
-    function findDelayInProduct(node) {
+    // Helper to check if a node is frd(s) (or frd(z)): the measured frequency response data
+    function isFrdCall(node) {
+        if (!node.isFunctionNode || node.fn.name !== 'frd') return null;
+        if (node.args.length !== 1 || !node.args[0].isSymbolNode) return null;
+        return true;
+    }
+
+    // Helper to find a factor of the product for which match(node) is not null
+    // Returns { factorNode, value } with the value of match
+    function findFactorInProduct(node, match) {
         if (node.isFunctionNode) {
-            let delay = isDelayExp(node);
-            if (delay !== null) {
-                return { delayNode: node, delayTime: delay };
+            let value = match(node);
+            if (value !== null) {
+                return { factorNode: node, value: value };
             }
         }
         if (node.isOperatorNode && node.op === '*') {
             for (let arg of node.args) {
-                let result = findDelayInProduct(arg);
+                let result = findFactorInProduct(arg, match);
                 if (result) return result;
             }
         }
         if (node.isOperatorNode && node.op === '/') {
-            // Only check numerator for delay
-            let result = findDelayInProduct(node.args[0]);
+            // Only check numerator for the factor
+            let result = findFactorInProduct(node.args[0], match);
             if (result) return result;
         }
         return null;
     }
 
-    // Helper to remove delay from expression
-    function removeDelay(node, delayNode) {
-        if (node === delayNode) {
+    // Helper to remove a factor (delay or frd) from expression
+    function removeFactor(node, factorNode) {
+        if (node === factorNode) {
             return new math.ConstantNode(1);
         }
         if (node.isOperatorNode && node.op === '*') {
             let newArgs = [];
             for (let arg of node.args) {
-                let cleaned = removeDelay(arg, delayNode);
+                let cleaned = removeFactor(arg, factorNode);
                 if (!(cleaned.isConstantNode && cleaned.value === 1)) {
                     newArgs.push(cleaned);
                 }
@@ -432,7 +506,7 @@ function analyzeLstructure(Lnode) {
             return new math.OperatorNode('*', 'multiply', newArgs);
         }
         if (node.isOperatorNode && node.op === '/') {
-            let num = removeDelay(node.args[0], delayNode);
+            let num = removeFactor(node.args[0], factorNode);
             let den = node.args[1];
             return new math.OperatorNode('/', 'divide', [num, den]);
         }
@@ -449,10 +523,20 @@ function analyzeLstructure(Lnode) {
         // Not purely rational, continue checking
     }
 
+    // Check for R(s) * frd(s) form: the rest is analyzed as L itself (rational or with delay)
+    let frdInfo = findFactorInProduct(Lnode, isFrdCall);
+    if (frdInfo) {
+        let rest = analyzeLstructure(removeFactor(Lnode, frdInfo.factorNode));
+        if (rest.type !== 'unknown') {
+            return { type: 'frd', rationalPart: rest.rationalPart, delayTime: rest.delayTime };
+        }
+        return { type: 'unknown', rationalPart: null, delayTime: null };
+    }
+
     // Check for R(s) * exp(-Ts) form
-    let delayInfo = findDelayInProduct(Lnode);
+    let delayInfo = findFactorInProduct(Lnode, isDelayExp);
     if (delayInfo) {
-        let rationalPart = removeDelay(Lnode, delayInfo.delayNode);
+        let rationalPart = removeFactor(Lnode, delayInfo.factorNode);
         // Verify the remaining part is rational
         try {
             let rat = util_rationalize(rationalPart);
@@ -460,7 +544,7 @@ function analyzeLstructure(Lnode) {
                 return {
                     type: 'rational_delay',
                     rationalPart: rationalPart,
-                    delayTime: delayInfo.delayTime
+                    delayTime: delayInfo.value
                 };
             }
         } catch (e) {
@@ -471,7 +555,7 @@ function analyzeLstructure(Lnode) {
     return { type: 'unknown', rationalPart: null, delayTime: null };
 }
 
-// Count open-loop poles in the right half plane
+// Count open-loop poles in the right half plane (outside the unit circle in discrete time)
 function countRHPpoles(rationalNode) {
     try {
         let rat = util_rationalize(rationalNode);
@@ -486,7 +570,7 @@ function countRHPpoles(rationalNode) {
 
         let rhpCount = 0;
         for (let p of poles) {
-            if (p.re > IMAG_AXIS_TOL) rhpCount++;
+            if (isUnstableRoot(p)) rhpCount++;
         }
         return rhpCount;
     } catch (e) {
@@ -591,14 +675,77 @@ function vecDot(a, b) {
     return a.reduce((sum, v, i) => sum + v * b[i], 0);
 }
 
+// Exact discretization of dx/dt = A*x + B*u over a step dt for an input that is
+// linear between the samples (first-order hold, exact for steps and ramps):
+//   x[k+1] = Phi*x[k] + G0*u[k] + G1*(u[k+1] - u[k])/dt
+// From the matrix exponential of the augmented matrix [[A, B, 0], [0, 0, 1], [0, 0, 0]]*dt
+// Returns: { Phi, G0, G1 }
+function discretizeStateSpace(ss, dt) {
+    const n = ss.n;
+    const F = [];
+    for (let i = 0; i < n + 2; i++) F.push(new Array(n + 2).fill(0));
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) F[i][j] = ss.A[i][j] * dt;
+        F[i][n] = ss.B[i] * dt;
+    }
+    F[n][n + 1] = dt;
+
+    const E = math.expm(math.matrix(F)).toArray();
+    return {
+        Phi: E.slice(0, n).map(row => row.slice(0, n)),
+        G0: E.slice(0, n).map(row => row[n]),
+        G1: E.slice(0, n).map(row => row[n + 1] / dt)
+    };
+}
+
+// Response of delay-free state-space systems by exact discretization (see discretizeStateSpace).
+// Unlike fixed-step RK4 this stays accurate for stiff systems and long horizons.
+// input: optional function r(t) for t >= 0 (default: unit step)
+// Returns: { time: [...], yL: [...], yT: [...] }
+function simulateLinearResponseExact(ssL, ssT, tMax, nPoints, input) {
+    input = input || (() => 1);
+    const dt = tMax / (nPoints - 1);
+    const time = [];
+    const u = [];
+    for (let i = 0; i < nPoints; i++) {
+        time.push(i * dt);
+        u.push(input(i * dt));
+    }
+
+    function simulate(ss) {
+        if (!ss) return new Array(nPoints).fill(0);
+        if (ss.n === 0) return u.map(v => ss.D * v);
+
+        const { Phi, G0, G1 } = discretizeStateSpace(ss, dt);
+        let x = new Array(ss.n).fill(0);
+        const y = [];
+        for (let i = 0; i < nPoints; i++) {
+            y.push(vecDot(ss.C, x) + ss.D * u[i]);
+            if (i < nPoints - 1) {
+                const slope = u[i + 1] - u[i];
+                x = vecAdd(vecAdd(matVecMult(Phi, x), vecScale(u[i], G0)), vecScale(slope, G1));
+            }
+        }
+        return y;
+    }
+
+    return { time, yL: simulate(ssL), yT: simulate(ssT) };
+}
+
 // 4th-order Runge-Kutta integration for state-space system with dead time
 // dx/dt = A*x + B*u(t - delay)
 // y = C*x + D*u(t - delay)
-// For step input: u(t) = 1 for t >= 0
+// input: optional function r(t) for t >= 0 (default: unit step u(t) = 1 for t >= 0)
+// Without dead time the exact discretization is used instead (simulateLinearResponseExact).
 // Returns: { time: [...], yL: [...], yT: [...] }
-function simulateStepResponse(ssL, ssT, tMax, nPoints, delayL, delayT) {
+function simulateStepResponse(ssL, ssT, tMax, nPoints, delayL, delayT, input) {
     delayL = delayL || 0;
     delayT = delayT || 0;
+    input = input || (() => 1);
+
+    if (delayL === 0 && delayT === 0) {
+        return simulateLinearResponseExact(ssL, ssT, tMax, nPoints, input);
+    }
 
     let dt = tMax / (nPoints - 1);
     let time = [];
@@ -609,9 +756,9 @@ function simulateStepResponse(ssL, ssT, tMax, nPoints, delayL, delayT) {
     let xL = ssL && ssL.n > 0 ? new Array(ssL.n).fill(0) : [];
     let xT = ssT && ssT.n > 0 ? new Array(ssT.n).fill(0) : [];
 
-    // Step input function with delay
+    // Input function with delay
     function stepInput(t, delay) {
-        return t >= delay ? 1 : 0;
+        return t >= delay ? input(t - delay) : 0;
     }
 
     // State derivative: dx/dt = A*x + B*u
@@ -622,13 +769,14 @@ function simulateStepResponse(ssL, ssT, tMax, nPoints, delayL, delayT) {
         return vecAdd(Ax, Bu);
     }
 
-    // RK4 step
-    function rk4Step(A, B, x, u, dt) {
+    // RK4 step (input sampled at t, t + dt/2 and t + dt)
+    function rk4Step(A, B, x, t, delay, dt) {
         if (x.length === 0) return [];
-        let k1 = dxdt(A, B, x, u);
-        let k2 = dxdt(A, B, vecAdd(x, vecScale(dt / 2, k1)), u);
-        let k3 = dxdt(A, B, vecAdd(x, vecScale(dt / 2, k2)), u);
-        let k4 = dxdt(A, B, vecAdd(x, vecScale(dt, k3)), u);
+        let uMid = stepInput(t + dt / 2, delay);
+        let k1 = dxdt(A, B, x, stepInput(t, delay));
+        let k2 = dxdt(A, B, vecAdd(x, vecScale(dt / 2, k1)), uMid);
+        let k3 = dxdt(A, B, vecAdd(x, vecScale(dt / 2, k2)), uMid);
+        let k4 = dxdt(A, B, vecAdd(x, vecScale(dt, k3)), stepInput(t + dt, delay));
 
         // x_new = x + (dt/6) * (k1 + 2*k2 + 2*k3 + k4)
         let sum = vecAdd(k1, vecScale(2, k2));
@@ -670,10 +818,10 @@ function simulateStepResponse(ssL, ssT, tMax, nPoints, delayL, delayT) {
 
         // Update states (RK4)
         if (ssL && ssL.n > 0) {
-            xL = rk4Step(ssL.A, ssL.B, xL, uL, dt);
+            xL = rk4Step(ssL.A, ssL.B, xL, t, delayL, dt);
         }
         if (ssT && ssT.n > 0) {
-            xT = rk4Step(ssT.A, ssT.B, xT, uT, dt);
+            xT = rk4Step(ssT.A, ssT.B, xT, t, delayT, dt);
         }
     }
 
@@ -685,108 +833,242 @@ function simulateStepResponse(ssL, ssT, tMax, nPoints, delayL, delayT) {
 //
 // Model:
 //   y(t) = R(s) * e(t-delay)
-//   e(t) = r(t) - y(t),  r(t)=1 (step)
+//   e(t) = r(t) - y(t),  r(t)=1 (step) unless an input function r(t) is given
 //
 // State-space of R:
 //   dx/dt = A x + B u,  y = C x + D u,  u(t) = e(t-delay)
 //
+// Variable-step solver: each output interval tMax/(nPoints-1) is split into dyadic substeps
+// no longer than the delay, so u(t) on a substep is already known from the e(t) history
+// (for very short delays the last known e(t) is held instead).
+// A substep is the exact (matrix exponential) solution for u linear on the substep, which
+// stays stable for fast poles. The substep is halved until a full step and two half steps
+// agree within tolerance (relative to the state size), and doubled again where the response is smooth.
+//
 // Returns: { time: [...], y: [...], e: [...] }
-function simulateClosedLoopStepResponseLoopDelay(ssR, delay, tMax, nPoints) {
+function simulateClosedLoopStepResponseLoopDelay(ssR, delay, tMax, nPoints, input, tolerance) {
     delay = delay || 0;
+    input = input || (() => 1);
+    tolerance = tolerance || 1e-6;
     const dt = tMax / (nPoints - 1);
+    const n = ssR ? ssR.n : 0;
+    const D = ssR ? ssR.D : 0;
 
     const time = [];
     const y = [];
     const e = [];
 
-    // State vector
-    let x = ssR && ssR.n > 0 ? new Array(ssR.n).fill(0) : [];
+    // e(t) history at the accepted substeps (increasing times), linear in between
+    const histT = [];
+    const histE = [];
+    function eAt(tQuery) {
+        if (tQuery < 0 || histT.length === 0) return 0;
+        const last = histT.length - 1;
+        if (tQuery >= histT[last]) return histE[last];
+        let lo = 0, hi = last;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (histT[mid] <= tQuery) lo = mid;
+            else hi = mid;
+        }
+        const span = histT[hi] - histT[lo];
+        return span > 0 ? histE[lo] + (histE[hi] - histE[lo]) * (tQuery - histT[lo]) / span : histE[hi];
+    }
+    const uAt = t => eAt(t - delay);
+
+    // Record y and e at time t for the state x
+    function record(t, x) {
+        const yNow = (n > 0 ? vecDot(ssR.C, x) : 0) + D * uAt(t);
+        const eNow = input(t) - yNow;
+        histT.push(t);
+        histE.push(eNow);
+        return { yNow, eNow };
+    }
 
-    // Linear interpolation of e(t) history.
-    // For tQuery<0 => 0.
-    // For tQuery>tKnownMax => hold e at tKnownMax (prevents needing "future" within RK4 substeps when delay is very small).
-    function eDelayed(tQuery, tKnownMax) {
-        if (tQuery < 0) return 0;
-        if (e.length === 0) return 0;
+    // Substep level k: h = dt / 2^k, with h <= delay from level kMin on. The level is capped
+    // to about 2e4 substeps in total: a shorter delay holds the last e(t) over the substep.
+    const kCap = Math.max(0, Math.floor(Math.log2(2e4 / nPoints)));
+    const kMin = delay > 0 && delay < dt ? Math.min(Math.ceil(Math.log2(dt / delay)), kCap) : 0;
+    const kMax = kMin + 14;
+    const discretizations = {};
+    function expStep(x, k, u0, u1) {
+        if (n === 0) return [];
+        if (!discretizations[k]) discretizations[k] = discretizeStateSpace(ssR, dt / Math.pow(2, k));
+        const { Phi, G0, G1 } = discretizations[k];
+        return vecAdd(vecAdd(matVecMult(Phi, x), vecScale(u0, G0)), vecScale(u1 - u0, G1));
+    }
 
-        // Clamp to known range
-        if (tQuery > tKnownMax) {
-            return e[e.length - 1];
+    let x = new Array(n).fill(0);
+    let k = kMin;
+    for (let i = 0; i < nPoints; i++) {
+        const tOut = i * dt;
+        if (i === 0) {
+            const out = record(0, x);
+            time.push(0);
+            y.push(out.yNow);
+            e.push(out.eNow);
+            continue;
         }
 
-        const idx = tQuery / dt;
-        const i0 = Math.floor(idx);
-        const frac = idx - i0;
+        // Integrate from (i-1)*dt to tOut in substeps of dt/2^k (position counted in units of dt/2^kMax)
+        const tStart = (i - 1) * dt;
+        const units = Math.pow(2, kMax);
+        let pos = 0;
+        while (pos < units) {
+            // Do not cross the end of the output interval
+            while ((units - pos) < Math.pow(2, kMax - k)) k++;
+            const h = dt / Math.pow(2, k);
+            const t = tStart + pos * dt / units;
+
+            const u0 = uAt(t), uMid = uAt(t + h / 2), u1 = uAt(t + h);
+            const xFull = expStep(x, k, u0, u1);
+            const xMid = expStep(x, k + 1, u0, uMid);
+            const xHalf = expStep(xMid, k + 1, uMid, u1);
+
+            const scale = 1 + Math.max(0, ...xHalf.map(Math.abs));
+            const err = Math.max(0, ...xHalf.map((v, j) => Math.abs(v - xFull[j]))) / (tolerance * scale);
+            if (err > 1 && k < kMax - 1) {
+                k++;
+                continue;
+            }
 
-        if (i0 <= 0) return e[0];
-        if (i0 >= e.length - 1) return e[e.length - 1];
+            // Accept the two half steps
+            record(t + h / 2, xMid);
+            x = xHalf;
+            pos += Math.pow(2, kMax - k);
+            if (pos < units) record(tStart + pos * dt / units, x);
 
-        const e0 = e[i0];
-        const e1 = e[i0 + 1];
-        return e0 + frac * (e1 - e0);
-    }
+            // Grow the substep where the error is small and the position is aligned to the coarser grid
+            if (err < 0.1 && k > kMin && pos % Math.pow(2, kMax - k + 1) === 0) k--;
+        }
 
-    function dxdt(A, B, xVec, u) {
-        if (xVec.length === 0) return [];
-        const Ax = matVecMult(A, xVec);
-        const Bu = vecScale(u, B);
-        return vecAdd(Ax, Bu);
+        const out = record(tOut, x);
+        time.push(tOut);
+        y.push(out.yNow);
+        e.push(out.eNow);
     }
 
-    // RK4 step with input sampled via a callback u(tSub)
-    function rk4StepWithU(A, B, xVec, tBase, uAtTime, dtLocal, tKnownMax) {
-        if (xVec.length === 0) return [];
+    return { time, y, e };
+}
 
-        const u1 = uAtTime(tBase, tKnownMax);
-        const k1 = dxdt(A, B, xVec, u1);
+// Discrete-time step response computed as a difference equation.
+// tf2ss() is a purely algebraic realization, so for coefficients in z it gives
+//   x[k+1] = A x[k] + B u[k],  y[k] = C x[k] + D u[k]
+// For step input: u[k] = 1 for k >= 0 (or u[k] = input(k*Ts) when an input function is given)
+// Returns: { time: [...], yL: [...], yT: [...] } sampled at t = k*Ts
+function simulateDiscreteStepResponse(ssL, ssT, Ts, nSamples, input) {
+    input = input || (() => 1);
+    const time = [];
+    const yL = [];
+    const yT = [];
 
-        const u2 = uAtTime(tBase + dtLocal / 2, tKnownMax);
-        const k2 = dxdt(A, B, vecAdd(xVec, vecScale(dtLocal / 2, k1)), u2);
+    let xL = ssL && ssL.n > 0 ? new Array(ssL.n).fill(0) : [];
+    let xT = ssT && ssT.n > 0 ? new Array(ssT.n).fill(0) : [];
 
-        const u3 = uAtTime(tBase + dtLocal / 2, tKnownMax);
-        const k3 = dxdt(A, B, vecAdd(xVec, vecScale(dtLocal / 2, k2)), u3);
+    // One sample of y = C*x + D*u, then x <- A*x + B*u
+    function step(ss, x, u) {
+        if (!ss) return { y: 0, x };
+        if (ss.n === 0) return { y: ss.D * u, x };
+        const y = vecDot(ss.C, x) + ss.D * u;
+        return { y, x: vecAdd(matVecMult(ss.A, x), vecScale(u, ss.B)) };
+    }
 
-        const u4 = uAtTime(tBase + dtLocal, tKnownMax);
-        const k4 = dxdt(A, B, vecAdd(xVec, vecScale(dtLocal, k3)), u4);
+    for (let k = 0; k < nSamples; k++) {
+        time.push(k * Ts);
 
-        let sum = vecAdd(k1, vecScale(2, k2));
-        sum = vecAdd(sum, vecScale(2, k3));
-        sum = vecAdd(sum, k4);
-        return vecAdd(xVec, vecScale(dtLocal / 6, sum));
+        const u = input(k * Ts);
+        const outL = step(ssL, xL, u);
+        const outT = step(ssT, xT, u);
+        yL.push(outL.y);
+        yT.push(outT.y);
+        xL = outL.x;
+        xT = outT.x;
     }
 
-    // Simulation loop
-    for (let i = 0; i < nPoints; i++) {
-        const t = i * dt;
-        time.push(t);
+    return { time, yL, yT };
+}
 
-        // Known e samples are available up to current time t after we compute e(t).
-        // For output at time t, the delayed input is e(t-delay) which is always in the past for delay>0.
-        const uNow = eDelayed(t - delay, t);
+// Split a controller K = { num, den } with a single pole at s = 0 into r/s + K0(s).
+// r is the residue at s = 0 and K0 the remaining (integrator-free) part.
+// Returns { gain: r, rest: K0 }, with gain = 0 and rest = K when K has no integrator,
+// or null for a double integrator.
+function splitIntegrator(K) {
+    const num = trimPolyCoeffs(K.num);
+    const den = trimPolyCoeffs(K.den);
+    const maxAbs = Math.max(...den.map(Math.abs));
+    const isZero = c => Math.abs(c) < 1e-12 * maxAbs;
+    if (!isZero(den[0])) return { gain: 0, rest: { num, den } };
+    if (den.length < 2 || isZero(den[1])) return null;
+
+    // K = num / (s d'), r = num(0)/d'(0), K0 = (num - r d') / (s d') with (num - r d')(0) = 0
+    const reduced = den.slice(1);
+    const gain = num[0] / reduced[0];
+    const diff = polyAdd(num, reduced.map(c => -gain * c));
+    return { gain, rest: { num: diff.length > 1 ? diff.slice(1) : [0], den: reduced } };
+}
 
-        // Output y(t)
-        let yNow = 0;
-        if (ssR) {
-            if (ssR.n > 0) {
-                yNow = vecDot(ssR.C, x) + ssR.D * uNow;
-            } else {
-                yNow = ssR.D * uNow;
-            }
-        }
-        y.push(yNow);
+// Unity feedback loop with actuator limits on the controller output (continuous time):
+//   e = r - y,  v = xi + K0(e),  dxi/dt = gain*e + Kaw*(u - v)  (back-calculation anti-windup)
+//   u = v limited to [min, max] and to the rate |du/dt| <= rate,  y = P(u)
+// ssP, ssK0: state-space of the plant and of the integrator-free part of the controller
+// limits: { min, max, rate, antiWindup }, input: reference r(t)
+// u is held over each simulation step of tMax/(nPoints - 1).
+// Returns: { time: [...], y: [...], u: [...], v: [...] }
+function simulateSaturatedLoop(ssP, ssK0, gain, limits, tMax, nPoints, input) {
+    input = input || (() => 1);
+    const dt = tMax / (nPoints - 1);
+    const time = [];
+    const y = [];
+    const u = [];
+    const v = [];
+
+    const output = (ss, x, w) => (ss.n > 0 ? vecDot(ss.C, x) : 0) + ss.D * w;
+    const dxdt = (ss, x, w) => ss.n > 0 ? vecAdd(matVecMult(ss.A, x), vecScale(w, ss.B)) : [];
+
+    // Stacked state [xP, xK0, xi] with the actuator output uHeld
+    function derivative(xP, xK, xi, t, uHeld) {
+        const e = input(t) - output(ssP, xP, uHeld);
+        const vNow = xi + output(ssK0, xK, e);
+        return {
+            xP: dxdt(ssP, xP, uHeld),
+            xK: dxdt(ssK0, xK, e),
+            xi: gain * e + limits.antiWindup * (uHeld - vNow)
+        };
+    }
 
-        // Error e(t) = r(t) - y(t), with r(t)=1 for t>=0
-        const eNow = 1 - yNow;
-        e.push(eNow);
+    let xP = new Array(ssP.n).fill(0);
+    let xK = new Array(ssK0.n).fill(0);
+    let xi = 0;
+    let uPrev = 0;
 
-        // State update to t+dt using RK4 with u(tSub) = e(tSub - delay)
-        if (ssR && ssR.n > 0 && i < nPoints - 1) {
-            const uAtTime = (tSub, tKnownMax) => eDelayed(tSub - delay, tKnownMax);
-            x = rk4StepWithU(ssR.A, ssR.B, x, t, uAtTime, dt, t);
-        }
+    for (let i = 0; i < nPoints; i++) {
+        const t = i * dt;
+        time.push(t);
+
+        // Controller output from the current states, then the actuator
+        const e = input(t) - output(ssP, xP, uPrev);
+        const vNow = xi + output(ssK0, xK, e);
+        const target = Math.max(limits.min, Math.min(limits.max, vNow));
+        const maxStep = limits.rate * dt;
+        const uNow = uPrev + Math.max(-maxStep, Math.min(maxStep, target - uPrev));
+
+        y.push(output(ssP, xP, uNow));
+        u.push(uNow);
+        v.push(vNow);
+        uPrev = uNow;
+
+        // RK4 step with the actuator output held
+        const k1 = derivative(xP, xK, xi, t, uNow);
+        const k2 = derivative(vecAdd(xP, vecScale(dt / 2, k1.xP)), vecAdd(xK, vecScale(dt / 2, k1.xK)), xi + dt / 2 * k1.xi, t + dt / 2, uNow);
+        const k3 = derivative(vecAdd(xP, vecScale(dt / 2, k2.xP)), vecAdd(xK, vecScale(dt / 2, k2.xK)), xi + dt / 2 * k2.xi, t + dt / 2, uNow);
+        const k4 = derivative(vecAdd(xP, vecScale(dt, k3.xP)), vecAdd(xK, vecScale(dt, k3.xK)), xi + dt * k3.xi, t + dt, uNow);
+        const combine = (a, b, c, d) => vecAdd(a, vecAdd(vecScale(2, b), vecAdd(vecScale(2, c), d)));
+        xP = vecAdd(xP, vecScale(dt / 6, combine(k1.xP, k2.xP, k3.xP, k4.xP)));
+        xK = vecAdd(xK, vecScale(dt / 6, combine(k1.xK, k2.xK, k3.xK, k4.xK)));
+        xi += dt / 6 * (k1.xi + 2 * k2.xi + 2 * k3.xi + k4.xi);
     }
 
-    return { time, y, e };
+    return { time, y, u, v };
 }
 
 // Extract polynomial coefficients from rationalized transfer function node
@@ -1056,3 +1338,989 @@ function expandPadeDelay(node) {
         return node;
     });
 }
+
+// ============================================================================
+// Continuous-to-Discrete Conversion
+// ============================================================================
+
+const C2D_METHODS = ['zoh', 'foh', 'tustin', 'matched'];
+
+// Multiply two polynomials (ascending coefficients)
+function polyMultiply(a, b) {
+    const result = new Array(a.length + b.length - 1).fill(0);
+    for (let i = 0; i < a.length; i++) {
+        for (let j = 0; j < b.length; j++) {
+            result[i + j] += a[i] * b[j];
+        }
+    }
+    return result;
+}
+
+// Real polynomial (ascending coefficients) with the given complex roots, scaled by gain
+function polyFromRoots(roots, gain) {
+    let re = [1], im = [0];
+    roots.forEach(r => {
+        // Multiply by (x - r)
+        const nextRe = new Array(re.length + 1).fill(0);
+        const nextIm = new Array(re.length + 1).fill(0);
+        for (let i = 0; i < re.length; i++) {
+            nextRe[i + 1] += re[i];
+            nextIm[i + 1] += im[i];
+            nextRe[i] -= re[i] * r.re - im[i] * r.im;
+            nextIm[i] -= re[i] * r.im + im[i] * r.re;
+        }
+        re = nextRe;
+        im = nextIm;
+    });
+    return re.map(c => c * (gain === undefined ? 1 : gain));
+}
+
+// Characteristic polynomial det(xI - M) by the Faddeev-LeVerrier algorithm
+// Returns ascending coefficients [c0, c1, ..., 1]
+function charPoly(M) {
+    const n = M.length;
+    const c = new Array(n + 1).fill(0);
+    c[n] = 1;
+    let Mk = M.map(row => row.map(() => 0));
+    for (let k = 1; k <= n; k++) {
+        // Mk = M * M_{k-1} + c_{n-k+1} I
+        const next = M.map((row, i) => row.map((_, j) => {
+            let sum = 0;
+            for (let l = 0; l < n; l++) sum += M[i][l] * Mk[l][j];
+            return sum + (i === j ? c[n - k + 1] : 0);
+        }));
+        Mk = next;
+        let trace = 0;
+        for (let i = 0; i < n; i++) {
+            for (let l = 0; l < n; l++) trace += M[i][l] * Mk[l][i];
+        }
+        c[n - k] = -trace / k;
+    }
+    return c;
+}
+
+// Transfer function coefficients of a SISO state-space model
+// Uses C(xI - A)^{-1}B = det(xI - A + BC) / det(xI - A) - 1
+function ss2tfCoeffs(A, B, C, D) {
+    const den = charPoly(A);
+    const ABC = A.map((row, i) => row.map((a, j) => a - B[i] * C[j]));
+    const num = charPoly(ABC).map((c, i) => c - den[i] + D * den[i]);
+    return { num: trimPolyCoeffs(num), den };
+}
+
+// Remove negligible high-order coefficients (numerical noise after cancellation)
+function trimPolyCoeffs(coeffs) {
+    const result = coeffs.slice();
+    const maxAbs = Math.max(...result.map(Math.abs));
+    while (result.length > 1 && Math.abs(result[result.length - 1]) < 1e-12 * maxAbs) {
+        result.pop();
+    }
+    return result;
+}
+
+// Discretize G(s) = num/den (ascending coefficients) with sample time Ts
+// method: 'zoh', 'foh', 'tustin' or 'matched'
+// Returns { num, den } (ascending powers of z)
+function c2dCoeffs(num, den, Ts, method) {
+    const n = den.length - 1;
+    if (num.length - 1 > n) {
+        throw new Error('c2d requires a proper transfer function');
+    }
+    if (n === 0) {
+        return { num: [num[0] / den[0]], den: [1] };
+    }
+
+    if (method === 'tustin') {
+        // s = (2/Ts)(z - 1)/(z + 1), multiplied through by (z + 1)^n
+        const substitute = coeffs => {
+            let result = new Array(n + 1).fill(0);
+            coeffs.forEach((c, k) => {
+                let term = [c * Math.pow(2 / Ts, k)];
+                for (let i = 0; i < k; i++) term = polyMultiply(term, [-1, 1]);
+                for (let i = k; i < n; i++) term = polyMultiply(term, [1, 1]);
+                term.forEach((t, i) => { result[i] += t; });
+            });
+            return result;
+        };
+        return { num: trimPolyCoeffs(substitute(num)), den: substitute(den) };
+    }
+
+    if (method === 'matched') {
+        const poles = root2math(findRoots(den));
+        const zeros = num.length > 1 ? root2math(findRoots(num)) : [];
+        const isOrigin = p => Math.sqrt(p.re * p.re + p.im * p.im) < IMAG_AXIS_TOL;
+        const mapRoot = p => math.exp(math.multiply(math.complex(p.re, p.im), Ts));
+
+        // Zeros at infinity go to z = -1 (one is kept at infinity for a strictly proper result)
+        const relDegree = poles.length - zeros.length;
+        const zPoles = poles.map(mapRoot);
+        const zZeros = zeros.map(mapRoot);
+        for (let i = 0; i < relDegree - 1; i++) zZeros.push(math.complex(-1, 0));
+
+        // Match the low-frequency gain of s^k G(s) with ((z - 1)/Ts)^k G(z)
+        const k = poles.filter(isOrigin).length - zeros.filter(isOrigin).length;
+        let gainS = math.complex(num[num.length - 1] / den[n], 0);
+        let gainZ = math.complex(Math.pow(Ts, -k), 0);
+        zeros.forEach((z, i) => {
+            if (isOrigin(z)) return;
+            gainS = math.multiply(gainS, math.unaryMinus(z));
+            gainZ = math.multiply(gainZ, math.subtract(1, zZeros[i]));
+        });
+        poles.forEach((p, i) => {
+            if (isOrigin(p)) return;
+            gainS = math.divide(gainS, math.unaryMinus(p));
+            gainZ = math.divide(gainZ, math.subtract(1, zPoles[i]));
+        });
+        gainZ = math.multiply(gainZ, Math.pow(2, Math.max(relDegree - 1, 0)));
+
+        const K = math.divide(gainS, gainZ).re;
+        return { num: polyFromRoots(zZeros, K), den: polyFromRoots(zPoles) };
+    }
+
+    // Hold equivalents from the matrix exponential of an augmented state-space model
+    const ss = tf2ss(num, den);
+    const hold = method === 'foh' ? 2 : 1;
+    const size = n + hold;
+    const F = Array.from({ length: size }, () => new Array(size).fill(0));
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) F[i][j] = ss.A[i][j] * Ts;
+        F[i][n] = ss.B[i] * Ts;
+    }
+    if (hold === 2) F[n][n + 1] = Ts;
+    const E = math.expm(math.matrix(F)).toArray();
+
+    const Phi = E.slice(0, n).map(row => row.slice(0, n));
+    const Gamma1 = E.slice(0, n).map(row => row[n]);
+    if (method === 'zoh') {
+        return ss2tfCoeffs(Phi, Gamma1, ss.C, ss.D);
+    }
+
+    // First-order hold (triangle hold): x[k+1] = Phi x + Gamma1 u[k] + Gamma2 (u[k+1] - u[k]) / Ts
+    const Gamma2 = E.slice(0, n).map(row => row[n + 1] / Ts);
+    const Bd = Gamma1.map((g, i) => g + vecDot(Phi[i], Gamma2) - Gamma2[i]);
+    const Dd = ss.D + vecDot(ss.C, Gamma2);
+    return ss2tfCoeffs(Phi, Bd, ss.C, Dd);
+}
+
+// Build a rational expression node from ascending polynomial coefficients
+function buildRationalNode(num, den, variable) {
+    const polyString = coeffs => {
+        let str = '';
+        for (let k = coeffs.length - 1; k >= 0; k--) {
+            const value = parseFloat(coeffs[k].toPrecision(12));
+            if (value === 0) continue;
+            const abs = Math.abs(value);
+            const power = k === 0 ? '' : (k === 1 ? variable : `${variable}^${k}`);
+            const term = power === '' ? `${abs}` : (abs === 1 ? power : `${abs}*${power}`);
+            if (str === '') str = (value < 0 ? '-' : '') + term;
+            else str += (value < 0 ? ' - ' : ' + ') + term;
+        }
+        return str || '0';
+    };
+    return math.parse(`(${polyString(num)}) / (${polyString(den)})`);
+}
+
+// Free symbols in an expression (function names excluded)
+function freeSymbols(node) {
+    const names = new Set();
+    node.traverse(function(n, path) {
+        if (n.isSymbolNode && path !== 'fn') names.add(n.name);
+    });
+    return names;
+}
+
+// Expand c2d function calls in an AST
+// Transforms c2d(G, Ts) or c2d(G, Ts, 'method') into a rational expression in z.
+// With continuous = true, c2d(G, ...) is replaced by G itself (continuous-time equivalent).
+// Calls whose arguments are still symbolic (slider parameters) are left unexpanded,
+// except for 'tustin' which is expanded by substituting s = (2/Ts)(z - 1)/(z + 1).
+function expandC2d(node, continuous) {
+    return node.transform(function(node, path, parent) {
+        if (node.isFunctionNode && node.fn && node.fn.name === 'c2d') {
+            const args = node.args;
+
+            if (args.length < 2 || args.length > 3) {
+                throw new Error("c2d requires 2 or 3 arguments: c2d(G, Ts) or c2d(G, Ts, 'method')");
+            }
+
+            const methodArg = args.length > 2 ? args[2] : null;
+            let method = 'zoh';
+            if (methodArg) {
+                if (!methodArg.isConstantNode || typeof methodArg.value !== 'string') {
+                    throw new Error("c2d: method must be a string such as 'zoh'");
+                }
+                method = methodArg.value.toLowerCase();
+            }
+            if (!C2D_METHODS.includes(method)) {
+                throw new Error('c2d: unknown method \'' + method + '\' (use ' + C2D_METHODS.join(', ') + ')');
+            }
+
+            const G = expandC2d(args[0], continuous);
+            if (continuous) return G;
+
+            if (containsSymbol(G, 'z')) {
+                throw new Error('c2d: G must be a continuous-time transfer function of s');
+            }
+
+            const TsNode = args[1];
+            const isSymbolic = [...freeSymbols(G), ...freeSymbols(TsNode)].some(name => name !== 's');
+            if (isSymbolic) {
+                if (method !== 'tustin') return new math.FunctionNode(node.fn, [G, TsNode, methodArg].filter(Boolean));
+                const zNode = math.parse('(2/Ts)*(z - 1)/(z + 1)').transform(
+                    n => (n.isSymbolNode && n.name === 'Ts') ? TsNode.clone() : n
+                );
+                return G.transform(n => (n.isSymbolNode && n.name === 's') ? zNode.clone() : n);
+            }
+
+            const Ts = TsNode.evaluate();
+            if (typeof Ts !== 'number' || !isFinite(Ts) || Ts <= 0) {
+                throw new Error('c2d: sample time Ts must be a positive number');
+            }
+
+            let coeffs;
+            try {
+                coeffs = extractTFCoeffs(util_rationalize(G));
+            } catch (e) {
+                coeffs = null;
+            }
+            if (!coeffs) {
+                throw new Error('c2d: G must be a rational transfer function of s (use pade_delay() for time delays)');
+            }
+
+            const discrete = c2dCoeffs(coeffs.num, coeffs.den, Ts, method);
+            return buildRationalNode(discrete.num, discrete.den, 'z');
+        }
+        return node;
+    });
+}
+
+// ============================================================================
+// State-Space Models
+// ============================================================================
+
+// Rows of an ss() matrix argument as arrays of nodes ([1, 2] is a single row, a scalar is 1x1)
+function matrixNodeRows(node) {
+    while (node.isParenthesisNode) node = node.content;
+    if (!node.isArrayNode) return [[node]];
+    if (node.items.length > 0 && node.items.every(item => item.isArrayNode)) {
+        return node.items.map(row => row.items);
+    }
+    return [node.items];
+}
+
+// Matrices of ss(A, B, C, D) as nodes: A (n rows of n), B and C (n each), D.
+// B and C may be written as a row or a column vector (single input, single output).
+function stateSpaceNodes(args) {
+    if (args.length < 3 || args.length > 4) {
+        throw new Error('ss requires 3 or 4 arguments: ss(A, B, C) or ss(A, B, C, D)');
+    }
+    const A = matrixNodeRows(args[0]);
+    const n = A.length;
+    if (n === 0 || A.some(row => row.length !== n)) {
+        throw new Error('ss: A must be a square matrix');
+    }
+
+    const vector = (node, name, shape) => {
+        const rows = matrixNodeRows(node);
+        const items = rows.length === 1 ? rows[0] : (rows.every(row => row.length === 1) ? rows.map(row => row[0]) : null);
+        if (!items || items.length !== n) {
+            throw new Error('ss: ' + name + ' must be ' + shape + ' for a ' + n + 'x' + n + ' matrix A');
+        }
+        return items;
+    };
+    const B = vector(args[1], 'B', n + 'x1');
+    const C = vector(args[2], 'C', '1x' + n);
+
+    const D = args.length > 3 ? matrixNodeRows(args[3]) : [[new math.ConstantNode(0)]];
+    if (D.length !== 1 || D[0].length !== 1) {
+        throw new Error('ss: D must be a scalar');
+    }
+
+    const entries = [...A.flat(), ...B, ...C, D[0][0]];
+    if (entries.some(entry => containsSymbol(entry, 's') || containsSymbol(entry, 'z'))) {
+        throw new Error('ss: A, B, C and D must not depend on s or z');
+    }
+    return { A, B, C, D: D[0][0], n };
+}
+
+function isZeroNode(node) {
+    return node.isConstantNode && node.value === 0;
+}
+
+// a * b and a - b, dropping zero terms and unit factors so that the expressions stay small
+function multiplyNodes(a, b) {
+    if (isZeroNode(a) || isZeroNode(b)) return new math.ConstantNode(0);
+    if (a.isConstantNode && a.value === 1) return b.clone();
+    if (b.isConstantNode && b.value === 1) return a.clone();
+    return new math.OperatorNode('*', 'multiply', [a.clone(), b.clone()]);
+}
+
+function subtractNodes(a, b) {
+    if (isZeroNode(b)) return a.clone();
+    if (isZeroNode(a)) return new math.OperatorNode('-', 'unaryMinus', [b.clone()]);
+    return new math.OperatorNode('-', 'subtract', [a.clone(), b.clone()]);
+}
+
+// Polynomials in s and the slider parameters of ss() matrices, as Maps from a monomial key
+// to its coefficient. A key lists the atom indices of the monomial ('0,0,2' is s^2 times
+// atom 2, '' the constant term); atom 0 is s. Entries that are not polynomial (e.g. sqrt(k))
+// are atoms themselves, and a division by a parameter expression b is a product with the atom 1/b.
+function createAtomTable() {
+    const nodes = [new math.SymbolNode('s')];
+    const indices = new Map([['s', 0]]);
+    return {
+        nodes,
+        index(node) {
+            const key = node.toString();
+            if (!indices.has(key)) {
+                indices.set(key, nodes.length);
+                nodes.push(node);
+            }
+            return indices.get(key);
+        }
+    };
+}
+
+function monomialAtoms(key) {
+    return key ? key.split(',').map(Number) : [];
+}
+
+// a + scale * b (terms that cancel are removed)
+function paramPolyAdd(a, b, scale = 1) {
+    const result = new Map(a);
+    b.forEach((c, key) => {
+        const sum = (result.get(key) || 0) + scale * c;
+        if (sum === 0) result.delete(key);
+        else result.set(key, sum);
+    });
+    return result;
+}
+
+function paramPolyMultiply(a, b) {
+    const result = new Map();
+    a.forEach((ca, ka) => b.forEach((cb, kb) => {
+        const key = [...monomialAtoms(ka), ...monomialAtoms(kb)].sort((x, y) => x - y).join(',');
+        const sum = (result.get(key) || 0) + ca * cb;
+        if (sum === 0) result.delete(key);
+        else result.set(key, sum);
+    }));
+    return result;
+}
+
+// Polynomial of a matrix entry node
+function paramPolyFromNode(node, atoms) {
+    while (node.isParenthesisNode) node = node.content;
+    const value = constantNodeValue(node);
+    if (typeof value === 'number') return value === 0 ? new Map() : new Map([['', value]]);
+    if (value !== null) throw new Error('ss: matrix entries must be real numbers');
+
+    const atom = n => new Map([[String(atoms.index(n)), 1]]);
+    if (node.isOperatorNode) {
+        const args = node.args.map(arg => () => paramPolyFromNode(arg, atoms));
+        switch (node.fn) {
+            case 'unaryPlus': return args[0]();
+            case 'unaryMinus': return paramPolyAdd(new Map(), args[0](), -1);
+            case 'add': return paramPolyAdd(args[0](), args[1]());
+            case 'subtract': return paramPolyAdd(args[0](), args[1](), -1);
+            case 'multiply': return paramPolyMultiply(args[0](), args[1]());
+            case 'divide': {
+                const divisor = constantNodeValue(node.args[1]);
+                if (typeof divisor === 'number' && divisor !== 0) return paramPolyAdd(new Map(), args[0](), 1 / divisor);
+                const inverse = new math.OperatorNode('/', 'divide', [new math.ConstantNode(1), node.args[1]]);
+                return paramPolyMultiply(args[0](), atom(inverse));
+            }
+            case 'pow': {
+                const exponent = constantNodeValue(node.args[1]);
+                if (Number.isInteger(exponent) && exponent >= 0 && exponent <= 16) {
+                    const base = args[0]();
+                    let result = new Map([['', 1]]);
+                    for (let k = 0; k < exponent; k++) result = paramPolyMultiply(result, base);
+                    return result;
+                }
+                break;
+            }
+        }
+    }
+    return atom(node);
+}
+
+// Determinant by expansion along the rows, each minor (set of remaining columns) computed once
+function paramPolyDeterminant(M) {
+    const n = M.length;
+    const minors = new Map();
+    const minor = (row, columns) => {
+        if (row === n) return new Map([['', 1]]);
+        if (minors.has(columns)) return minors.get(columns);
+        let det = new Map();
+        let sign = 1;
+        for (let j = 0; j < n; j++) {
+            if (!(columns & (1 << j))) continue;
+            if (M[row][j].size > 0) {
+                det = paramPolyAdd(det, paramPolyMultiply(M[row][j], minor(row + 1, columns & ~(1 << j))), sign);
+            }
+            sign = -sign;
+        }
+        minors.set(columns, det);
+        return det;
+    };
+    return minor(0, (1 << n) - 1);
+}
+
+// det(sI - M)
+function paramCharacteristicPoly(M) {
+    const s = new Map([['0', 1]]);
+    return paramPolyDeterminant(M.map((row, i) => row.map((entry, j) =>
+        paramPolyAdd(i === j ? s : new Map(), entry, -1))));
+}
+
+// Descending coefficient nodes in s of a polynomial. Rounding residues below
+// 1e-12 of the largest term are dropped.
+function paramPolyCoeffNodes(poly, atoms) {
+    const largest = Math.max(0, ...[...poly.values()].map(Math.abs));
+    const terms = [];
+    poly.forEach((c, key) => {
+        if (Math.abs(c) <= 1e-12 * largest) return;
+        const factors = monomialAtoms(key);
+        const degree = factors.filter(i => i === 0).length;
+        (terms[degree] = terms[degree] || []).push({ c: parseFloat(c.toPrecision(12)), factors: factors.filter(i => i > 0) });
+    });
+
+    const termNode = ({ c, factors }) => {
+        const powers = new Map();
+        factors.forEach(i => powers.set(i, (powers.get(i) || 0) + 1));
+        let node = Math.abs(c) === 1 && powers.size > 0 ? null : new math.ConstantNode(Math.abs(c));
+        powers.forEach((power, i) => {
+            const atom = atoms.nodes[i].isSymbolNode ? atoms.nodes[i].clone() : new math.ParenthesisNode(atoms.nodes[i].clone());
+            const factor = power === 1 ? atom : new math.OperatorNode('^', 'pow', [atom, new math.ConstantNode(power)]);
+            node = node ? multiplyNodes(node, factor) : factor;
+        });
+        return node;
+    };
+    const coefficientNode = (list = []) => {
+        let result = null;
+        list.forEach(term => {
+            const node = termNode(term);
+            if (result === null) result = term.c < 0 ? new math.OperatorNode('-', 'unaryMinus', [node]) : node;
+            else result = new math.OperatorNode(term.c < 0 ? '-' : '+', term.c < 0 ? 'subtract' : 'add', [result, node]);
+        });
+        if (!result) return new math.ConstantNode(0);
+        return result.isOperatorNode && (result.fn === 'add' || result.fn === 'subtract') ? new math.ParenthesisNode(result) : result;
+    };
+
+    const coeffs = [];
+    for (let k = terms.length - 1; k >= 0; k--) coeffs.push(coefficientNode(terms[k]));
+    return coeffs.length > 0 ? coeffs : [new math.ConstantNode(0)];
+}
+
+// Transfer function C (sI - A)^-1 B + D of ss(A, B, C, D) as a node in s.
+// By the matrix determinant lemma, C (sI - A)^-1 B = det(sI - A + B C) / det(sI - A) - 1, so
+// G = (det(sI - (A - B C)) + (D - 1) det(sI - A)) / det(sI - A).
+// Numeric matrices give polynomial coefficients directly (ss2tfCoeffs); matrices with
+// slider parameters give coefficient nodes collected in the parameters.
+function stateSpaceToTF(ss) {
+    const entries = [...ss.A.flat(), ...ss.B, ...ss.C, ss.D];
+    const numeric = entries.every(entry => freeSymbols(entry).size === 0);
+
+    if (numeric) {
+        const value = node => {
+            const v = node.evaluate();
+            if (typeof v !== 'number' || !isFinite(v)) throw new Error('ss: matrix entries must be real numbers');
+            return v;
+        };
+        const A = ss.A.map(row => row.map(value));
+        const B = ss.B.map(value);
+        const C = ss.C.map(value);
+        const D = value(ss.D);
+        const coeffs = ss2tfCoeffs(A, B, C, D);
+        return {
+            node: buildRationalNode(coeffs.num, coeffs.den, 's'),
+            realization: { A, B, C, D, n: ss.n }
+        };
+    }
+
+    // Polynomials in s and the parameters, collected while expanding the determinants
+    const atoms = createAtomTable();
+    const poly = node => paramPolyFromNode(node, atoms);
+    const A = ss.A.map(row => row.map(poly));
+    const B = ss.B.map(poly);
+    const C = ss.C.map(poly);
+    const D = poly(ss.D);
+
+    const den = paramCharacteristicPoly(A);
+    const closed = paramCharacteristicPoly(A.map((row, i) => row.map((a, j) =>
+        paramPolyAdd(a, paramPolyMultiply(B[i], C[j]), -1))));
+    const num = paramPolyAdd(closed, paramPolyMultiply(paramPolyAdd(D, new Map([['', 1]]), -1), den));
+    const node = new math.OperatorNode('/', 'divide', [
+        polynomialNode(paramPolyCoeffNodes(num, atoms), 's'),
+        polynomialNode(paramPolyCoeffNodes(den, atoms), 's')
+    ]);
+    return { node, realization: null };
+}
+
+// Expand ss function calls in an AST
+// Transforms ss(A, B, C) or ss(A, B, C, D) into a transfer function of s.
+// onRealization, if given, receives the numeric realization { A, B, C, D, n } of each call.
+function expandStateSpace(node, onRealization) {
+    return node.transform(function(node, path, parent) {
+        if (node.isFunctionNode && node.fn && node.fn.name === 'ss') {
+            const tf = stateSpaceToTF(stateSpaceNodes(node.args));
+            if (onRealization && tf.realization) onRealization(tf.realization);
+            return tf.node;
+        }
+        return node;
+    });
+}
+
+// Rank of a set of vectors (Gaussian elimination with partial pivoting).
+// The vectors are normalized first so that the tolerance is relative.
+function vectorRank(vectors) {
+    const rows = vectors.map(v => {
+        const norm = Math.sqrt(vecDot(v, v));
+        return norm > 0 ? vecScale(1 / norm, v) : v.slice();
+    });
+    const tol = 1e-8;
+    let rank = 0;
+    const cols = rows.length > 0 ? rows[0].length : 0;
+    for (let col = 0; col < cols && rank < rows.length; col++) {
+        let pivot = rank;
+        for (let i = rank + 1; i < rows.length; i++) {
+            if (Math.abs(rows[i][col]) > Math.abs(rows[pivot][col])) pivot = i;
+        }
+        if (Math.abs(rows[pivot][col]) <= tol) continue;
+        [rows[rank], rows[pivot]] = [rows[pivot], rows[rank]];
+        for (let i = rank + 1; i < rows.length; i++) {
+            const factor = rows[i][col] / rows[rank][col];
+            for (let j = col; j < cols; j++) rows[i][j] -= factor * rows[rank][j];
+        }
+        rank++;
+    }
+    return rank;
+}
+
+// Ranks of the controllability matrix [B, AB, ..., A^(n-1) B] and the observability
+// matrix [C; CA; ...; CA^(n-1)] of a numeric realization
+function stateSpaceRanks(realization) {
+    const { A, B, C, n } = realization;
+    const AT = A[0].map((_, j) => A.map(row => row[j]));
+    const controllability = [B];
+    const observability = [C];
+    for (let k = 1; k < n; k++) {
+        controllability.push(matVecMult(A, controllability[k - 1]));
+        observability.push(matVecMult(AT, observability[k - 1]));
+    }
+    return { controllable: vectorRank(controllability), observable: vectorRank(observability) };
+}
+
+// ============================================================================
+// Coefficient-Vector Constructors
+// ============================================================================
+
+// Separate the elements of MATLAB-style vectors written with spaces: [1 2 -3] -> [1, 2, -3].
+// A sign followed by a space is an operator, as in MATLAB ([1 - 2] is a single element).
+function normalizeMatrixLiterals(exprStr) {
+    return exprStr.replace(/\[[^\[\]]*\]/g, literal =>
+        literal.replace(/([\w.)'])\s+(?=[\w.(]|[+-][\w.(])/g, '$1, '));
+}
+
+// Elements of a vector argument (row or column, a scalar is a vector of length one)
+function vectorNodeItems(node, fnName, argName) {
+    const rows = matrixNodeRows(node);
+    if (rows.length === 1) return rows[0];
+    if (rows.every(row => row.length === 1)) return rows.map(row => row[0]);
+    throw new Error(fnName + ': ' + argName + ' must be a vector');
+}
+
+// Value of a constant node (number or complex), or null when it depends on symbols
+function constantNodeValue(node) {
+    try {
+        const value = node.evaluate();
+        if (typeof value === 'number' && isFinite(value)) return value;
+        if (math.typeOf(value) === 'Complex') return value;
+    } catch (e) {
+        // Depends on slider parameters or s
+    }
+    return null;
+}
+
+// Polynomial in the variable from descending coefficient nodes: c0*x^n + ... + cn
+function polynomialNode(coeffs, variable) {
+    const x = new math.SymbolNode(variable);
+    const n = coeffs.length - 1;
+    let result = null;
+    coeffs.forEach((c, i) => {
+        if (isZeroNode(c)) return;
+        const k = n - i;
+        const power = k === 0 ? null
+            : (k === 1 ? x.clone() : new math.OperatorNode('^', 'pow', [x.clone(), new math.ConstantNode(k)]));
+        const term = power ? multiplyNodes(c, power) : c.clone();
+        result = result ? new math.OperatorNode('+', 'add', [result, term]) : term;
+    });
+    return result || new math.ConstantNode(0);
+}
+
+// Descending coefficient nodes of Π(x - r) over the root nodes
+function rootsToCoeffNodes(roots) {
+    let coeffs = [new math.ConstantNode(1)];
+    roots.forEach(r => {
+        // Multiply by (x - r)
+        coeffs = [...coeffs, new math.ConstantNode(0)].map((c, i) =>
+            i === 0 ? c : subtractNodes(c, multiplyNodes(r, coeffs[i - 1])));
+    });
+    return coeffs;
+}
+
+// Real ascending coefficients of gain * Π(x - r) for numeric roots, or null
+function numericRootsPoly(roots, gain) {
+    const values = roots.map(constantNodeValue);
+    if (values.some(v => v === null)) return null;
+    return polyFromRoots(values.map(v => math.complex(v)), gain);
+}
+
+// Descending coefficient nodes of Π(x - r). The numeric roots are multiplied out in numbers
+// (so that the imaginary parts of complex pairs cancel) and the product is then expanded
+// symbolically with the roots that depend on parameters.
+function rootsCoeffNodes(roots) {
+    const values = roots.map(constantNodeValue);
+    const numeric = polyFromRoots(values.filter(v => v !== null).map(v => math.complex(v)), 1)
+        .reverse().map(c => new math.ConstantNode(parseFloat(c.toPrecision(12))));
+    const symbolic = rootsToCoeffNodes(roots.filter((_, i) => values[i] === null));
+
+    const coeffs = new Array(numeric.length + symbolic.length - 1).fill(null);
+    numeric.forEach((a, i) => symbolic.forEach((b, j) => {
+        const term = multiplyNodes(a, b);
+        if (coeffs[i + j] === null || isZeroNode(coeffs[i + j])) coeffs[i + j] = term;
+        else if (!isZeroNode(term)) coeffs[i + j] = new math.OperatorNode('+', 'add', [coeffs[i + j], term]);
+    }));
+    return coeffs;
+}
+
+// Transfer variable of a constructor: s, or z when a sample time argument is given.
+// The sample time must equal Ts, the sample time of the design (a number or a node).
+function constructorVariable(args, count, fnName, Ts) {
+    if (args.length <= count) return 's';
+    if (Ts === undefined) {
+        throw new Error(fnName + ': define Ts to use a sample time argument');
+    }
+    const value = constantNodeValue(args[count]);
+    if (typeof value === 'number' && !(value > 0)) {
+        throw new Error(fnName + ': sample time must be a positive number');
+    }
+    // Symbolic sample times (Ts swept as a parameter) are not compared
+    const designTs = Ts.isNode ? constantNodeValue(Ts) : Ts;
+    if (typeof value === 'number' && typeof designTs === 'number' && Math.abs(value - designTs) > 1e-9 * designTs) {
+        throw new Error(fnName + ': sample time ' + formatValue(value) + ' differs from Ts = ' + formatValue(designTs));
+    }
+    return 'z';
+}
+
+// Expand tf(), zpk() and poly() calls in an AST
+//   tf([b0, b1, ...], [a0, a1, ...])  descending coefficients as in MATLAB
+//   zpk([zeros], [poles], k)          zeros, poles and gain
+//   poly([roots])                     coefficient vector inside tf(), else the polynomial in s
+// tf() and zpk() take an optional sample time as the last argument, which gives a
+// transfer function of z and must equal Ts (the current value of Ts, undefined if none).
+// Numeric arguments are expanded to polynomial coefficients; arguments with slider
+// parameters are expanded symbolically.
+function expandTransferFunctions(node, Ts) {
+    // poly() as a coefficient vector: the descending coefficients of Π(x - r)
+    const polyCoeffNodes = arg => {
+        while (arg.isParenthesisNode) arg = arg.content;
+        if (!(arg.isFunctionNode && arg.fn && arg.fn.name === 'poly')) return null;
+        if (arg.args.length !== 1) throw new Error('poly requires 1 argument: poly([roots])');
+        return rootsCoeffNodes(vectorNodeItems(arg.args[0], 'poly', 'roots'));
+    };
+
+    return node.transform(function(node, path, parent) {
+        if (!node.isFunctionNode || !node.fn) return node;
+        const name = node.fn.name;
+        const args = node.args;
+
+        if (name === 'tf') {
+            if (args.length < 2 || args.length > 3) {
+                throw new Error('tf requires 2 or 3 arguments: tf([num], [den]) or tf([num], [den], Ts)');
+            }
+            const variable = constructorVariable(args, 2, 'tf', Ts);
+            const [num, den] = args.slice(0, 2).map((arg, i) =>
+                polyCoeffNodes(arg) || vectorNodeItems(expandTransferFunctions(arg, Ts), 'tf', i === 0 ? 'num' : 'den'));
+            if (den.length === 0 || den.every(isZeroNode)) throw new Error('tf: den must not be zero');
+
+            const numValues = num.map(constantNodeValue);
+            const denValues = den.map(constantNodeValue);
+            if ([...numValues, ...denValues].every(v => typeof v === 'number')) {
+                return buildRationalNode(numValues.slice().reverse(), denValues.slice().reverse(), variable);
+            }
+            return new math.OperatorNode('/', 'divide', [polynomialNode(num, variable), polynomialNode(den, variable)]);
+        }
+
+        if (name === 'zpk') {
+            if (args.length < 3 || args.length > 4) {
+                throw new Error('zpk requires 3 or 4 arguments: zpk([zeros], [poles], k) or zpk([zeros], [poles], k, Ts)');
+            }
+            const variable = constructorVariable(args, 3, 'zpk', Ts);
+            const zeros = vectorNodeItems(expandTransferFunctions(args[0], Ts), 'zpk', 'zeros');
+            const poles = vectorNodeItems(expandTransferFunctions(args[1], Ts), 'zpk', 'poles');
+            const gain = expandTransferFunctions(args[2], Ts);
+
+            const gainValue = constantNodeValue(gain);
+            const num = typeof gainValue === 'number' ? numericRootsPoly(zeros, gainValue) : null;
+            const den = numericRootsPoly(poles, 1);
+            if (num && den) {
+                return buildRationalNode(num, den, variable);
+            }
+            const numNode = multiplyNodes(gain, polynomialNode(rootsCoeffNodes(zeros), variable));
+            return new math.OperatorNode('/', 'divide', [numNode, polynomialNode(rootsCoeffNodes(poles), variable)]);
+        }
+
+        if (name === 'poly') {
+            const coeffs = polyCoeffNodes(node);
+            return new math.ParenthesisNode(polynomialNode(coeffs, 's'));
+        }
+        return node;
+    });
+}
+
+// ============================================================================
+// Two-Degree-of-Freedom Loop Maps
+// ============================================================================
+
+// Add two polynomials (ascending coefficients)
+function polyAdd(a, b) {
+    const result = new Array(Math.max(a.length, b.length)).fill(0);
+    a.forEach((c, i) => { result[i] += c; });
+    b.forEach((c, i) => { result[i] += c; });
+    return result;
+}
+
+// Closed-loop map coefficients from the rational blocks P, K, F, Kff ({ num, den } each).
+// Built directly from the polynomials so that no artificial pole-zero pairs appear:
+//   r→y = Pn (Kn Fn Kffd + Kffn Kd Fd) / (Fd Kffd (Pd Kd + Pn Kn)), and so on.
+function loopMapCoeffs(P, K, F, Kff) {
+    const mul = (...polys) => polys.reduce((acc, p) => polyMultiply(acc, p), [1]);
+    const charPolyCL = polyAdd(mul(P.den, K.den), mul(P.num, K.num));
+    const refNum = polyAdd(mul(K.num, F.num, Kff.den), mul(Kff.num, K.den, F.den));
+    const refDen = mul(F.den, Kff.den, charPolyCL);
+
+    return {
+        ry: { num: mul(P.num, refNum), den: refDen },
+        ur: { num: mul(P.den, refNum), den: refDen },
+        yd: { num: mul(P.num, K.den), den: charPolyCL },
+        yn: { num: mul(P.num, K.num).map(c => -c), den: charPolyCL }
+    };
+}
+
+// Input disturbance and control sensitivity coefficients of the 1-DOF loop:
+//   P S = Pn Kd / (Pd Kd + Pn Kn),  K S = Kn Pd / (Pd Kd + Pn Kn)
+function disturbanceSensitivityCoeffs(P, K) {
+    const charPolyCL = polyAdd(polyMultiply(P.den, K.den), polyMultiply(P.num, K.num));
+    return {
+        PS: { num: polyMultiply(P.num, K.den), den: charPolyCL },
+        KS: { num: polyMultiply(K.num, P.den), den: charPolyCL }
+    };
+}
+
+// ============================================================================
+// Root Locus
+// ============================================================================
+
+// Derivative of a polynomial (ascending coefficients)
+function polyDerivative(p) {
+    if (p.length <= 1) return [0];
+    return p.slice(1).map((c, i) => c * (i + 1));
+}
+
+// Evaluate a real polynomial (ascending coefficients) at the complex point x = { re, im }
+function polyEvaluateComplex(p, x) {
+    let re = 0, im = 0;
+    for (let i = p.length - 1; i >= 0; i--) {
+        // Horner step: (re + j im) * x + p[i]
+        const nextRe = re * x.re - im * x.im + p[i];
+        im = re * x.im + im * x.re;
+        re = nextRe;
+    }
+    return { re, im };
+}
+
+// Roots of a polynomial (ascending coefficients) as [{ re, im }] (none for a zero polynomial)
+function polyRootPoints(coeffs) {
+    const trimmed = trimPolyCoeffs(coeffs);
+    if (trimmed.length < 2 || trimmed[trimmed.length - 1] === 0) return [];
+    const roots = findRoots(trimmed);
+    return roots[0].map((re, i) => ({ re, im: roots[1][i] }));
+}
+
+// Roots of the closed-loop characteristic polynomial den + k*num
+function rootLocusRoots(num, den, k) {
+    return polyRootPoints(polyAdd(den, num.map(c => c * k)));
+}
+
+// Assign roots to branches by pairing each with the nearest root of the previous sample.
+// prev: [{ re, im } | null] per branch; returns the next sample in the same branch order.
+function matchRootBranches(prev, roots) {
+    const pairs = [];
+    prev.forEach((p, i) => {
+        if (!p) return;
+        roots.forEach((r, j) => pairs.push({ i, j, d: Math.hypot(r.re - p.re, r.im - p.im) }));
+    });
+    pairs.sort((a, b) => a.d - b.d);
+
+    const next = prev.map(() => null);
+    const used = roots.map(() => false);
+    pairs.forEach(({ i, j }) => {
+        if (next[i] || used[j]) return;
+        next[i] = roots[j];
+        used[j] = true;
+    });
+
+    // Roots without a predecessor (degree change) start in an empty branch
+    roots.forEach((r, j) => {
+        if (used[j]) return;
+        const i = next.findIndex((p, k) => !p && !prev[k]);
+        const free = i >= 0 ? i : next.indexOf(null);
+        if (free >= 0) next[free] = r;
+    });
+    return next;
+}
+
+// ============================================================================
+// Parameter Locus
+// ============================================================================
+
+// Coefficients c[i][j] of x^i y^j of a polynomial expression in the symbols x and y
+// (e.g. the numerator of math.rationalize() applied to an expression in s and a parameter)
+function bivariatePolyCoeffs(node, x, y) {
+    const add = (a, b) => {
+        const result = [];
+        for (let i = 0; i < Math.max(a.length, b.length); i++) {
+            const ra = a[i] || [], rb = b[i] || [];
+            result.push(Array.from({ length: Math.max(ra.length, rb.length) }, (_, j) => (ra[j] || 0) + (rb[j] || 0)));
+        }
+        return result;
+    };
+    const scale = (a, k) => a.map(row => row.map(c => c * k));
+    const multiply = (a, b) => {
+        let result = [[0]];
+        a.forEach((ra, i) => ra.forEach((ca, j) => {
+            if (ca === 0) return;
+            // Shift b by x^i y^j and add ca * b
+            const term = [];
+            for (let k = 0; k < i; k++) term.push([0]);
+            b.forEach(rb => term.push(new Array(j).fill(0).concat(rb.map(cb => ca * cb))));
+            result = add(result, term);
+        }));
+        return result;
+    };
+
+    function walk(n) {
+        if (n.isParenthesisNode) return walk(n.content);
+        if (n.isConstantNode && typeof n.value === 'number') return [[n.value]];
+        if (n.isSymbolNode && n.name === x) return [[0], [1]];
+        if (n.isSymbolNode && n.name === y) return [[0, 1]];
+        if (n.isOperatorNode) {
+            const [a, b] = n.args;
+            switch (n.fn) {
+                case 'unaryPlus': return walk(a);
+                case 'unaryMinus': return scale(walk(a), -1);
+                case 'add': return add(walk(a), walk(b));
+                case 'subtract': return add(walk(a), scale(walk(b), -1));
+                case 'multiply': return multiply(walk(a), walk(b));
+                case 'divide':
+                    if (freeSymbols(b).size === 0) return scale(walk(a), 1 / b.evaluate());
+                    break;
+                case 'pow': {
+                    const e = freeSymbols(b).size === 0 ? b.evaluate() : NaN;
+                    if (!Number.isInteger(e) || e < 0) break;
+                    let result = [[1]];
+                    const base = walk(a);
+                    for (let k = 0; k < e; k++) result = multiply(result, base);
+                    return result;
+                }
+            }
+        }
+        throw new Error('Not a polynomial in ' + x + ' and ' + y + ': ' + n.toString());
+    }
+
+    return walk(node);
+}
+
+// ============================================================================
+// Optimization
+// ============================================================================
+
+// Minimize f(x) with the Nelder–Mead simplex method (derivative-free).
+// options: { step: initial simplex size, maxIterations, tolerance on the spread of f }
+// Returns { x, value, iterations }
+function nelderMead(f, x0, options = {}) {
+    let best = null;
+    for (const state of nelderMeadIterations(f, x0, options)) best = state;
+    return best;
+}
+
+// Nelder–Mead as a generator yielding the best vertex { x, value, iterations } after every
+// iteration, so that long optimizations can be spread over several event loop turns
+function* nelderMeadIterations(f, x0, options = {}) {
+    const n = x0.length;
+    const step = options.step || 0.5;
+    const maxIterations = options.maxIterations || 200 * n;
+    const tolerance = options.tolerance || 1e-8;
+
+    let simplex = [x0.slice()];
+    for (let i = 0; i < n; i++) {
+        const x = x0.slice();
+        x[i] += step;
+        simplex.push(x);
+    }
+    let values = simplex.map(x => f(x));
+
+    const combine = (a, b, t) => a.map((ai, i) => ai + t * (b[i] - ai));
+    const sortSimplex = () => {
+        const order = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);
+        simplex = order.map(i => simplex[i]);
+        values = order.map(i => values[i]);
+    };
+
+    for (let iterations = 0; ; iterations++) {
+        // Sort vertices by value (best first)
+        sortSimplex();
+        yield { x: simplex[0], value: values[0], iterations };
+        if (iterations >= maxIterations) return;
+        if (Math.abs(values[n] - values[0]) <= tolerance * (Math.abs(values[0]) + tolerance)) return;
+
+        // Centroid of all vertices but the worst
+        const centroid = new Array(n).fill(0);
+        for (let k = 0; k < n; k++) {
+            for (let i = 0; i < n; i++) centroid[i] += simplex[k][i] / n;
+        }
+
+        const reflected = combine(centroid, simplex[n], -1);
+        const fr = f(reflected);
+        if (fr < values[0]) {
+            const expanded = combine(centroid, simplex[n], -2);
+            const fe = f(expanded);
+            if (fe < fr) {
+                simplex[n] = expanded;
+                values[n] = fe;
+            } else {
+                simplex[n] = reflected;
+                values[n] = fr;
+            }
+        } else if (fr < values[n - 1]) {
+            simplex[n] = reflected;
+            values[n] = fr;
+        } else {
+            const contracted = fr < values[n]
+                ? combine(centroid, reflected, 0.5)
+                : combine(centroid, simplex[n], 0.5);
+            const fc = f(contracted);
+            if (fc < Math.min(fr, values[n])) {
+                simplex[n] = contracted;
+                values[n] = fc;
+            } else {
+                // Shrink towards the best vertex
+                for (let k = 1; k <= n; k++) {
+                    simplex[k] = combine(simplex[0], simplex[k], 0.5);
+                    values[k] = f(simplex[k]);
+                }
+            }
+        }
+    }
+}